@@ -2,6 +2,13 @@
 
 import { loadConfig } from './src/config.js';
 import { mainMenu } from './src/menu.js';
+import { runCommand } from './src/cli.js';
 
-const config = await loadConfig();
-await mainMenu(config);
+const args = process.argv.slice(2);
+
+if (args.length > 0) {
+  process.exitCode = await runCommand(args);
+} else {
+  const config = await loadConfig();
+  await mainMenu(config);
+}
@@ -1,12 +1,13 @@
-import { copyFileSync, mkdirSync, existsSync } from 'node:fs';
-import { join, basename } from 'node:path';
+import { copyFileSync, mkdirSync, existsSync, readdirSync } from 'node:fs';
+import { join, basename, dirname } from 'node:path';
 import { info } from './ui.js';
+import { userSnapshotsDir } from './lib/st-paths.js';
 
 /**
  * Generate a timestamp string suitable for filenames.
  * @returns {string} e.g. "2025-01-15-143022"
  */
-function timestamp() {
+export function timestamp() {
   return new Date().toISOString().replace(/[:.]/g, '-').replace('T', '-').slice(0, 19);
 }
 
@@ -21,8 +22,13 @@ export function backupFile(filePath, backupDir) {
     return null;
   }
 
-  const backupName = `${basename(filePath)}.${timestamp()}.bak`;
-  const backupPath = join(backupDir, backupName);
+  // Several backups of the same file can land in the same second (e.g. recipe
+  // steps); number them so none overwrite each other.
+  const stem = `${basename(filePath)}.${timestamp()}`;
+  let backupPath = join(backupDir, `${stem}.bak`);
+  for (let n = 1; existsSync(backupPath); n++) {
+    backupPath = join(backupDir, `${stem}-${n}.bak`);
+  }
 
   mkdirSync(backupDir, { recursive: true });
   copyFileSync(filePath, backupPath);
@@ -32,6 +38,9 @@ export function backupFile(filePath, backupDir) {
 
 /**
  * Backup a user's file into their own backups/admin-snapshots/ directory.
+ * The file's subdirectory is kept (e.g. "instruct/Alpaca.json" is backed up
+ * under admin-snapshots/instruct/), so same-named files in different
+ * directories never share backups.
  * @param {string} dataRoot - Data root directory
  * @param {string} handle - User handle
  * @param {string} relativeFilePath - Path relative to user directory (e.g. "settings.json")
@@ -40,7 +49,7 @@ export function backupFile(filePath, backupDir) {
  */
 export function backupUserFile(dataRoot, handle, relativeFilePath, dryRun = false) {
   const source = join(dataRoot, handle, relativeFilePath);
-  const backupDir = join(dataRoot, handle, 'backups', 'admin-snapshots');
+  const backupDir = userSnapshotBackupDir(dataRoot, handle, relativeFilePath);
 
   if (!existsSync(source)) {
     return null;
@@ -72,3 +81,51 @@ export function backupToAdmin(backupRoot, filePath, label, dryRun = false) {
 
   return backupFile(filePath, dir);
 }
+
+/**
+ * Directory in a user's admin-snapshots that holds backups of one file.
+ * @param {string} dataRoot
+ * @param {string} handle
+ * @param {string} relativeFilePath - e.g. "worlds/Shared.json"
+ * @returns {string}
+ */
+function userSnapshotBackupDir(dataRoot, handle, relativeFilePath) {
+  return join(userSnapshotsDir(dataRoot, handle), dirname(relativeFilePath));
+}
+
+/**
+ * Newest "<name>.<timestamp>.bak" backup in a directory.
+ * @param {string} backupDir
+ * @param {string} name - Basename of the backed-up file
+ * @returns {string|null}
+ */
+function newestBackupIn(backupDir, name) {
+  if (!existsSync(backupDir)) return null;
+
+  // backupFile() names them "<file>.<timestamp>.bak", then "-1", "-2", ... within a second
+  const stem = `${name}.`;
+  const pattern = /^(\d{4}-\d{2}-\d{2}-\d{2}-\d{2}-\d{2})(?:-(\d+))?\.bak$/;
+  const found = readdirSync(backupDir).flatMap((entry) => {
+    const m = entry.startsWith(stem) && pattern.exec(entry.slice(stem.length));
+    return m ? [{ entry, ts: m[1], n: Number(m[2] || 0) }] : [];
+  });
+  if (found.length === 0) return null;
+
+  found.sort((a, b) => a.ts.localeCompare(b.ts) || a.n - b.n);
+  return join(backupDir, found[found.length - 1].entry);
+}
+
+/**
+ * Newest backup of a user's file in their admin-snapshots directory. Backups
+ * made before snapshots kept the file's subdirectory sit flat in
+ * admin-snapshots/; they are used when the subdirectory has none.
+ * @param {string} dataRoot
+ * @param {string} handle
+ * @param {string} relativeFilePath - e.g. "worlds/Shared.json"
+ * @returns {string|null} Path to the backup, or null if there is none
+ */
+export function latestUserBackup(dataRoot, handle, relativeFilePath) {
+  const name = basename(relativeFilePath);
+  return newestBackupIn(userSnapshotBackupDir(dataRoot, handle, relativeFilePath), name)
+    ?? newestBackupIn(userSnapshotsDir(dataRoot, handle), name);
+}
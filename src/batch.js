@@ -1,6 +1,7 @@
 import cliProgress from 'cli-progress';
 import chalk from 'chalk';
-import { printBatchReport } from './ui.js';
+import { printBatchReport, info } from './ui.js';
+import { startJournal, userRecorder, changeCount, writeJournal } from './lib/journal.js';
 
 /**
  * @typedef {Object} BatchResults
@@ -13,13 +14,19 @@ import { printBatchReport } from './ui.js';
  * Run an operation for each user in the list, with progress tracking
  * and per-user error isolation.
  *
+ * When options.journal is given, every change the operation records through
+ * its recorder is written to a journal under backupRoot so it can be rolled back.
+ *
  * @param {string[]} users - User handles to operate on
- * @param {(handle: string) => Promise<'success'|{skipped: string}>} operationFn
+ * @param {(handle: string, tx: import('./lib/journal.js').UserRecorder) => Promise<'success'|{skipped: string}>} operationFn
  *   Async function called per user. Return 'success' or { skipped: 'reason' }.
- *   Throwing an error marks the user as failed.
+ *   Throwing an error marks the user as failed. Files it touches should be
+ *   reported through `tx`.
  * @param {string} label - Human-readable label for the operation
  * @param {object} [options]
  * @param {boolean} [options.dryRun=false] - If true, the operationFn should handle dry-run internally
+ * @param {{ backupRoot: string, dataRoot: string, params: object }} [options.journal]
+ *   Journal settings; see journalOptions()
  * @returns {Promise<BatchResults>}
  */
 export async function batchOperation(users, operationFn, label, options = {}) {
@@ -39,13 +46,15 @@ export async function batchOperation(users, operationFn, label, options = {}) {
     clearOnComplete: false,
   });
 
+  const journal = startJournal(label, options.journal?.dataRoot, options.journal?.params ?? {});
+
   console.log('');
   bar.start(users.length, 0, { status: 'Starting...' });
 
   for (const handle of users) {
     bar.update({ status: handle });
     try {
-      const result = await operationFn(handle);
+      const result = await operationFn(handle, userRecorder(journal, handle));
       if (result && typeof result === 'object' && result.skipped) {
         results.skipped.push({ handle, reason: result.skipped });
       } else {
@@ -61,5 +70,12 @@ export async function batchOperation(users, operationFn, label, options = {}) {
   bar.stop();
 
   printBatchReport(results, label);
+
+  if (options.journal && !options.dryRun && changeCount(journal) > 0) {
+    journal.finishedAt = new Date().toISOString();
+    const path = writeJournal(options.journal.backupRoot, journal);
+    info(`Journal: ${path}`);
+  }
+
   return results;
 }
@@ -0,0 +1,201 @@
+import { parseArgs } from 'node:util';
+import { confirm, log } from '@clack/prompts';
+import chalk from 'chalk';
+import { loadConfig } from './config.js';
+import { MODULES } from './menu.js';
+
+/**
+ * Exit codes for non-interactive runs.
+ * OK: every user succeeded or was skipped. FAILED: at least one user failed.
+ * ERROR: bad arguments, cancelled confirmation, or an operation-level error.
+ */
+export const EXIT = { OK: 0, FAILED: 1, ERROR: 2 };
+
+/**
+ * @typedef {Object} CliArgs
+ * @property {string[]} positionals - Arguments after the command name
+ * @property {object} values - Parsed options (common + module-specific)
+ * @property {(message: string) => Promise<void>} confirm
+ *   Resolves when the operation may go ahead (--yes, or answered yes on a TTY).
+ *   Throws otherwise.
+ */
+
+/** Options understood by every command. */
+const COMMON_OPTIONS = {
+  users:     { type: 'string' },
+  yes:       { type: 'boolean', short: 'y', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  config:    { type: 'string' },
+  help:      { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Look up a command and load its module.
+ * @param {string} command - Command name (a MODULES key)
+ * @returns {Promise<{ entry: {path: string, label: string}, mod: object }>}
+ */
+export async function loadCommand(command) {
+  const entry = MODULES[command];
+  if (!entry) throw new Error(`Unknown command: ${command}`);
+
+  const mod = await import(entry.path);
+  if (typeof mod.runCli !== 'function') {
+    throw new Error(`"${entry.label}" cannot be run non-interactively.`);
+  }
+  return { entry, mod };
+}
+
+/**
+ * Build parsed option values from a plain object, the way parseArgs would
+ * from the command line: unknown keys are rejected, defaults filled in,
+ * undefined/null values left out, arrays joined with commas and other
+ * values coerced to the declared type.
+ * @param {object} mod - Loaded command module
+ * @param {object} options - Option name to value
+ * @returns {object} Values suitable for CliArgs.values
+ */
+export function valuesFromObject(mod, options) {
+  const spec = { ...COMMON_OPTIONS, ...mod.CLI_OPTIONS };
+  const values = {};
+
+  for (const [name, def] of Object.entries(spec)) {
+    if (def.default !== undefined) values[name] = def.default;
+  }
+
+  for (const [name, raw] of Object.entries(options)) {
+    // Unset options keep their default, as if they were left off the command line
+    if (raw === undefined || raw === null) continue;
+    const def = spec[name];
+    if (!def) throw new Error(`Unknown option "${name}"`);
+
+    if (def.type === 'boolean') {
+      values[name] = raw === true || raw === 'true';
+    } else {
+      values[name] = Array.isArray(raw) ? raw.join(',') : String(raw);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Print top-level usage.
+ */
+function printUsage() {
+  console.log(`
+Usage: timeless <command> [options]
+       timeless                      Start the interactive menu
+
+Commands:
+${Object.entries(MODULES).map(([key, mod]) => `  ${key.padEnd(20)} ${mod.label}`).join('\n')}
+
+Common options:
+  --users <all|a,b>    Users to operate on
+  -y, --yes            Don't ask for confirmation (required without a TTY)
+  --dry-run            Preview changes without writing anything
+  --config <path>      Use a different config.json
+  -h, --help           Show help for a command
+
+Exit codes: 0 = all users succeeded or were skipped, 1 = some users failed,
+2 = usage error or aborted.
+`);
+}
+
+/**
+ * Build the confirmation callback handed to modules.
+ * @param {boolean} yes - Whether --yes was passed
+ * @returns {(message: string) => Promise<void>}
+ */
+export function makeConfirm(yes) {
+  return async (message) => {
+    if (yes) return;
+
+    if (!process.stdin.isTTY) {
+      throw new Error(`${message}\n  Refusing to continue without a TTY. Re-run with --yes to confirm.`);
+    }
+
+    const proceed = await confirm({ message });
+    if (typeof proceed === 'symbol' || !proceed) {
+      throw new Error('Cancelled.');
+    }
+  };
+}
+
+/**
+ * Collapse batch results into an exit code.
+ * @param {import('./batch.js').BatchResults[]} results
+ * @returns {number}
+ */
+function exitCodeFor(results) {
+  return results.some(r => r.failed.length > 0) ? EXIT.FAILED : EXIT.OK;
+}
+
+/**
+ * Run a single command non-interactively.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runCommand(argv) {
+  const [command, ...rest] = argv;
+
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    printUsage();
+    return EXIT.OK;
+  }
+
+  if (!MODULES[command]) {
+    log.error(`Unknown command: ${command}`);
+    printUsage();
+    return EXIT.ERROR;
+  }
+
+  let mod;
+  try {
+    ({ mod } = await loadCommand(command));
+  } catch (err) {
+    log.error(err.message);
+    return EXIT.ERROR;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...COMMON_OPTIONS, ...mod.CLI_OPTIONS },
+      allowPositionals: true,
+    });
+  } catch (err) {
+    log.error(err.message);
+    console.log(`\nUsage: timeless ${mod.CLI_USAGE}\n`);
+    return EXIT.ERROR;
+  }
+
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    console.log(`\nUsage: timeless ${mod.CLI_USAGE}\n`);
+    return EXIT.OK;
+  }
+
+  let config = await loadConfig(values.config);
+  if (values['dry-run'] && !config.dryRun) {
+    config = Object.freeze({ ...config, dryRun: true });
+  }
+
+  if (config.dryRun) {
+    console.log(chalk.yellow.bold('\n  DRY RUN MODE — no changes will be made\n'));
+  }
+
+  try {
+    const results = await mod.runCli(config, {
+      positionals,
+      values,
+      confirm: makeConfirm(values.yes),
+    });
+    return exitCodeFor(results);
+  } catch (err) {
+    log.error(err.message);
+    if (process.env.DEBUG) console.error(err);
+    return EXIT.ERROR;
+  }
+}
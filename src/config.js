@@ -2,6 +2,7 @@ import { readFileSync, existsSync, writeFileSync } from 'node:fs';
 import { join, resolve, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { text, confirm, intro, log } from '@clack/prompts';
+import { BACKENDS } from './lib/backup-store.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const CONFIG_PATH = resolve(join(__dirname, '..', 'config.json'));
@@ -18,13 +19,23 @@ const DEFAULTS = {
   serverPort: 8000,
   pm2Name: 'sillytavern',
   dryRun: false,
+  backupBackend: 'copy',
+  settingsReference: null,
+  cardMaxBytes: 10 * 1024 * 1024,
+  backupRetention: {
+    keepLast: 10,
+    keepDailyDays: 14,
+    keepWeeklyWeeks: 8,
+    maxTotalBytes: 0,
+  },
 };
 
 /**
  * Interactively create a config.json when one doesn't exist.
+ * @param {string} configPath - Where to write the new config
  * @returns {object} The new config
  */
-async function createConfigInteractively() {
+async function createConfigInteractively(configPath) {
   log.warn('No config.json found. Let\'s set one up.');
 
   const stRoot = await text({
@@ -64,10 +75,13 @@ async function createConfigInteractively() {
     serverPort: parseInt(serverPort, 10),
     pm2Name,
     dryRun: false,
+    backupBackend: DEFAULTS.backupBackend,
+    cardMaxBytes: DEFAULTS.cardMaxBytes,
+    backupRetention: DEFAULTS.backupRetention,
   };
 
-  writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2) + '\n');
-  log.success(`Config written to ${CONFIG_PATH}`);
+  writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n');
+  log.success(`Config written to ${configPath}`);
   return config;
 }
 
@@ -93,21 +107,25 @@ function validatePaths(config) {
 
 /**
  * Load and validate the config. Creates interactively if missing.
+ * @param {string} [configPath] - Config file to load (defaults to the bundled config.json)
  * @returns {Promise<object>} Frozen config object
  */
-export async function loadConfig() {
+export async function loadConfig(configPath = CONFIG_PATH) {
   let config;
 
-  if (existsSync(CONFIG_PATH)) {
+  if (existsSync(configPath)) {
     try {
-      const raw = readFileSync(CONFIG_PATH, 'utf-8');
+      const raw = readFileSync(configPath, 'utf-8');
       config = JSON.parse(raw);
     } catch (err) {
-      log.error(`Failed to parse config.json: ${err.message}`);
+      log.error(`Failed to parse ${configPath}: ${err.message}`);
       process.exit(1);
     }
+  } else if (!process.stdin.isTTY) {
+    log.error(`Config file not found: ${configPath}`);
+    process.exit(1);
   } else {
-    config = await createConfigInteractively();
+    config = await createConfigInteractively(configPath);
   }
 
   // Fill in any missing keys with defaults
@@ -117,6 +135,9 @@ export async function loadConfig() {
     }
   }
 
+  // Partial retention policies keep the defaults for unset fields
+  config.backupRetention = { ...DEFAULTS.backupRetention, ...config.backupRetention };
+
   // Validate required keys are present
   for (const key of REQUIRED_KEYS) {
     if (!config[key]) {
@@ -125,6 +146,16 @@ export async function loadConfig() {
     }
   }
 
+  if (!BACKENDS.includes(config.backupBackend)) {
+    log.error(`Invalid backupBackend "${config.backupBackend}" (expected ${BACKENDS.join(' or ')})`);
+    process.exit(1);
+  }
+
+  if (!Number.isInteger(config.cardMaxBytes) || config.cardMaxBytes < 0) {
+    log.error(`Invalid cardMaxBytes "${config.cardMaxBytes}" (expected a byte count, or 0 for no limit)`);
+    process.exit(1);
+  }
+
   validatePaths(config);
 
   return Object.freeze(config);
@@ -0,0 +1,67 @@
+import { execFileSync } from 'node:child_process';
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+/**
+ * Run tar and return its stdout. Errors carry tar's stderr message.
+ * @param {string[]} args
+ * @returns {string}
+ */
+function tar(args) {
+  try {
+    return execFileSync('tar', args, { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+  } catch (err) {
+    const detail = err.stderr?.toString().trim().split('\n').pop();
+    throw new Error(`tar failed: ${detail || err.message}`);
+  }
+}
+
+/**
+ * Create a gzip-compressed tar archive of paths inside a directory.
+ * Symlinks are stored as symlinks, not followed.
+ * @param {string} sourceDir - Directory the paths are relative to
+ * @param {string} archivePath - Output .tar.gz path
+ * @param {object} [options]
+ * @param {string[]} [options.include=['.']] - Paths relative to sourceDir
+ * @param {string[]} [options.exclude=[]] - tar --exclude patterns (e.g. "thumbnails", "*.tmp")
+ */
+export function createArchive(sourceDir, archivePath, { include = ['.'], exclude = [] } = {}) {
+  mkdirSync(dirname(archivePath), { recursive: true });
+  tar([
+    '-czf', archivePath,
+    ...exclude.map(pattern => `--exclude=${pattern}`),
+    '-C', sourceDir,
+    '--',
+    ...include,
+  ]);
+}
+
+/**
+ * List the top-level entries in an archive (e.g. "chats", "settings.json").
+ * @param {string} archivePath
+ * @returns {string[]}
+ */
+export function listArchiveTopLevel(archivePath) {
+  const names = tar(['-tzf', archivePath])
+    .split('\n')
+    .map(line => line.replace(/^\.\//, '').split('/')[0])
+    .filter(name => name && name !== '.');
+  return [...new Set(names)].sort();
+}
+
+/**
+ * Extract an archive into a directory, overwriting files that exist in the
+ * archive. Files that aren't in the archive are left alone.
+ * @param {string} archivePath
+ * @param {string} targetDir
+ * @param {string[]} [members] - Top-level entries to extract (default: everything)
+ */
+export function extractArchive(archivePath, targetDir, members = []) {
+  mkdirSync(targetDir, { recursive: true });
+
+  // Archives made with include ['.'] store "./chats/..." rather than "chats/..."
+  const stored = new Set(tar(['-tzf', archivePath]).split('\n').map(l => l.split('/')[0]));
+  const memberArgs = members.map(m => (stored.has(m) ? m : `./${m}`));
+
+  tar(['-xzf', archivePath, '-C', targetDir, '--', ...memberArgs]);
+}
@@ -0,0 +1,167 @@
+import {
+  copyFileSync, mkdirSync, existsSync, readdirSync, renameSync,
+  statSync, unlinkSync, lstatSync
+} from 'node:fs';
+import { join, dirname } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { hashFile, manifestEntry, readManifest, tryReadManifest } from './manifest.js';
+
+/**
+ * Backup storage backends.
+ * "copy": files are copied into <set>/<handle>/<path>.
+ * "dedup": file contents are stored once by SHA-256 under <backupRoot>/objects/
+ * and the set directory only holds its manifest.
+ */
+export const BACKENDS = ['copy', 'dedup'];
+
+/** Content-addressed object store directory name under backupRoot. */
+export const OBJECTS_DIR = 'objects';
+
+/**
+ * Path of a stored object.
+ * @param {string} backupRoot
+ * @param {string} sha256
+ * @returns {string}
+ */
+export function objectPath(backupRoot, sha256) {
+  return join(backupRoot, OBJECTS_DIR, sha256.slice(0, 2), sha256);
+}
+
+/**
+ * Store one user file in a backup set and return its manifest record.
+ * @param {string} backupRoot
+ * @param {'copy'|'dedup'} backend
+ * @param {string} setDir - Backup set directory
+ * @param {string} handle
+ * @param {string} relativePath - Path relative to the user directory
+ * @param {string} sourcePath - The live file
+ * @returns {import('./manifest.js').ManifestFile}
+ */
+export function storeFile(backupRoot, backend, setDir, handle, relativePath, sourcePath) {
+  if (backend !== 'dedup') {
+    const storedPath = join(setDir, handle, relativePath);
+    mkdirSync(dirname(storedPath), { recursive: true });
+    copyFileSync(sourcePath, storedPath);
+    return manifestEntry(handle, relativePath, sourcePath, storedPath);
+  }
+
+  // Copy first and hash the copy, so the recorded hash always matches what
+  // was stored even if the live file changes meanwhile.
+  const objectsDir = join(backupRoot, OBJECTS_DIR);
+  mkdirSync(objectsDir, { recursive: true });
+  const tmpPath = join(objectsDir, `.tmp-${randomBytes(6).toString('hex')}`);
+  copyFileSync(sourcePath, tmpPath);
+
+  const sha256 = hashFile(tmpPath);
+  const size = statSync(tmpPath).size;
+  const target = objectPath(backupRoot, sha256);
+
+  if (existsSync(target)) {
+    unlinkSync(tmpPath);
+  } else {
+    mkdirSync(dirname(target), { recursive: true });
+    renameSync(tmpPath, target);
+  }
+
+  return {
+    user: handle,
+    path: relativePath,
+    size,
+    sha256,
+    mtime: statSync(sourcePath).mtime.toISOString(),
+  };
+}
+
+/**
+ * Where a manifest entry's contents are stored.
+ * @param {string} backupRoot
+ * @param {string} setDir
+ * @param {import('./manifest.js').Manifest|null} manifest
+ * @param {import('./manifest.js').ManifestFile} file
+ * @returns {string}
+ */
+export function storedFilePath(backupRoot, setDir, manifest, file) {
+  return manifest?.backend === 'dedup'
+    ? objectPath(backupRoot, file.sha256)
+    : join(setDir, file.user, file.path);
+}
+
+/**
+ * Recursively list regular files under a directory, as paths relative to it.
+ * @param {string} dir
+ * @param {string} [prefix]
+ * @returns {string[]}
+ */
+function walkFiles(dir, prefix = '') {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((e) => {
+    const rel = prefix ? `${prefix}/${e.name}` : e.name;
+    if (e.isDirectory()) return walkFiles(join(dir, e.name), rel);
+    return e.isFile() ? [rel] : [];
+  });
+}
+
+/**
+ * Every user file held by a backup set, regardless of backend.
+ * @param {string} backupRoot
+ * @param {string} setDir
+ * @returns {Array<{ handle: string, file: string, storedPath: string }>}
+ */
+export function backupSetFiles(backupRoot, setDir) {
+  const manifest = readManifest(setDir);
+
+  if (manifest?.backend === 'dedup') {
+    return manifest.files.map(f => ({
+      handle: f.user,
+      file: f.path,
+      storedPath: objectPath(backupRoot, f.sha256),
+    }));
+  }
+
+  return readdirSync(setDir, { withFileTypes: true })
+    .filter(e => e.isDirectory())
+    .map(e => e.name)
+    .sort()
+    .flatMap(handle => walkFiles(join(setDir, handle)).map(file => ({
+      handle,
+      file,
+      storedPath: join(setDir, handle, file),
+    })));
+}
+
+/**
+ * Find (and unless dryRun, delete) objects no remaining backup set refers to.
+ * Nothing is collected while any manifest is unreadable, since the objects
+ * it refers to can't be told apart from garbage.
+ * @param {string} backupRoot
+ * @param {string[]} setDirs - Backup sets that still exist (or will, after pruning)
+ * @param {boolean} [dryRun=false]
+ * @returns {{ count: number, bytes: number, unreadable: string[] }} unreadable: sets whose manifest can't be read
+ */
+export function collectGarbage(backupRoot, setDirs, dryRun = false) {
+  const objectsDir = join(backupRoot, OBJECTS_DIR);
+  if (!existsSync(objectsDir)) return { count: 0, bytes: 0, unreadable: [] };
+
+  const referenced = new Set();
+  const unreadable = [];
+  for (const dir of setDirs) {
+    const { manifest, error } = tryReadManifest(dir);
+    if (error) unreadable.push(dir);
+    if (manifest?.backend !== 'dedup') continue;
+    for (const f of manifest.files) referenced.add(f.sha256);
+  }
+  if (unreadable.length > 0) return { count: 0, bytes: 0, unreadable };
+
+  let count = 0;
+  let bytes = 0;
+  for (const bucket of readdirSync(objectsDir, { withFileTypes: true })) {
+    if (!bucket.isDirectory()) continue;
+    for (const name of readdirSync(join(objectsDir, bucket.name))) {
+      if (referenced.has(name)) continue;
+      const path = join(objectsDir, bucket.name, name);
+      count++;
+      bytes += lstatSync(path).size;
+      if (!dryRun) unlinkSync(path);
+    }
+  }
+  return { count, bytes, unreadable };
+}
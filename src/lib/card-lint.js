@@ -0,0 +1,237 @@
+import { readFileSync, statSync } from 'node:fs';
+import { basename } from 'node:path';
+import { PNG_SIGNATURE, CARD_KEYWORDS, crc32, readPngTextChunks, decodeCardChunk } from './card-metadata.js';
+import { formatBytes } from './format.js';
+
+/**
+ * @typedef {Object} CardLint
+ * @property {string[]} errors - Problems that make SillyTavern fail to load or misread the card
+ * @property {string[]} warnings
+ */
+
+/** Spec fields every V2/V3 card's data must have, with their JSON types. */
+const V2_FIELDS = {
+  name: 'string',
+  description: 'string',
+  personality: 'string',
+  scenario: 'string',
+  first_mes: 'string',
+  mes_example: 'string',
+  creator_notes: 'string',
+  system_prompt: 'string',
+  post_history_instructions: 'string',
+  alternate_greetings: 'array',
+  tags: 'array',
+  creator: 'string',
+  character_version: 'string',
+  extensions: 'object',
+};
+
+/** Additional V3 data fields. */
+const V3_FIELDS = { group_only_greetings: 'array' };
+
+/** Fields SillyTavern reads directly; missing ones are errors, the rest warnings. */
+const CORE_FIELDS = ['name', 'description', 'personality', 'scenario', 'first_mes', 'mes_example'];
+
+/** Characters that aren't allowed in filenames on some platform SillyTavern runs on. */
+const UNSAFE_FILENAME_CHARS = /[<>:"/\\|?*\u0000-\u001f]/;
+
+/**
+ * JSON type name of a value.
+ * @param {any} value
+ * @returns {string}
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Check the PNG chunk structure: signature, IHDR first, chunk CRCs, IEND
+ * present and nothing truncated.
+ * @param {Buffer} buffer
+ * @returns {CardLint}
+ */
+function lintPngStructure(buffer) {
+  const errors = [];
+  const warnings = [];
+  if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return { errors: ['Not a PNG file (bad signature)'], warnings };
+  }
+
+  let offset = PNG_SIGNATURE.length;
+  let first = true;
+  let ended = false;
+  while (offset < buffer.length) {
+    if (offset + 12 > buffer.length) {
+      errors.push('PNG is truncated (incomplete chunk header)');
+      break;
+    }
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      errors.push(`PNG is truncated (${type} chunk runs past the end of the file)`);
+      break;
+    }
+    if (first && type !== 'IHDR') errors.push(`PNG does not start with an IHDR chunk (found ${type})`);
+    first = false;
+
+    if (crc32(buffer.subarray(offset + 4, offset + 8 + length)) !== buffer.readUInt32BE(offset + 8 + length)) {
+      errors.push(`PNG ${type} chunk has a bad CRC`);
+    }
+    offset = end;
+    if (type === 'IEND') {
+      ended = true;
+      break;
+    }
+  }
+
+  if (!ended && errors.length === 0) errors.push('PNG has no IEND chunk');
+  if (ended && offset < buffer.length) warnings.push(`${buffer.length - offset} byte(s) of trailing data after IEND`);
+  return { errors, warnings };
+}
+
+/**
+ * Check one embedded lorebook against the V2 character_book shape.
+ * @param {any} book
+ * @returns {CardLint}
+ */
+function lintCharacterBook(book) {
+  const errors = [];
+  const warnings = [];
+  if (jsonType(book) !== 'object') return { errors: ['character_book is not an object'], warnings };
+  if (!Array.isArray(book.entries)) return { errors: ['character_book.entries is not an array'], warnings };
+
+  book.entries.forEach((entry, i) => {
+    const where = `character_book entry ${i}${entry?.comment ? ` ("${entry.comment}")` : ''}`;
+    if (jsonType(entry) !== 'object') {
+      errors.push(`${where} is not an object`);
+      return;
+    }
+    if (!Array.isArray(entry.keys) || entry.keys.some(k => typeof k !== 'string')) {
+      errors.push(`${where}: "keys" must be an array of strings`);
+    } else if (entry.keys.length === 0 && !entry.constant) {
+      warnings.push(`${where} has no keys and isn't constant, so it never triggers`);
+    }
+    if (typeof entry.content !== 'string') errors.push(`${where}: "content" must be a string`);
+    if (typeof entry.enabled !== 'boolean') warnings.push(`${where}: "enabled" should be a boolean`);
+    if (typeof entry.insertion_order !== 'number') warnings.push(`${where}: "insertion_order" should be a number`);
+  });
+  return { errors, warnings };
+}
+
+/**
+ * Check decoded card JSON against the V2/V3 spec.
+ * @param {object} card
+ * @param {string} keyword - The chunk it came from
+ * @returns {CardLint}
+ */
+function lintCardData(card, keyword) {
+  const errors = [];
+  const warnings = [];
+  const isV3 = card.spec === 'chara_card_v3';
+
+  if (card.spec === undefined) {
+    warnings.push(`${keyword}: legacy V1 card (no "spec"); SillyTavern converts it on import`);
+    if (typeof card.name !== 'string' || !card.name.trim()) errors.push(`${keyword}: "name" is empty`);
+    return { errors, warnings };
+  }
+  if (card.spec !== 'chara_card_v2' && !isV3) {
+    errors.push(`${keyword}: unknown spec "${card.spec}"`);
+    return { errors, warnings };
+  }
+  if (jsonType(card.data) !== 'object') {
+    errors.push(`${keyword}: "data" is missing`);
+    return { errors, warnings };
+  }
+
+  const fields = isV3 ? { ...V2_FIELDS, ...V3_FIELDS } : V2_FIELDS;
+  for (const [field, type] of Object.entries(fields)) {
+    const value = card.data[field];
+    const problems = CORE_FIELDS.includes(field) ? errors : warnings;
+    if (value === undefined) {
+      problems.push(`${keyword}: required field "${field}" is missing`);
+    } else if (jsonType(value) !== type) {
+      problems.push(`${keyword}: "${field}" should be ${type === 'array' ? 'an' : 'a'} ${type}, not ${jsonType(value)}`);
+    }
+  }
+  if (typeof card.data.name === 'string' && !card.data.name.trim()) errors.push(`${keyword}: "name" is empty`);
+
+  if (card.data.character_book !== undefined) {
+    const book = lintCharacterBook(card.data.character_book);
+    errors.push(...book.errors.map(e => `${keyword}: ${e}`));
+    warnings.push(...book.warnings.map(w => `${keyword}: ${w}`));
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Check that a card filename is safe on every platform SillyTavern runs on.
+ * @param {string} filename
+ * @returns {CardLint}
+ */
+function lintFilename(filename) {
+  const errors = [];
+  const warnings = [];
+  if (!filename.toLowerCase().endsWith('.png')) errors.push(`Filename "${filename}" doesn't end in .png`);
+  if (UNSAFE_FILENAME_CHARS.test(filename)) errors.push(`Filename "${filename}" contains characters that aren't allowed on all platforms`);
+  if (filename.startsWith('.')) errors.push(`Filename "${filename}" starts with a dot (hidden file)`);
+  if (/[. ]$/.test(filename.slice(0, -4))) errors.push(`Filename "${filename}" has a trailing dot or space before the extension`);
+  if (Buffer.byteLength(filename) > 255) errors.push(`Filename "${filename}" is longer than 255 bytes`);
+  if (/[^\x20-\x7e]/.test(filename)) warnings.push(`Filename "${filename}" has non-ASCII characters`);
+  return { errors, warnings };
+}
+
+/**
+ * Lint a character card before distributing it.
+ * @param {string} path
+ * @param {{maxBytes?: number}} [options] - maxBytes: size limit (0 for none)
+ * @returns {CardLint}
+ */
+export function lintCard(path, { maxBytes = 0 } = {}) {
+  const errors = [];
+  const warnings = [];
+  const add = (lint) => {
+    errors.push(...lint.errors);
+    warnings.push(...lint.warnings);
+  };
+
+  add(lintFilename(basename(path)));
+
+  const size = statSync(path).size;
+  if (maxBytes > 0 && size > maxBytes) {
+    errors.push(`File is ${formatBytes(size)}, over the ${formatBytes(maxBytes)} limit (cardMaxBytes)`);
+  }
+
+  const buffer = readFileSync(path);
+  const structure = lintPngStructure(buffer);
+  add(structure);
+  if (structure.errors.some(e => e.startsWith('Not a PNG'))) return { errors, warnings };
+
+  const chunks = readPngTextChunks(buffer);
+  const present = CARD_KEYWORDS.filter(k => chunks.has(k));
+  if (present.length === 0) {
+    errors.push('No character data (no "chara" or "ccv3" tEXt chunk)');
+    return { errors, warnings };
+  }
+
+  const names = new Map();
+  for (const keyword of present) {
+    let card;
+    try {
+      card = decodeCardChunk(chunks.get(keyword));
+    } catch (err) {
+      errors.push(`${keyword}: card JSON doesn't decode (${err.message})`);
+      continue;
+    }
+    add(lintCardData(card, keyword));
+    names.set(keyword, (card.data ?? card).name);
+  }
+
+  if (!chunks.has('chara')) warnings.push('No "chara" chunk; SillyTavern versions without V3 support can\'t read this card');
+  if (names.size === 2 && names.get('chara') !== names.get('ccv3')) {
+    warnings.push(`"chara" and "ccv3" disagree on the name ("${names.get('chara')}" vs "${names.get('ccv3')}")`);
+  }
+  return { errors, warnings };
+}
@@ -0,0 +1,249 @@
+import { readFileSync } from 'node:fs';
+
+/** The 8-byte PNG file signature. */
+export const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** tEXt keywords holding card JSON, most preferred first. */
+export const CARD_KEYWORDS = ['ccv3', 'chara'];
+
+/** CRC-32 lookup table (PNG polynomial). */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer.
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * What a character card says about itself.
+ * @typedef {Object} CardMetadata
+ * @property {string} name
+ * @property {string} creator - Empty when not set
+ * @property {string} characterVersion - Empty when not set
+ * @property {string[]} tags
+ * @property {string} spec - e.g. "chara_card_v3", "chara_card_v2", or "v1" for legacy cards
+ * @property {string} specVersion - Empty for legacy cards
+ * @property {object|null} characterBook - The embedded lorebook, if any
+ * @property {'ccv3'|'chara'} chunk - The tEXt chunk it was read from
+ */
+
+/**
+ * Read the tEXt chunks of a PNG.
+ * @param {Buffer} buffer - Whole PNG file
+ * @returns {Map<string, string>} Keyword → text (first occurrence wins)
+ * @throws {Error} When the buffer isn't a PNG
+ */
+export function readPngTextChunks(buffer) {
+  if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const chunks = new Map();
+  let offset = PNG_SIGNATURE.length;
+  // Each chunk: 4-byte length, 4-byte type, data, 4-byte CRC
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const dataStart = offset + 8;
+    const dataEnd = dataStart + length;
+    if (dataEnd + 4 > buffer.length) break; // truncated file
+    if (type === 'IEND') break;
+
+    if (type === 'tEXt') {
+      const data = buffer.subarray(dataStart, dataEnd);
+      const separator = data.indexOf(0);
+      if (separator > 0) {
+        const keyword = data.toString('latin1', 0, separator);
+        if (!chunks.has(keyword)) chunks.set(keyword, data.toString('latin1', separator + 1));
+      }
+    }
+    offset = dataEnd + 4;
+  }
+  return chunks;
+}
+
+/**
+ * Normalize decoded card JSON (V1, V2 or V3) into CardMetadata.
+ * @param {object} card
+ * @param {'ccv3'|'chara'} chunk
+ * @returns {CardMetadata}
+ */
+function normalizeCard(card, chunk) {
+  // V2/V3 keep the fields under "data"; V1 cards have them at the top level
+  const data = card.data && typeof card.data === 'object' ? card.data : card;
+  const book = data.character_book;
+  return {
+    name: typeof data.name === 'string' ? data.name : '',
+    creator: typeof data.creator === 'string' ? data.creator : '',
+    characterVersion: typeof data.character_version === 'string' ? data.character_version : '',
+    tags: Array.isArray(data.tags) ? data.tags.filter(t => typeof t === 'string') : [],
+    spec: typeof card.spec === 'string' ? card.spec : 'v1',
+    specVersion: typeof card.spec_version === 'string' ? card.spec_version : '',
+    characterBook: book && typeof book === 'object' ? book : null,
+    chunk,
+  };
+}
+
+/**
+ * Decode the base64 JSON of a "chara" or "ccv3" chunk.
+ * @param {string} text
+ * @returns {object}
+ * @throws {Error} When it isn't a base64-encoded JSON object
+ */
+export function decodeCardChunk(text) {
+  const card = JSON.parse(Buffer.from(text, 'base64').toString('utf-8'));
+  if (card === null || typeof card !== 'object' || Array.isArray(card)) {
+    throw new Error('card data is not a JSON object');
+  }
+  return card;
+}
+
+/**
+ * Decode card metadata from PNG bytes. A "ccv3" chunk is preferred over
+ * "chara", falling back when it doesn't decode.
+ * @param {Buffer} buffer - Whole PNG file
+ * @returns {CardMetadata|null} null when the PNG carries no readable card data
+ * @throws {Error} When the buffer isn't a PNG
+ */
+export function parseCardMetadata(buffer) {
+  const chunks = readPngTextChunks(buffer);
+  for (const keyword of CARD_KEYWORDS) {
+    if (!chunks.has(keyword)) continue;
+    try {
+      return normalizeCard(decodeCardChunk(chunks.get(keyword)), keyword);
+    } catch {
+      // Try the next chunk
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a card's metadata from disk.
+ * @param {string} path
+ * @returns {CardMetadata|null} null when the file can't be read or isn't a card
+ */
+export function readCardMetadata(path) {
+  try {
+    return parseCardMetadata(readFileSync(path));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Number of entries in an embedded character_book.
+ * @param {object|null} book
+ * @returns {number}
+ */
+export function characterBookEntryCount(book) {
+  if (!book) return 0;
+  if (Array.isArray(book.entries)) return book.entries.length;
+  return book.entries && typeof book.entries === 'object' ? Object.keys(book.entries).length : 0;
+}
+
+/**
+ * Human label for a card, e.g. "Aria v1.3 by hype".
+ * @param {CardMetadata|null} meta
+ * @param {string} filename - Used when the card has no name
+ * @returns {string}
+ */
+export function formatCardLabel(meta, filename) {
+  if (!meta?.name) return filename;
+  let label = meta.name;
+  if (meta.characterVersion) {
+    label += /^\d/.test(meta.characterVersion) ? ` v${meta.characterVersion}` : ` ${meta.characterVersion}`;
+  }
+  if (meta.creator) label += ` by ${meta.creator}`;
+  return label;
+}
+
+/**
+ * One-line summary of the rest of a card's metadata: spec, tags and
+ * embedded lorebook.
+ * @param {CardMetadata} meta
+ * @returns {string}
+ */
+export function formatCardDetails(meta) {
+  const parts = [meta.specVersion ? `${meta.spec} ${meta.specVersion}` : meta.spec];
+  if (meta.tags.length > 0) parts.push(`tags: ${meta.tags.join(', ')}`);
+  if (meta.characterBook) {
+    const bookName = meta.characterBook.name ? `"${meta.characterBook.name}", ` : '';
+    parts.push(`lorebook: ${bookName}${characterBookEntryCount(meta.characterBook)} entries`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Build a PNG chunk.
+ * @param {string} type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function pngChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+  return Buffer.concat([header, data, crc]);
+}
+
+/**
+ * Rewrite the card JSON in every "chara"/"ccv3" chunk. Other chunks are
+ * copied unchanged.
+ * @param {Buffer} buffer - Whole PNG file
+ * @param {(card: object) => object} update - Returns the new card JSON
+ * @returns {Buffer} The new PNG
+ * @throws {Error} When the buffer isn't a PNG or a card chunk doesn't decode
+ */
+export function rewriteCardData(buffer, update) {
+  if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const parts = [PNG_SIGNATURE];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    const separator = type === 'tEXt' ? data.indexOf(0) : -1;
+    const keyword = separator > 0 ? data.toString('latin1', 0, separator) : null;
+
+    if (CARD_KEYWORDS.includes(keyword)) {
+      const card = update(decodeCardChunk(data.toString('latin1', separator + 1)));
+      const encoded = Buffer.from(JSON.stringify(card), 'utf-8').toString('base64');
+      parts.push(pngChunk('tEXt', Buffer.from(`${keyword}\0${encoded}`, 'latin1')));
+    } else {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Set a card's primary lorebook (data.extensions.world).
+ * @param {Buffer} buffer - Whole PNG file
+ * @param {string} worldName
+ * @returns {Buffer} The new PNG
+ */
+export function setCardWorld(buffer, worldName) {
+  return rewriteCardData(buffer, (card) => {
+    if (!card.data || typeof card.data !== 'object') return card; // V1 cards have no extensions
+    return { ...card, data: { ...card.data, extensions: { ...card.data.extensions, world: worldName } } };
+  });
+}
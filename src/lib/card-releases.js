@@ -0,0 +1,80 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { hashFile } from './manifest.js';
+import { readCardMetadata } from './card-metadata.js';
+
+/**
+ * One published revision of a card.
+ * @typedef {Object} CardRelease
+ * @property {string} sha256
+ * @property {string} version - The card's character_version ('' when unset)
+ * @property {string} pushedAt - ISO timestamp of the first push
+ */
+
+/**
+ * How a user's copy of a card relates to a new revision.
+ * "missing": no copy; "current": already the new revision;
+ * "pristine": an untouched earlier release; "modified": anything else.
+ * @typedef {'missing'|'current'|'pristine'|'modified'} CardCopyStatus
+ */
+
+/**
+ * File recording every card revision pushed, keyed by card filename.
+ * @param {string} backupRoot
+ * @returns {string}
+ */
+export function cardReleasesPath(backupRoot) {
+  return join(backupRoot, 'card-releases.json');
+}
+
+/**
+ * Read the release history.
+ * @param {string} backupRoot
+ * @returns {Object<string, CardRelease[]>} Releases per card filename, oldest first
+ */
+export function readCardReleases(backupRoot) {
+  const path = cardReleasesPath(backupRoot);
+  if (!existsSync(path)) return {};
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to read ${path}: ${err.message}`);
+  }
+}
+
+/**
+ * Record a pushed card revision. Revisions already recorded are left alone.
+ * @param {string} backupRoot
+ * @param {string} filename - Card filename as installed for users
+ * @param {string} sourcePath - The pushed card
+ */
+export function recordCardRelease(backupRoot, filename, sourcePath) {
+  const releases = readCardReleases(backupRoot);
+  const sha256 = hashFile(sourcePath);
+  const history = releases[filename] || [];
+  if (history.some(r => r.sha256 === sha256)) return;
+
+  history.push({
+    sha256,
+    version: readCardMetadata(sourcePath)?.characterVersion ?? '',
+    pushedAt: new Date().toISOString(),
+  });
+  releases[filename] = history;
+
+  mkdirSync(backupRoot, { recursive: true });
+  writeFileSync(cardReleasesPath(backupRoot), JSON.stringify(releases, null, 2) + '\n');
+}
+
+/**
+ * Compare a user's copy against the new revision and the known releases.
+ * @param {string} copyPath - The user's card
+ * @param {string} newHash - SHA-256 of the new revision
+ * @param {Set<string>} releasedHashes - Hashes of earlier pushed revisions
+ * @returns {CardCopyStatus}
+ */
+export function cardCopyStatus(copyPath, newHash, releasedHashes) {
+  if (!existsSync(copyPath)) return 'missing';
+  const hash = hashFile(copyPath);
+  if (hash === newHash) return 'current';
+  return releasedHashes.has(hash) ? 'pristine' : 'modified';
+}
@@ -0,0 +1,69 @@
+/** SillyTavern's default World Info scan depth for entries that don't set one. */
+const DEFAULT_DEPTH = 4;
+
+/**
+ * Make a world name safe to use as a filename (worlds/<name>.json).
+ * @param {string} name
+ * @returns {string}
+ */
+export function sanitizeWorldName(name) {
+  return name
+    .replace(/[<>:"/\\|?*\u0000-\u001f]/g, '')
+    .replace(/^[. ]+|[. ]+$/g, '')
+    .trim();
+}
+
+/**
+ * The world name SillyTavern uses when importing a card's embedded book:
+ * the book's own name, or "<character>'s Lorebook".
+ * @param {object} book - character_book
+ * @param {string} characterName
+ * @returns {string} Filename-safe name (without .json)
+ */
+export function worldNameForBook(book, characterName) {
+  const name = typeof book.name === 'string' && book.name.trim() ? book.name.trim() : `${characterName}'s Lorebook`;
+  return sanitizeWorldName(name) || 'Lorebook';
+}
+
+/**
+ * Convert a V2/V3 character_book into a SillyTavern world (worlds/*.json),
+ * the same way SillyTavern does when you import a card's lorebook.
+ * @param {object} book - character_book
+ * @returns {{entries: Object<string, object>, originalData: object}}
+ */
+export function characterBookToWorld(book) {
+  const entries = {};
+  (Array.isArray(book.entries) ? book.entries : []).forEach((entry, index) => {
+    const uid = Number.isInteger(entry.id) ? entry.id : index;
+    const ext = entry.extensions || {};
+    entries[uid] = {
+      uid,
+      key: Array.isArray(entry.keys) ? entry.keys : [],
+      keysecondary: Array.isArray(entry.secondary_keys) ? entry.secondary_keys : [],
+      comment: entry.comment || '',
+      content: typeof entry.content === 'string' ? entry.content : '',
+      constant: entry.constant || false,
+      selective: entry.selective || false,
+      selectiveLogic: ext.selectiveLogic ?? 0,
+      addMemo: !!entry.comment,
+      order: entry.insertion_order ?? 100,
+      position: ext.position ?? (entry.position === 'before_char' ? 0 : 1),
+      disable: entry.enabled === false,
+      excludeRecursion: ext.exclude_recursion ?? false,
+      preventRecursion: ext.prevent_recursion ?? false,
+      probability: ext.probability ?? 100,
+      useProbability: ext.useProbability ?? true,
+      depth: ext.depth ?? DEFAULT_DEPTH,
+      group: ext.group ?? '',
+      groupOverride: ext.group_override ?? false,
+      groupWeight: ext.group_weight ?? 100,
+      scanDepth: ext.scan_depth ?? null,
+      caseSensitive: ext.case_sensitive ?? null,
+      matchWholeWords: ext.match_whole_words ?? null,
+      automationId: ext.automation_id ?? '',
+      role: ext.role ?? 0,
+      displayIndex: ext.display_index ?? index,
+    };
+  });
+  return { entries, originalData: book };
+}
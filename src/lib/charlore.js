@@ -0,0 +1,139 @@
+import { readdirSync } from 'node:fs';
+import lodashGet from 'lodash.get';
+import { userWorldsDir, userCharactersDir } from './st-paths.js';
+
+/** Where SillyTavern keeps per-character lorebook links. */
+export const CHARLORE_PATH = 'world_info_settings.world_info.charLore';
+
+/**
+ * @typedef {Object} CharLoreEntry
+ * @property {string} name - Character (card filename without extension)
+ * @property {string[]} extraBooks - Lorebook (world) names
+ */
+
+/**
+ * The charLore entries in a settings object.
+ * @param {object} settings
+ * @returns {CharLoreEntry[]}
+ */
+export function charLoreEntries(settings) {
+  const value = lodashGet(settings, CHARLORE_PATH, []);
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * What one user has: their charLore entries, world names and characters.
+ * @typedef {Object} CharLoreRecord
+ * @property {string} handle
+ * @property {CharLoreEntry[]} entries
+ * @property {Set<string>} worlds - World names (worlds/*.json without extension)
+ * @property {Set<string>} characters - Card names (characters/*.png without extension)
+ */
+
+/**
+ * File names in a directory with the given extension, minus the extension.
+ * @param {string} dir
+ * @param {string} ext - e.g. ".json"
+ * @returns {Set<string>} Empty when the directory doesn't exist
+ */
+function namesWithExtension(dir, ext) {
+  try {
+    return new Set(readdirSync(dir).filter(f => f.endsWith(ext)).map(f => f.slice(0, -ext.length)));
+  } catch {
+    return new Set();
+  }
+}
+
+/**
+ * Collect a user's charLore record.
+ * @param {string} dataRoot
+ * @param {string} handle
+ * @param {object} settings - The user's parsed settings.json
+ * @returns {CharLoreRecord}
+ */
+export function charLoreRecord(dataRoot, handle, settings) {
+  return {
+    handle,
+    entries: charLoreEntries(settings),
+    worlds: namesWithExtension(userWorldsDir(dataRoot, handle), '.json'),
+    characters: namesWithExtension(userCharactersDir(dataRoot, handle), '.png'),
+  };
+}
+
+/**
+ * @typedef {Object} CharacterSummary
+ * @property {string} name
+ * @property {string[]} users - Users with an entry
+ * @property {string[]} standard - Most common extraBooks set
+ * @property {Array<{books: string[], users: string[]}>} variants - Every distinct book set, most common first
+ * @property {string[]} differs - Users whose entry isn't the standard
+ * @property {string[]} missing - Users who have the card but no entry
+ */
+
+/**
+ * @typedef {Object} CharLoreProblem
+ * @property {string} handle
+ * @property {'missing-book'|'no-character'} kind
+ *   "missing-book": a referenced lorebook isn't in the user's worlds/;
+ *   "no-character": the user has no card for the entry's character
+ * @property {string} character
+ * @property {string} [book]
+ */
+
+/**
+ * Book set key that ignores order.
+ * @param {string[]} books
+ * @returns {string}
+ */
+function bookSetKey(books) {
+  return JSON.stringify([...books].sort());
+}
+
+/**
+ * Aggregate charLore across users.
+ * @param {CharLoreRecord[]} records
+ * @returns {{characters: CharacterSummary[], problems: CharLoreProblem[]}}
+ */
+export function auditCharLore(records) {
+  const byName = new Map();
+  const problems = [];
+
+  for (const { handle, entries, worlds, characters } of records) {
+    for (const entry of entries) {
+      const books = Array.isArray(entry.extraBooks) ? entry.extraBooks : [];
+      if (!byName.has(entry.name)) byName.set(entry.name, new Map());
+      const variants = byName.get(entry.name);
+      const key = bookSetKey(books);
+      if (!variants.has(key)) variants.set(key, { books, users: [] });
+      variants.get(key).users.push(handle);
+
+      if (!characters.has(entry.name)) {
+        problems.push({ handle, kind: 'no-character', character: entry.name });
+      }
+      for (const book of books) {
+        if (!worlds.has(book)) {
+          problems.push({ handle, kind: 'missing-book', character: entry.name, book });
+        }
+      }
+    }
+  }
+
+  const characters = [...byName.entries()].map(([name, variantMap]) => {
+    const variants = [...variantMap.values()].sort((a, b) => b.users.length - a.users.length);
+    const users = variants.flatMap(v => v.users);
+    const missing = records
+      .filter(r => r.characters.has(name) && !users.includes(r.handle))
+      .map(r => r.handle);
+    return {
+      name,
+      users,
+      standard: variants[0].books,
+      variants,
+      differs: variants.slice(1).flatMap(v => v.users),
+      missing,
+    };
+  });
+
+  characters.sort((a, b) => b.users.length - a.users.length || a.name.localeCompare(b.name));
+  return { characters, problems };
+}
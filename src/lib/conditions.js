@@ -0,0 +1,126 @@
+import { isDeepStrictEqual } from 'node:util';
+import lodashGet from 'lodash.get';
+import { parseValue } from './json-merge.js';
+
+/**
+ * One predicate against a settings dot-path.
+ * @typedef {Object} Condition
+ * @property {string} source - The expression as written
+ * @property {string} path
+ * @property {'=='|'!='|'>'|'>='|'<'|'<='|'~'|'in'|'exists'|'missing'} op
+ * @property {any} [value] - Right-hand side (parsed)
+ */
+
+/** Supported operators, longest first so ">=" wins over ">". */
+const OPERATORS = ['==', '!=', '>=', '<=', '>', '<', '~', 'in', 'exists', 'missing'];
+
+const CONDITION_RE = new RegExp(
+  `^(\\S+)\\s+(${OPERATORS.map(o => o.replace(/[<>=!~]/g, c => `\\${c}`)).join('|')})(?=\\s|$)\\s*(.*)$`
+);
+
+/**
+ * Parse a literal: JSON first (so "250" in quotes stays a string), then the
+ * same type guessing as key/value edits.
+ * @param {string} input
+ * @returns {any}
+ */
+function parseLiteral(input) {
+  try {
+    return JSON.parse(input);
+  } catch {
+    return parseValue(input);
+  }
+}
+
+/**
+ * Parse one predicate, e.g. `amount_gen == 250`, `power_user.theme exists`,
+ * `main_api in openai,claude`, `user_name ~ /^guest/i`, `max_context >= 8192`.
+ * @param {string} expression
+ * @returns {Condition}
+ */
+export function parseCondition(expression) {
+  const source = expression.trim();
+  const match = CONDITION_RE.exec(source);
+  if (!match) {
+    throw new Error(`Cannot parse condition "${source}" (expected "<path> <op> [value]", op one of ${OPERATORS.join(' ')})`);
+  }
+
+  const [, path, op, rest] = match;
+  const rhs = rest.trim();
+
+  if (op === 'exists' || op === 'missing') {
+    if (rhs) throw new Error(`"${op}" takes no value in "${source}"`);
+    return { source, path, op };
+  }
+  if (!rhs) throw new Error(`Missing value in condition "${source}"`);
+
+  if (op === '~') {
+    const literal = /^\/(.*)\/([a-z]*)$/.exec(rhs);
+    try {
+      return { source, path, op, value: literal ? new RegExp(literal[1], literal[2]) : new RegExp(rhs) };
+    } catch (err) {
+      throw new Error(`Invalid regex in "${source}": ${err.message}`);
+    }
+  }
+  if (op === 'in') {
+    const list = rhs.startsWith('[') ? parseLiteral(rhs) : rhs.split(',').map(v => parseLiteral(v.trim()));
+    if (!Array.isArray(list)) throw new Error(`"in" needs a list in "${source}"`);
+    return { source, path, op, value: list };
+  }
+  if (['>', '>=', '<', '<='].includes(op)) {
+    const value = Number(rhs);
+    if (!Number.isFinite(value)) throw new Error(`"${op}" needs a number in "${source}"`);
+    return { source, path, op, value };
+  }
+  return { source, path, op, value: parseLiteral(rhs) };
+}
+
+/**
+ * Parse predicates joined with " && " (all must hold). Only "&&" with
+ * whitespace on both sides joins predicates, so a value such as the regex in
+ * `user_name ~ /a&&b/` can contain "&&".
+ * @param {string} expression
+ * @returns {Condition[]}
+ */
+export function parseConditions(expression) {
+  return expression.split(/\s+&&\s+/).map(part => parseCondition(part));
+}
+
+/**
+ * Whether one condition holds for the given value.
+ * @param {Condition} condition
+ * @param {any} actual - Value at the condition's path (undefined when missing)
+ * @returns {boolean}
+ */
+function holds({ op, value }, actual) {
+  switch (op) {
+    case 'exists': return actual !== undefined;
+    case 'missing': return actual === undefined;
+    case '==': return isDeepStrictEqual(actual, value);
+    case '!=': return !isDeepStrictEqual(actual, value);
+    case 'in': return value.some(v => isDeepStrictEqual(actual, v));
+    case '~': return actual !== undefined && actual !== null && typeof actual !== 'object' && String(actual).search(value) !== -1;
+    case '>': return typeof actual === 'number' && actual > value;
+    case '>=': return typeof actual === 'number' && actual >= value;
+    case '<': return typeof actual === 'number' && actual < value;
+    case '<=': return typeof actual === 'number' && actual <= value;
+    default: return false;
+  }
+}
+
+/**
+ * Check conditions against a settings object.
+ * @param {Condition[]} conditions
+ * @param {object} settings
+ * @returns {string|null} Why the first failing condition failed, or null when all hold
+ */
+export function unmetCondition(conditions, settings) {
+  for (const condition of conditions) {
+    const actual = lodashGet(settings, condition.path);
+    if (!holds(condition, actual)) {
+      const current = actual === undefined ? 'is missing' : `is ${JSON.stringify(actual)}`;
+      return `condition "${condition.source}" not met (${condition.path} ${current})`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,130 @@
+import { readFileSync, readdirSync, statSync, existsSync } from 'node:fs';
+import { join, basename, dirname, extname } from 'node:path';
+import { globSync } from 'glob';
+import { readCardMetadata } from './card-metadata.js';
+
+/**
+ * A SillyTavern content type and the user subdirectory it lives in.
+ * @typedef {Object} ContentType
+ * @property {string} value - Type name, as used in scaffold/content index.json
+ * @property {string} label
+ * @property {string|null} dir - User subdirectory, or null for index-only types
+ */
+
+/** Known SillyTavern content types. */
+export const CONTENT_TYPES = [
+  { value: 'character',     label: 'Character',              dir: 'characters' },
+  { value: 'world',         label: 'World (Lorebook)',       dir: 'worlds' },
+  { value: 'theme',         label: 'Theme',                  dir: 'themes' },
+  { value: 'background',    label: 'Background',             dir: 'backgrounds' },
+  { value: 'openai_preset', label: 'Chat Completion preset', dir: 'OpenAI Settings' },
+  { value: 'instruct',      label: 'Instruct template',      dir: 'instruct' },
+  { value: 'context',       label: 'Context template',       dir: 'context' },
+  { value: 'quick_replies', label: 'Quick Reply set',        dir: 'QuickReplies' },
+  { value: 'avatar',        label: 'User Avatar',            dir: 'User Avatars' },
+  { value: 'preset',        label: 'Preset',                 dir: null },
+  { value: 'template',      label: 'Template',               dir: null },
+];
+
+/** Extensions SillyTavern accepts as backgrounds. */
+const BACKGROUND_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.bmp', '.mp4', '.webm'];
+
+/**
+ * JSON shapes that identify a type: a key only that kind of file has.
+ * Checked in order.
+ */
+const JSON_SIGNATURES = [
+  { type: 'quick_replies', keys: ['qrList'] },
+  { type: 'instruct',      keys: ['input_sequence', 'output_sequence'] },
+  { type: 'context',       keys: ['story_string'] },
+  { type: 'theme',         keys: ['main_text_color', 'blur_strength'] },
+  { type: 'openai_preset', keys: ['chat_completion_source', 'openai_max_context', 'temp_openai'] },
+];
+
+/**
+ * Look up a content type by name.
+ * @param {string} value
+ * @returns {ContentType|undefined}
+ */
+export function contentType(value) {
+  return CONTENT_TYPES.find(t => t.value === value);
+}
+
+/**
+ * Content types that can be pushed to user directories.
+ * @returns {ContentType[]}
+ */
+export function pushableTypes() {
+  return CONTENT_TYPES.filter(t => t.dir);
+}
+
+/**
+ * The type whose user subdirectory (or type name) matches a directory name,
+ * e.g. "OpenAI Settings" or "worlds". Case-insensitive.
+ * @param {string} name
+ * @returns {ContentType|undefined}
+ */
+export function typeForDirectory(name) {
+  const wanted = name.toLowerCase();
+  return pushableTypes().find(t => t.dir.toLowerCase() === wanted || t.value === wanted);
+}
+
+/**
+ * Work out a file's content type: from its parent directory name when that
+ * is a user subdirectory name, otherwise from its contents (cards by their
+ * PNG metadata, other images as backgrounds, JSON by its keys).
+ * User avatars can only be recognised by directory.
+ * @param {string} path
+ * @returns {string|null} Type name, or null when it can't be told
+ */
+export function detectContentType(path) {
+  const byDir = typeForDirectory(basename(dirname(path)));
+  if (byDir) return byDir.value;
+
+  const ext = extname(path).toLowerCase();
+  if (ext === '.png' && readCardMetadata(path)) return 'character';
+  if (BACKGROUND_EXTENSIONS.includes(ext)) return 'background';
+  if (ext !== '.json') return null;
+
+  let json;
+  try {
+    json = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+  if (json === null || typeof json !== 'object' || Array.isArray(json)) return null;
+
+  if (json.entries && typeof json.entries === 'object' && !Array.isArray(json.entries)) return 'world';
+  const match = JSON_SIGNATURES.find(({ keys }) => keys.some(k => Object.hasOwn(json, k)));
+  return match ? match.type : null;
+}
+
+/**
+ * Every file below a directory, skipping dotfiles.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function walkFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true })
+    .filter(e => !e.name.startsWith('.'))
+    .flatMap(e => (e.isDirectory() ? walkFiles(join(dir, e.name)) : e.isFile() ? [join(dir, e.name)] : []));
+}
+
+/**
+ * Expand push sources into files. Each source is a file, a directory (taken
+ * recursively) or a glob pattern.
+ * @param {string[]} sources
+ * @returns {string[]} Unique file paths, in source order
+ * @throws {Error} When a source matches nothing
+ */
+export function expandSources(sources) {
+  const files = sources.flatMap((source) => {
+    if (existsSync(source)) {
+      return statSync(source).isDirectory() ? walkFiles(source).sort() : [source];
+    }
+    const matches = globSync(source, { nodir: true, dot: false }).sort();
+    if (matches.length === 0) throw new Error(`No files match "${source}"`);
+    return matches;
+  });
+  return [...new Set(files)];
+}
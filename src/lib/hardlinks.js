@@ -0,0 +1,180 @@
+import {
+  readdirSync, lstatSync, readFileSync, linkSync, renameSync,
+  copyFileSync, unlinkSync, existsSync
+} from 'node:fs';
+import { join, dirname } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { hashFile } from './manifest.js';
+import { userDir } from './st-paths.js';
+
+/**
+ * A regular file in a user's content directory.
+ * @typedef {Object} LinkableFile
+ * @property {string} handle
+ * @property {string} path - Relative to the user directory
+ * @property {string} fullPath
+ * @property {number} size
+ * @property {number} dev
+ * @property {number} ino
+ * @property {number} nlink
+ * @property {number} uid
+ * @property {number} gid
+ * @property {number} mode
+ */
+
+/**
+ * Byte-identical files that can share one inode.
+ * @typedef {Object} DuplicateGroup
+ * @property {string} sha256
+ * @property {number} size - Size of one copy
+ * @property {LinkableFile} canonical - The copy the others are linked to
+ * @property {LinkableFile[]} copies - Copies on a different inode than canonical
+ * @property {number} savedBytes - Space freed once every copy is linked
+ */
+
+/**
+ * Regular files (not symlinks, not empty) directly inside each user's
+ * content directories.
+ * @param {string} dataRoot
+ * @param {string[]} users
+ * @param {string[]} dirs - Subdirectories, e.g. ["characters", "User Avatars"]
+ * @returns {LinkableFile[]}
+ */
+export function scanLinkableFiles(dataRoot, users, dirs) {
+  const files = [];
+  for (const handle of users) {
+    for (const dir of dirs) {
+      const fullDir = join(userDir(dataRoot, handle), dir);
+      if (!existsSync(fullDir)) continue;
+      for (const name of readdirSync(fullDir)) {
+        if (name.startsWith('.')) continue;
+        const fullPath = join(fullDir, name);
+        const stat = lstatSync(fullPath);
+        if (!stat.isFile() || stat.size === 0) continue;
+        const { size, dev, ino, nlink, uid, gid, mode } = stat;
+        files.push({ handle, path: `${dir}/${name}`, fullPath, size, dev, ino, nlink, uid, gid, mode });
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Group byte-identical files. Only files on the same filesystem with the same
+ * owner and permissions are grouped, since a hardlink shares all of them.
+ * Files are hashed only when another file has the same size.
+ * @param {LinkableFile[]} files
+ * @returns {DuplicateGroup[]} Groups with at least one copy to link, largest saving first
+ */
+export function findDuplicates(files) {
+  const bySize = new Map();
+  for (const file of files) {
+    const key = `${file.dev}:${file.size}:${file.uid}:${file.gid}:${file.mode}`;
+    if (!bySize.has(key)) bySize.set(key, []);
+    bySize.get(key).push(file);
+  }
+
+  const groups = [];
+  for (const candidates of bySize.values()) {
+    if (new Set(candidates.map(f => f.ino)).size < 2) continue;
+
+    const byHash = new Map();
+    for (const file of candidates) {
+      const sha256 = hashFile(file.fullPath);
+      if (!byHash.has(sha256)) byHash.set(sha256, []);
+      byHash.get(sha256).push(file);
+    }
+
+    for (const [sha256, same] of byHash) {
+      // Link to the inode that already has the most names
+      const canonical = same.reduce((best, f) => (f.nlink > best.nlink ? f : best));
+      const copies = same.filter(f => f.ino !== canonical.ino);
+      if (copies.length === 0) continue;
+
+      // An inode is freed only when every one of its names is relinked
+      let savedBytes = 0;
+      for (const ino of new Set(copies.map(f => f.ino))) {
+        const names = copies.filter(f => f.ino === ino);
+        if (names[0].nlink === names.length) savedBytes += names[0].size;
+      }
+      groups.push({ sha256, size: canonical.size, canonical, copies, savedBytes });
+    }
+  }
+  return groups.sort((a, b) => b.savedBytes - a.savedBytes);
+}
+
+/**
+ * A temporary path next to a file, for an atomic replace.
+ * @param {string} path
+ * @returns {string}
+ */
+function tempPathNextTo(path) {
+  return join(dirname(path), `.timeless-${randomBytes(6).toString('hex')}.tmp`);
+}
+
+/**
+ * Replace a file with a hardlink to another, atomically. Both files are
+ * re-checked first: nothing is touched unless they are still regular files
+ * with exactly the same bytes.
+ * @param {string} canonicalPath
+ * @param {string} targetPath
+ * @returns {boolean} false when they already share an inode
+ * @throws {Error} When the files differ or can't be linked
+ */
+export function linkToCanonical(canonicalPath, targetPath) {
+  const canonical = lstatSync(canonicalPath);
+  const target = lstatSync(targetPath);
+  if (!canonical.isFile() || !target.isFile()) throw new Error(`${targetPath} is no longer a regular file`);
+  if (canonical.dev === target.dev && canonical.ino === target.ino) return false;
+  if (!readFileSync(canonicalPath).equals(readFileSync(targetPath))) {
+    throw new Error(`${targetPath} changed since it was scanned`);
+  }
+
+  const tmpPath = tempPathNextTo(targetPath);
+  linkSync(canonicalPath, tmpPath);
+  try {
+    renameSync(tmpPath, targetPath);
+  } catch (err) {
+    unlinkSync(tmpPath);
+    throw err;
+  }
+  return true;
+}
+
+/**
+ * Whether a path is a regular file that shares its inode with another name.
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isHardlinked(path) {
+  const stat = lstatSync(path, { throwIfNoEntry: false });
+  return !!stat && stat.isFile() && stat.nlink > 1;
+}
+
+/**
+ * Give a hardlinked file its own inode again (same contents), atomically.
+ * @param {string} path
+ * @returns {boolean} false when it wasn't hardlinked
+ */
+export function makeIndependent(path) {
+  if (!isHardlinked(path)) return false;
+  const tmpPath = tempPathNextTo(path);
+  copyFileSync(path, tmpPath);
+  try {
+    renameSync(tmpPath, path);
+  } catch (err) {
+    unlinkSync(tmpPath);
+    throw err;
+  }
+  return true;
+}
+
+/**
+ * Remove a hardlinked file's name before it is overwritten, so the write
+ * creates a new file instead of changing every linked copy. Call after
+ * backing the file up.
+ * @param {string} path
+ */
+export function detachHardlink(path) {
+  if (isHardlinked(path)) unlinkSync(path);
+}
@@ -0,0 +1,198 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { timestamp } from '../backup.js';
+
+/**
+ * @typedef {Object} JournalChange
+ * @property {'modified'|'created'|'deleted'|'symlink-replaced'|'hardlinked'} action
+ * @property {string} path - Path relative to the user directory
+ * @property {string|null} [backup] - Backup of the previous file, if one was taken
+ * @property {boolean} [symlink] - For "created": the new entry is a symlink
+ * @property {string} [previousTarget] - For "symlink-replaced": the old symlink's target
+ * @property {string} [linkedTo] - For "hardlinked": the identical file it now shares an inode with
+ */
+
+/**
+ * @typedef {Object} Journal
+ * @property {string} id
+ * @property {string} label - Operation label (as shown in the batch report)
+ * @property {object} params - Operation parameters
+ * @property {string} dataRoot
+ * @property {string} startedAt - ISO timestamp
+ * @property {string} [finishedAt]
+ * @property {string} [rolledBackAt]
+ * @property {Object<string, JournalChange[]>} users - Changes per user handle
+ */
+
+/**
+ * @typedef {Object} UserRecorder
+ * @property {(path: string, backup: string|null) => void} modified
+ * @property {(path: string, options?: {symlink?: boolean}) => void} created
+ * @property {(path: string, backup: string|null) => void} deleted
+ * @property {(path: string, previous: {target?: string, backup?: string|null}) => void} symlinkReplaced
+ * @property {(path: string, linkedTo: string) => void} hardlinked
+ */
+
+/**
+ * Directory holding operation journals.
+ * @param {string} backupRoot
+ * @returns {string}
+ */
+export function journalDir(backupRoot) {
+  return join(backupRoot, 'journal');
+}
+
+/**
+ * Build batchOperation() options that journal the run.
+ * @param {object} config
+ * @param {object} [params] - Operation parameters to record
+ * @returns {{ dryRun: boolean, journal: { backupRoot: string, dataRoot: string, params: object } }}
+ */
+export function journalOptions(config, params = {}) {
+  return {
+    dryRun: config.dryRun,
+    journal: { backupRoot: config.backupRoot, dataRoot: config.dataRoot, params },
+  };
+}
+
+/**
+ * Start a new in-memory journal.
+ * @param {string} label
+ * @param {string} dataRoot
+ * @param {object} params
+ * @returns {Journal}
+ */
+export function startJournal(label, dataRoot, params) {
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+  return {
+    id: `${timestamp()}-${slug}`,
+    label,
+    params,
+    dataRoot,
+    startedAt: new Date().toISOString(),
+    users: {},
+  };
+}
+
+/**
+ * Get a recorder that appends changes for one user to the journal.
+ * @param {Journal} journal
+ * @param {string} handle
+ * @returns {UserRecorder}
+ */
+export function userRecorder(journal, handle) {
+  const push = (change) => {
+    (journal.users[handle] ||= []).push(change);
+  };
+
+  return {
+    modified: (path, backup) => push({ action: 'modified', path, backup }),
+    created: (path, { symlink = false } = {}) => push({ action: 'created', path, symlink }),
+    deleted: (path, backup) => push({ action: 'deleted', path, backup }),
+    symlinkReplaced: (path, { target, backup = null }) =>
+      push({ action: 'symlink-replaced', path, previousTarget: target, backup }),
+    hardlinked: (path, linkedTo) => push({ action: 'hardlinked', path, linkedTo }),
+  };
+}
+
+/**
+ * Count the changes recorded in a journal.
+ * @param {Journal} journal
+ * @returns {number}
+ */
+export function changeCount(journal) {
+  return Object.values(journal.users).reduce((n, changes) => n + changes.length, 0);
+}
+
+/**
+ * Write a journal to disk.
+ * @param {string} backupRoot
+ * @param {Journal} journal
+ * @returns {string} Path to the journal file
+ */
+export function writeJournal(backupRoot, journal) {
+  const dir = journalDir(backupRoot);
+  mkdirSync(dir, { recursive: true });
+
+  let path = join(dir, `${journal.id}.json`);
+  for (let n = 1; existsSync(path); n++) {
+    path = join(dir, `${journal.id}-${n}.json`);
+  }
+
+  writeFileSync(path, JSON.stringify(journal, null, 2) + '\n');
+  return path;
+}
+
+/**
+ * List journal files, newest first.
+ * @param {string} backupRoot
+ * @returns {Array<{ path: string, journal: Journal }>}
+ */
+export function listJournals(backupRoot) {
+  const dir = journalDir(backupRoot);
+  if (!existsSync(dir)) return [];
+
+  return readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .flatMap((f) => {
+      const path = join(dir, f);
+      try {
+        return [{ path, journal: JSON.parse(readFileSync(path, 'utf-8')) }];
+      } catch {
+        return []; // unreadable journal, ignore
+      }
+    })
+    .sort((a, b) => b.journal.startedAt.localeCompare(a.journal.startedAt));
+}
+
+/**
+ * Backups that journals not yet rolled back need in order to undo their
+ * changes. Pruning one of these would make that rollback impossible.
+ * @param {string} backupRoot
+ * @returns {Set<string>} Backup file paths
+ */
+export function heldBackups(backupRoot) {
+  const held = new Set();
+  for (const { journal } of listJournals(backupRoot)) {
+    if (journal.rolledBackAt) continue;
+    for (const changes of Object.values(journal.users)) {
+      for (const change of changes) {
+        if (change.backup) held.add(change.backup);
+      }
+    }
+  }
+  return held;
+}
+
+/**
+ * Journals newer than the given one, not rolled back, that changed any of the
+ * same user files. Rolling the given one back first would overwrite those
+ * later changes with its older backups.
+ * @param {Array<{ path: string, journal: Journal }>} journals - As returned by listJournals
+ * @param {Journal} journal
+ * @returns {Array<{ path: string, journal: Journal, files: string[] }>} files are "<handle>/<path>"
+ */
+export function laterJournalsTouching(journals, journal) {
+  const touched = new Set(Object.entries(journal.users)
+    .flatMap(([handle, changes]) => changes.map(c => `${handle}/${c.path}`)));
+
+  return journals
+    .filter(j => !j.journal.rolledBackAt && j.journal.startedAt > journal.startedAt)
+    .map(j => ({
+      ...j,
+      files: [...new Set(Object.entries(j.journal.users)
+        .flatMap(([handle, changes]) => changes.map(c => `${handle}/${c.path}`))
+        .filter(file => touched.has(file)))],
+    }))
+    .filter(j => j.files.length > 0);
+}
+
+/**
+ * Mark a journal as rolled back.
+ * @param {string} path - Journal file path
+ * @param {Journal} journal
+ */
+export function markRolledBack(path, journal) {
+  const updated = { ...journal, rolledBackAt: new Date().toISOString() };
+  writeFileSync(path, JSON.stringify(updated, null, 2) + '\n');
+}
@@ -1,6 +1,7 @@
 import lodashGet from 'lodash.get';
 import lodashSet from 'lodash.set';
 import deepmerge from 'deepmerge';
+import { isDeepStrictEqual } from 'node:util';
 
 /**
  * Apply a set of dot-path mutations to a settings object.
@@ -20,6 +21,51 @@ export function applyMutations(original, mutations) {
   return result;
 }
 
+/**
+ * Delete dot-paths from a settings object. Paths that don't exist are
+ * ignored. Returns a new object — does not modify the original.
+ *
+ * @param {object} original - The user's current settings
+ * @param {string[]} paths - Dot-paths to delete
+ * @returns {object} The modified settings
+ */
+export function removePaths(original, paths) {
+  const result = JSON.parse(JSON.stringify(original));
+
+  for (const path of paths) {
+    const parts = path.split('.');
+    const key = parts.pop();
+    const parent = parts.length > 0 ? lodashGet(result, parts.join('.')) : result;
+    if (parent === null || typeof parent !== 'object') continue;
+
+    if (Array.isArray(parent) && /^\d+$/.test(key)) {
+      if (Number(key) < parent.length) parent.splice(Number(key), 1);
+    } else {
+      delete parent[key];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Remove every occurrence of the given values from the array at a dot-path.
+ * Leaves the settings unchanged when the path isn't an array.
+ * Returns a new object — does not modify the original.
+ *
+ * @param {object} original - The user's current settings
+ * @param {string} path - Dot-path of the array
+ * @param {any[]} values - Values to remove (compared deeply)
+ * @returns {object} The modified settings
+ */
+export function removeArrayValues(original, path, values) {
+  const current = lodashGet(original, path);
+  if (!Array.isArray(current)) return JSON.parse(JSON.stringify(original));
+
+  const kept = current.filter(item => !values.some(v => isDeepStrictEqual(item, v)));
+  return applyMutations(original, [{ path, value: kept }]);
+}
+
 /**
  * Sync specific sections from a template into a target settings object.
  * Only the selected keys are overwritten; everything else is preserved.
@@ -56,6 +102,210 @@ export function deepMergePatch(target, patch) {
   });
 }
 
+/** Operations allowed in an RFC 6902 JSON Patch. */
+export const JSON_PATCH_OPS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Whether a value is a plain JSON object (not an array or null).
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Apply an RFC 7396 JSON merge patch: objects merge recursively, null
+ * removes a key, anything else (including arrays) replaces the target.
+ * Returns a new object — does not modify the original.
+ *
+ * @param {any} target
+ * @param {any} patch
+ * @returns {any} The patched value
+ */
+export function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) return JSON.parse(JSON.stringify(patch));
+
+  const result = isPlainObject(target) ? JSON.parse(JSON.stringify(target)) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Split an RFC 6901 JSON Pointer into unescaped reference tokens.
+ * @param {string} pointer - e.g. "/world_info/globalSelect/0"
+ * @returns {string[]}
+ */
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) throw new Error(`Invalid JSON Pointer "${pointer}"`);
+  return pointer.slice(1).split('/').map(t => t.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Resolve the container and final key for a pointer.
+ * @param {any} doc
+ * @param {string} pointer
+ * @returns {{parent: any, key: string}}
+ */
+function resolveParent(doc, pointer) {
+  const tokens = parsePointer(pointer);
+  const key = tokens.pop();
+  let parent = doc;
+  for (const token of tokens) {
+    if (parent === null || typeof parent !== 'object' || !Object.hasOwn(parent, token)) {
+      throw new Error(`Path "${pointer}" does not exist`);
+    }
+    parent = parent[token];
+  }
+  if (parent === null || typeof parent !== 'object') {
+    throw new Error(`Path "${pointer}" does not exist`);
+  }
+  return { parent, key };
+}
+
+/**
+ * Array index for a pointer token.
+ * @param {any[]} array
+ * @param {string} key
+ * @param {string} pointer
+ * @param {boolean} appending - Whether "-" and length are allowed (add)
+ * @returns {number}
+ */
+function arrayIndex(array, key, pointer, appending) {
+  if (appending && key === '-') return array.length;
+  if (!/^(0|[1-9]\d*)$/.test(key)) throw new Error(`Invalid array index in "${pointer}"`);
+  const index = Number(key);
+  if (index > array.length || (!appending && index === array.length)) {
+    throw new Error(`Index out of range in "${pointer}"`);
+  }
+  return index;
+}
+
+/**
+ * Read the value at a pointer.
+ * @param {any} doc
+ * @param {string} pointer
+ * @returns {any}
+ */
+function getPointer(doc, pointer) {
+  if (pointer === '') return doc;
+  const { parent, key } = resolveParent(doc, pointer);
+  if (Array.isArray(parent)) return parent[arrayIndex(parent, key, pointer, false)];
+  if (!Object.hasOwn(parent, key)) throw new Error(`Path "${pointer}" does not exist`);
+  return parent[key];
+}
+
+/**
+ * Apply a single add/remove/replace at a pointer, returning the new document
+ * (only different from `doc` when the root itself is replaced).
+ * @param {any} doc
+ * @param {'add'|'remove'|'replace'} op
+ * @param {string} pointer
+ * @param {any} [value]
+ * @returns {any}
+ */
+function writePointer(doc, op, pointer, value) {
+  if (pointer === '') return op === 'remove' ? undefined : value;
+
+  const { parent, key } = resolveParent(doc, pointer);
+  if (Array.isArray(parent)) {
+    const index = arrayIndex(parent, key, pointer, op === 'add');
+    if (op === 'add') parent.splice(index, 0, value);
+    else if (op === 'remove') parent.splice(index, 1);
+    else parent[index] = value;
+  } else {
+    if (op !== 'add' && !Object.hasOwn(parent, key)) throw new Error(`Path "${pointer}" does not exist`);
+    if (op === 'remove') delete parent[key];
+    else parent[key] = value;
+  }
+  return doc;
+}
+
+/**
+ * Apply an RFC 6902 JSON Patch. The patch is atomic: any failing operation
+ * throws and nothing is returned. A failing "test" (a different value, or
+ * a path that doesn't exist) throws an error with code "PATCH_TEST_FAILED";
+ * other failures mean the patch doesn't fit the document. Returns a new object — does not modify the original.
+ *
+ * @param {object} original
+ * @param {Array<{op: string, path: string, from?: string, value?: any}>} patch
+ * @returns {object} The patched document
+ */
+export function applyJsonPatch(original, patch) {
+  let doc = JSON.parse(JSON.stringify(original));
+
+  patch.forEach((operation, i) => {
+    const { op, path, from, value } = operation;
+    const where = `operation ${i} (${op} ${path})`;
+    try {
+      if (op === 'add' || op === 'replace') {
+        doc = writePointer(doc, op, path, JSON.parse(JSON.stringify(value)));
+      } else if (op === 'remove') {
+        doc = writePointer(doc, op, path);
+      } else if (op === 'copy' || op === 'move') {
+        const moved = JSON.parse(JSON.stringify(getPointer(doc, from)));
+        if (op === 'move') {
+          if (path.startsWith(`${from}/`)) throw new Error(`Cannot move "${from}" into itself`);
+          doc = writePointer(doc, 'remove', from);
+        }
+        doc = writePointer(doc, 'add', path, moved);
+      } else if (op === 'test') {
+        let actual;
+        let problem = null;
+        try {
+          actual = getPointer(doc, path);
+        } catch {
+          problem = 'does not exist';
+        }
+        if (!problem && !isDeepStrictEqual(actual, value)) problem = `is not ${JSON.stringify(value)}`;
+        if (problem) {
+          const err = new Error(`test failed: ${path} ${problem}`);
+          err.code = 'PATCH_TEST_FAILED';
+          throw err;
+        }
+      }
+    } catch (err) {
+      if (err.code === 'PATCH_TEST_FAILED') throw err;
+      throw new Error(`JSON Patch ${where}: ${err.message}`);
+    }
+  });
+
+  return doc;
+}
+
+/**
+ * Check the shape of an RFC 6902 JSON Patch document.
+ * @param {any} patch
+ * @returns {string[]} Problems (empty when valid)
+ */
+export function validateJsonPatch(patch) {
+  if (!Array.isArray(patch)) return ['A JSON Patch must be an array of operations'];
+
+  return patch.flatMap((operation, i) => {
+    const problems = [];
+    if (!isPlainObject(operation)) return [`Operation ${i} is not an object`];
+    const { op, path, from } = operation;
+    if (!JSON_PATCH_OPS.includes(op)) problems.push(`Operation ${i}: unknown op "${op}"`);
+    if (typeof path !== 'string' || (path !== '' && !path.startsWith('/'))) {
+      problems.push(`Operation ${i}: "path" must be a JSON Pointer`);
+    }
+    if ((op === 'move' || op === 'copy') && (typeof from !== 'string' || (from !== '' && !from.startsWith('/')))) {
+      problems.push(`Operation ${i}: "${op}" needs a "from" JSON Pointer`);
+    }
+    if (['add', 'replace', 'test'].includes(op) && !('value' in operation)) {
+      problems.push(`Operation ${i}: "${op}" needs a "value"`);
+    }
+    return problems;
+  });
+}
+
 /**
  * Auto-detect the type of a string value from user input.
  * @param {string} input
@@ -87,3 +337,28 @@ export function parseValue(input) {
   // String
   return trimmed;
 }
+
+/**
+ * Flatten an object into dot-path → leaf value pairs. Arrays, primitives
+ * and empty objects are leaves; nested objects are descended into.
+ *
+ * @param {object} obj
+ * @param {string} [prefix] - Path of `obj` itself
+ * @returns {Map<string, any>}
+ */
+export function flattenPaths(obj, prefix = '') {
+  const paths = new Map();
+
+  for (const [key, value] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+      for (const [child, leaf] of flattenPaths(value, path)) {
+        paths.set(child, leaf);
+      }
+    } else {
+      paths.set(path, value);
+    }
+  }
+
+  return paths;
+}
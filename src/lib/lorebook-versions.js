@@ -0,0 +1,157 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, copyFileSync } from 'node:fs';
+import { join, basename } from 'node:path';
+import { hashFile } from './manifest.js';
+import { timestamp } from '../backup.js';
+
+/**
+ * An admin-approved revision of a shared lorebook.
+ * @typedef {Object} LorebookVersion
+ * @property {number} version - 1, 2, ... per lorebook
+ * @property {string} sha256
+ * @property {string} approvedAt - ISO timestamp
+ * @property {string} copy - Stored copy, relative to the versions directory
+ * @property {number} [restoredFrom] - Set when this version re-approves an older one
+ */
+
+/**
+ * How a shared lorebook relates to its approved version.
+ * "approved": unchanged since it was approved; "changed": edited since
+ * (e.g. by a user, through their symlink); "untracked": never approved;
+ * "missing": approved, but the file is gone.
+ * @typedef {'approved'|'changed'|'untracked'|'missing'} GuardStatus
+ */
+
+export const GUARD_STATUSES = ['approved', 'changed', 'untracked', 'missing'];
+
+/**
+ * Directory holding the version record and every approved copy.
+ * @param {string} backupRoot
+ * @returns {string}
+ */
+export function lorebookVersionsDir(backupRoot) {
+  return join(backupRoot, 'lorebook-versions');
+}
+
+/**
+ * Read the version history.
+ * @param {string} backupRoot
+ * @returns {Object<string, LorebookVersion[]>} Versions per lorebook filename, oldest first
+ */
+export function readLorebookVersions(backupRoot) {
+  const path = join(lorebookVersionsDir(backupRoot), 'versions.json');
+  if (!existsSync(path)) return {};
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to read ${path}: ${err.message}`);
+  }
+}
+
+/**
+ * Write the version history.
+ * @param {string} backupRoot
+ * @param {Object<string, LorebookVersion[]>} versions
+ */
+function writeLorebookVersions(backupRoot, versions) {
+  const dir = lorebookVersionsDir(backupRoot);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, 'versions.json'), JSON.stringify(versions, null, 2) + '\n');
+}
+
+/**
+ * The version a lorebook should currently match.
+ * @param {Object<string, LorebookVersion[]>} versions
+ * @param {string} filename
+ * @returns {LorebookVersion|null}
+ */
+export function approvedVersion(versions, filename) {
+  const history = versions[filename] || [];
+  return history.length > 0 ? history[history.length - 1] : null;
+}
+
+/**
+ * Absolute path of a version's stored copy.
+ * @param {string} backupRoot
+ * @param {LorebookVersion} version
+ * @returns {string}
+ */
+export function versionCopyPath(backupRoot, version) {
+  return join(lorebookVersionsDir(backupRoot), version.copy);
+}
+
+/**
+ * Approve a shared lorebook as it is now: store a copy and make it the
+ * version the file is checked against. Nothing is recorded when it already
+ * matches the approved version.
+ * @param {string} backupRoot
+ * @param {string} sourcePath - The shared lorebook
+ * @returns {{version: LorebookVersion, recorded: boolean}}
+ */
+export function approveLorebook(backupRoot, sourcePath) {
+  const filename = basename(sourcePath);
+  const versions = readLorebookVersions(backupRoot);
+  const current = approvedVersion(versions, filename);
+  const sha256 = hashFile(sourcePath);
+  if (current?.sha256 === sha256) return { version: current, recorded: false };
+
+  const history = versions[filename] || [];
+  const number = history.length + 1;
+  const copy = join(filename, `v${number}-${timestamp()}.json`);
+  mkdirSync(join(lorebookVersionsDir(backupRoot), filename), { recursive: true });
+  copyFileSync(sourcePath, join(lorebookVersionsDir(backupRoot), copy));
+
+  const version = { version: number, sha256, approvedAt: new Date().toISOString(), copy };
+  versions[filename] = [...history, version];
+  writeLorebookVersions(backupRoot, versions);
+  return { version, recorded: true };
+}
+
+/**
+ * Make an earlier version the approved one again (after the file has been
+ * restored from it). A no-op when it already is the approved version.
+ * @param {string} backupRoot
+ * @param {string} filename
+ * @param {LorebookVersion} version
+ */
+export function reapproveVersion(backupRoot, filename, version) {
+  const versions = readLorebookVersions(backupRoot);
+  const history = versions[filename] || [];
+  if (approvedVersion(versions, filename)?.sha256 === version.sha256) return;
+
+  versions[filename] = [...history, {
+    version: history.length + 1,
+    sha256: version.sha256,
+    approvedAt: new Date().toISOString(),
+    copy: version.copy,
+    restoredFrom: version.version,
+  }];
+  writeLorebookVersions(backupRoot, versions);
+}
+
+/**
+ * Stop guarding a lorebook (e.g. once it is retired). Its stored copies are
+ * left in place.
+ * @param {string} backupRoot
+ * @param {string} filename
+ * @returns {boolean} Whether it had a version history
+ */
+export function forgetLorebook(backupRoot, filename) {
+  const versions = readLorebookVersions(backupRoot);
+  if (!versions[filename]) return false;
+  delete versions[filename];
+  writeLorebookVersions(backupRoot, versions);
+  return true;
+}
+
+/**
+ * Compare a shared lorebook with its approved version.
+ * @param {Object<string, LorebookVersion[]>} versions
+ * @param {string} sourcePath
+ * @returns {{status: GuardStatus, approved: LorebookVersion|null}}
+ */
+export function lorebookStatus(versions, sourcePath) {
+  const approved = approvedVersion(versions, basename(sourcePath));
+  if (!existsSync(sourcePath)) return { status: approved ? 'missing' : 'untracked', approved };
+  if (!approved) return { status: 'untracked', approved };
+  return { status: hashFile(sourcePath) === approved.sha256 ? 'approved' : 'changed', approved };
+}
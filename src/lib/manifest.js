@@ -0,0 +1,137 @@
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync, existsSync, statSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { VERSION } from '../ui.js';
+
+/** Manifest filename inside a backup set directory. */
+export const MANIFEST_NAME = 'manifest.json';
+
+/**
+ * @typedef {Object} ManifestFile
+ * @property {string} user - User handle
+ * @property {string} path - Path relative to the user directory (and to <set>/<user>/)
+ * @property {number} size - Bytes
+ * @property {string} sha256 - Hex digest
+ * @property {string} mtime - Source file mtime (ISO)
+ */
+
+/**
+ * @typedef {Object} Manifest
+ * @property {string} tool
+ * @property {string} version
+ * @property {string} createdAt
+ * @property {'copy'|'dedup'} backend - How file contents are stored (see backup-store.js)
+ * @property {ManifestFile[]} files
+ */
+
+/**
+ * SHA-256 of a file's contents.
+ * @param {string} path
+ * @returns {string} Hex digest
+ */
+export function hashFile(path) {
+  return createHash('sha256').update(readFileSync(path)).digest('hex');
+}
+
+/**
+ * Build the manifest record for a file that was just copied into a backup set.
+ * @param {string} handle
+ * @param {string} relativePath - Path relative to the user directory
+ * @param {string} sourcePath - The live file that was backed up
+ * @param {string} storedPath - The copy inside the backup set
+ * @returns {ManifestFile}
+ */
+export function manifestEntry(handle, relativePath, sourcePath, storedPath) {
+  return {
+    user: handle,
+    path: relativePath,
+    size: statSync(storedPath).size,
+    sha256: hashFile(storedPath),
+    mtime: statSync(sourcePath).mtime.toISOString(),
+  };
+}
+
+/**
+ * Write a manifest into a backup set directory.
+ * @param {string} setDir
+ * @param {ManifestFile[]} files
+ * @param {'copy'|'dedup'} [backend='copy']
+ */
+export function writeManifest(setDir, files, backend = 'copy') {
+  /** @type {Manifest} */
+  const manifest = {
+    tool: 'timeless-admin',
+    version: VERSION,
+    createdAt: new Date().toISOString(),
+    backend,
+    files,
+  };
+  mkdirSync(setDir, { recursive: true });
+  writeFileSync(join(setDir, MANIFEST_NAME), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * Read a backup set's manifest.
+ * @param {string} setDir
+ * @returns {Manifest|null} Null if the set has no manifest
+ * @throws {Error} When the manifest exists but can't be parsed
+ */
+export function readManifest(setDir) {
+  const path = join(setDir, MANIFEST_NAME);
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to read ${path}: ${err.message}`);
+  }
+}
+
+/**
+ * Read a backup set's manifest without throwing, for listings that should
+ * carry on past a corrupt one.
+ * @param {string} setDir
+ * @returns {{manifest: Manifest|null, error: string|null}} error is set when the manifest is unreadable
+ */
+export function tryReadManifest(setDir) {
+  try {
+    return { manifest: readManifest(setDir), error: null };
+  } catch (err) {
+    return { manifest: null, error: err.message };
+  }
+}
+
+/**
+ * Whether a backup set has a manifest file (readable or not).
+ * @param {string} setDir
+ * @returns {boolean}
+ */
+export function hasManifest(setDir) {
+  return existsSync(join(setDir, MANIFEST_NAME));
+}
+
+/**
+ * Check one manifest entry against the stored copy.
+ * @param {string} stored - Where the entry's contents are stored
+ * @param {ManifestFile} file
+ * @returns {string[]} Problem descriptions (empty if the file is intact)
+ */
+export function verifyManifestFile(stored, file) {
+  if (!existsSync(stored)) return [`${file.path}: missing`];
+
+  const problems = [];
+  const size = statSync(stored).size;
+  if (size !== file.size) {
+    problems.push(`${file.path}: size ${size} != ${file.size} (truncated?)`);
+  } else if (hashFile(stored) !== file.sha256) {
+    problems.push(`${file.path}: checksum mismatch`);
+  }
+
+  if (file.path.endsWith('.json')) {
+    try {
+      JSON.parse(readFileSync(stored, 'utf-8'));
+    } catch (err) {
+      problems.push(`${file.path}: invalid JSON (${err.message})`);
+    }
+  }
+  return problems;
+}
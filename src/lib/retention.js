@@ -0,0 +1,119 @@
+import { lstatSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+
+/**
+ * @typedef {Object} RetentionPolicy
+ * @property {number} keepLast - Always keep this many of the newest backups per group
+ * @property {number} keepDailyDays - Keep the newest backup of each day for this many days
+ * @property {number} keepWeeklyWeeks - Keep the newest backup of each week for this many weeks
+ * @property {number} maxTotalBytes - Drop the oldest backups until everything fits (0 = no limit)
+ */
+
+/**
+ * @typedef {Object} RetentionItem
+ * @property {string} path
+ * @property {string} group - Backups are only compared within their group
+ * @property {Date} date
+ * @property {number} size - Bytes
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a "YYYY-MM-DD-HH-MM-SS" backup timestamp (UTC, as written by timestamp()).
+ * @param {string} ts
+ * @returns {Date|null}
+ */
+export function parseTimestamp(ts) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})-(\d{2})-(\d{2})-(\d{2})$/.exec(ts);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s] = m.map(Number);
+  return new Date(Date.UTC(y, mo - 1, d, h, mi, s));
+}
+
+/**
+ * Total size of a file or directory tree in bytes. Symlinks count as
+ * themselves, not their targets.
+ * @param {string} path
+ * @returns {number}
+ */
+export function pathSize(path) {
+  const stat = lstatSync(path);
+  if (!stat.isDirectory()) return stat.size;
+  return readdirSync(path).reduce((sum, name) => sum + pathSize(join(path, name)), 0);
+}
+
+/**
+ * Day and ISO-week buckets for a date (UTC).
+ * @param {Date} date
+ * @returns {{ day: string, week: string }}
+ */
+function buckets(date) {
+  const day = date.toISOString().slice(0, 10);
+  // Thursday of the same ISO week decides the week's year
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7);
+  return { day, week: `${thursday.getUTCFullYear()}-W${week}` };
+}
+
+/**
+ * Decide which backups a retention policy keeps.
+ * A backup is kept if any rule keeps it; the size limit then drops the
+ * oldest kept backups, but never the newest backup of a group.
+ * @param {RetentionItem[]} items
+ * @param {RetentionPolicy} policy
+ * @param {Date} [now]
+ * @returns {{ keep: RetentionItem[], prune: RetentionItem[] }}
+ */
+export function applyRetention(items, policy, now = new Date()) {
+  const kept = new Set();
+  const newestOfGroup = new Set();
+
+  const groups = new Map();
+  for (const item of items) {
+    if (!groups.has(item.group)) groups.set(item.group, []);
+    groups.get(item.group).push(item);
+  }
+
+  for (const group of groups.values()) {
+    group.sort((a, b) => b.date - a.date);
+    newestOfGroup.add(group[0]);
+
+    group.slice(0, policy.keepLast).forEach(item => kept.add(item));
+
+    const seenDays = new Set();
+    const seenWeeks = new Set();
+    for (const item of group) {
+      const age = now - item.date;
+      const { day, week } = buckets(item.date);
+
+      if (age < policy.keepDailyDays * DAY_MS && !seenDays.has(day)) {
+        seenDays.add(day);
+        kept.add(item);
+      }
+      if (age < policy.keepWeeklyWeeks * 7 * DAY_MS && !seenWeeks.has(week)) {
+        seenWeeks.add(week);
+        kept.add(item);
+      }
+    }
+  }
+
+  if (policy.maxTotalBytes > 0) {
+    let total = [...kept].reduce((sum, item) => sum + item.size, 0);
+    const oldestFirst = [...kept]
+      .filter(item => !newestOfGroup.has(item))
+      .sort((a, b) => a.date - b.date);
+    for (const item of oldestFirst) {
+      if (total <= policy.maxTotalBytes) break;
+      kept.delete(item);
+      total -= item.size;
+    }
+  }
+
+  return {
+    keep: items.filter(item => kept.has(item)),
+    prune: items.filter(item => !kept.has(item)),
+  };
+}
@@ -0,0 +1,141 @@
+import { isDeepStrictEqual } from 'node:util';
+import lodashGet from 'lodash.get';
+import { flattenPaths } from './json-merge.js';
+
+/**
+ * @typedef {Object} DriftValue
+ * @property {any} value - The users' value (undefined when the path is missing)
+ * @property {string[]} users
+ */
+
+/**
+ * @typedef {Object} DriftEntry
+ * @property {string} path - Dot-path
+ * @property {any} template - Template value (undefined when only users have it)
+ * @property {number} count - Users that differ from the template at this path
+ * @property {DriftValue[]} values - Differing values, most common first
+ */
+
+/**
+ * Whether a dot-path is covered by one of the ignore paths (the path itself
+ * or anything below it).
+ * @param {string} path
+ * @param {string[]} ignore
+ * @returns {boolean}
+ */
+export function isIgnored(path, ignore) {
+  return ignore.some(i => path === i || path.startsWith(`${i}.`));
+}
+
+/**
+ * Whether a path, or one of its ancestors, is a template leaf (and so
+ * already compared).
+ * @param {string} path
+ * @param {Map<string, any>} templatePaths
+ * @returns {boolean}
+ */
+function coveredByTemplate(path, templatePaths) {
+  const parts = path.split('.');
+  return parts.some((_, i) => templatePaths.has(parts.slice(0, i + 1).join('.')));
+}
+
+/**
+ * Compare users' settings against a template, leaf by leaf.
+ * Paths only present in a user's settings are reported too, with an
+ * undefined template value.
+ * @param {object} template
+ * @param {Map<string, object>} settingsByUser - handle → parsed settings.json
+ * @param {string[]} [ignore] - Dot-paths to leave out (with everything below them)
+ * @returns {DriftEntry[]} Sorted by number of differing users, then path
+ */
+export function computeDrift(template, settingsByUser, ignore = []) {
+  const templatePaths = flattenPaths(template);
+  /** @type {Map<string, DriftEntry>} */
+  const entries = new Map();
+
+  const record = (path, templateValue, handle, value) => {
+    if (!entries.has(path)) {
+      entries.set(path, { path, template: templateValue, count: 0, values: [] });
+    }
+    const entry = entries.get(path);
+    entry.count++;
+    const same = entry.values.find(v => isDeepStrictEqual(v.value, value));
+    if (same) same.users.push(handle);
+    else entry.values.push({ value, users: [handle] });
+  };
+
+  for (const [handle, settings] of settingsByUser) {
+    for (const [path, templateValue] of templatePaths) {
+      if (isIgnored(path, ignore)) continue;
+      const value = lodashGet(settings, path);
+      if (!isDeepStrictEqual(value, templateValue)) {
+        record(path, templateValue, handle, value);
+      }
+    }
+
+    // Paths the template doesn't have at all
+    for (const [path, value] of flattenPaths(settings)) {
+      if (isIgnored(path, ignore) || coveredByTemplate(path, templatePaths)) continue;
+      record(path, undefined, handle, value);
+    }
+  }
+
+  return [...entries.values()]
+    .map(e => ({ ...e, values: e.values.sort((a, b) => b.users.length - a.users.length) }))
+    .sort((a, b) => b.count - a.count || a.path.localeCompare(b.path));
+}
+
+/**
+ * Count differing users per top-level section.
+ * @param {DriftEntry[]} entries
+ * @returns {Array<{section: string, paths: number, users: number}>}
+ */
+export function summarizeSections(entries) {
+  const sections = new Map();
+  for (const entry of entries) {
+    const section = entry.path.split('.')[0];
+    if (!sections.has(section)) sections.set(section, { section, paths: 0, users: new Set() });
+    const s = sections.get(section);
+    s.paths++;
+    for (const { users } of entry.values) users.forEach(u => s.users.add(u));
+  }
+  return [...sections.values()]
+    .map(s => ({ section: s.section, paths: s.paths, users: s.users.size }))
+    .sort((a, b) => b.users - a.users || a.section.localeCompare(b.section));
+}
+
+/**
+ * Quote a CSV field if needed.
+ * @param {string} field
+ * @returns {string}
+ */
+function csvField(field) {
+  return /[",\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * JSON-encode a value for a report cell ("" for missing).
+ * @param {any} value
+ * @returns {string}
+ */
+function cell(value) {
+  return value === undefined ? '' : JSON.stringify(value);
+}
+
+/**
+ * Render a drift report as CSV, one row per differing user and path.
+ * Values are JSON-encoded; an empty cell means the path is missing.
+ * @param {DriftEntry[]} entries
+ * @returns {string}
+ */
+export function driftToCsv(entries) {
+  const rows = [['path', 'user', 'value', 'template']];
+  for (const entry of entries) {
+    for (const { value, users } of entry.values) {
+      for (const user of users) {
+        rows.push([entry.path, user, cell(value), cell(entry.template)]);
+      }
+    }
+  }
+  return rows.map(r => r.map(csvField).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,184 @@
+import { readFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+
+/**
+ * A schema of known settings.json paths: dot-path → JSON type
+ * ('object', 'array', 'string', 'number', 'boolean' or 'null').
+ * Every object along the way has its own entry.
+ * @typedef {Map<string, string>} SettingsSchema
+ */
+
+/**
+ * @typedef {Object} MutationCheck
+ * @property {string} path
+ * @property {any} value - The value to apply (coerced to the schema type when possible)
+ * @property {string[]} errors - Problems that should stop the edit
+ * @property {string[]} warnings
+ * @property {string[]} suggestions - Known paths close to an unknown one
+ */
+
+/**
+ * JSON type name of a value.
+ * @param {any} value
+ * @returns {string}
+ */
+export function valueType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Derive a schema from a reference settings object. Arrays are not
+ * descended into, so anything below an array path is accepted as-is.
+ * @param {object} reference
+ * @returns {SettingsSchema}
+ */
+export function buildSchema(reference) {
+  const schema = new Map();
+  const walk = (obj, prefix) => {
+    for (const [key, value] of Object.entries(obj)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      schema.set(path, valueType(value));
+      if (valueType(value) === 'object') walk(value, path);
+    }
+  };
+  walk(reference, '');
+  return schema;
+}
+
+/**
+ * The scaffold default settings.json: scaffold/settings.json if the admin
+ * provides one, otherwise SillyTavern's content/settings.json.
+ * @param {object} config
+ * @returns {string|null}
+ */
+export function scaffoldDefaultSettingsPath(config) {
+  const candidates = [join(config.scaffoldDir, 'settings.json'), join(config.contentDir, 'settings.json')];
+  return candidates.find(p => existsSync(p)) ?? null;
+}
+
+/**
+ * Load the schema from config.settingsReference, falling back to the
+ * scaffold default settings.
+ * @param {object} config
+ * @returns {{schema: SettingsSchema, source: string}|null} null when there is no reference file
+ */
+export function loadSchema(config) {
+  const source = config.settingsReference || scaffoldDefaultSettingsPath(config);
+  if (!source) return null;
+
+  let reference;
+  try {
+    reference = JSON.parse(readFileSync(source, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to read settings reference ${source}: ${err.message}`);
+  }
+  return { schema: buildSchema(reference), source };
+}
+
+/**
+ * Levenshtein edit distance.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Known paths that look like what was meant: paths the input is a prefix
+ * of, then close misspellings.
+ * @param {SettingsSchema} schema
+ * @param {string} path
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+export function suggestPaths(schema, path, limit = 3) {
+  const known = [...schema.keys()];
+  const completions = known.filter(k => k !== path && k.startsWith(path));
+  const maxDistance = Math.max(2, Math.floor(path.length / 4));
+  const close = known
+    .map(k => ({ k, d: editDistance(path, k) }))
+    .filter(({ k, d }) => d > 0 && d <= maxDistance && !completions.includes(k))
+    .sort((a, b) => a.d - b.d)
+    .map(({ k }) => k);
+  return [...close, ...completions].slice(0, limit);
+}
+
+/**
+ * Convert a value to the expected type when that is unambiguous: numbers
+ * and booleans to strings, numeric strings to numbers.
+ * @param {any} value
+ * @param {string} expected
+ * @returns {{value: any}|null} null when the value can't be coerced
+ */
+export function coerceValue(value, expected) {
+  const actual = valueType(value);
+  if (expected === 'string' && (actual === 'number' || actual === 'boolean')) {
+    return { value: String(value) };
+  }
+  if (expected === 'number' && actual === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return { value: Number(value) };
+  }
+  return null;
+}
+
+/**
+ * Check a dot-path/value mutation against the schema.
+ * Unknown top-level keys are errors; unknown nested paths and type
+ * mismatches are warnings. Values are coerced to the schema type when
+ * possible (with a warning saying so).
+ * @param {SettingsSchema} schema
+ * @param {{path: string, value: any}} mutation
+ * @returns {MutationCheck}
+ */
+export function checkMutation(schema, { path, value }) {
+  const check = { path, value, errors: [], warnings: [], suggestions: [] };
+  const parts = path.split('.');
+
+  // Below an array (or a non-object leaf) the schema has nothing to say
+  for (let i = 1; i < parts.length; i++) {
+    const ancestor = parts.slice(0, i).join('.');
+    const type = schema.get(ancestor);
+    if (type === 'array') return check;
+    if (type && type !== 'object') {
+      check.warnings.push(`${ancestor} is a ${type}, setting ${path} will replace it with an object`);
+      return check;
+    }
+  }
+
+  const expected = schema.get(path);
+  if (!expected) {
+    check.suggestions = suggestPaths(schema, path);
+    const hint = check.suggestions.length > 0 ? ` (did you mean ${check.suggestions.join(', ')}?)` : '';
+    if (!schema.has(parts[0])) {
+      check.errors.push(`Unknown top-level key "${parts[0]}"${hint}`);
+    } else {
+      check.warnings.push(`Unknown setting "${path}"${hint}`);
+    }
+    return check;
+  }
+
+  const actual = valueType(value);
+  // null is a legitimate "unset" for most settings
+  if (actual === expected || actual === 'null' || expected === 'null') return check;
+
+  const coerced = coerceValue(value, expected);
+  if (coerced) {
+    check.value = coerced.value;
+    check.warnings.push(`${path} expects a ${expected}; using ${JSON.stringify(coerced.value)} instead of ${JSON.stringify(value)}`);
+  } else {
+    check.warnings.push(`${path} expects a ${expected}, got a ${actual} (${JSON.stringify(value)})`);
+  }
+  return check;
+}
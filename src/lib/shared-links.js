@@ -0,0 +1,138 @@
+import { existsSync, lstatSync, readlinkSync, readdirSync, realpathSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { userDir, scaffoldIndexPath } from './st-paths.js';
+import { readIndex } from './content-index.js';
+import { contentType } from './content-types.js';
+
+/**
+ * Content types that can be shared from scaffold by symlinking one file into
+ * every user's matching subdirectory.
+ */
+export const LINKABLE_TYPES = ['world', 'instruct', 'context', 'openai_preset', 'quick_replies', 'theme'];
+
+/**
+ * What a shared-content entry is:
+ * - regular: a plain file (the user's own copy)
+ * - healthy: a symlink to the scaffold file of the same type and name
+ * - dangling: a symlink whose target doesn't exist
+ * - unexpected: a symlink to anything other than scaffold/<dir>/<same name>
+ * - conflict: a healthy symlink whose file is also in scaffold/index.json,
+ *   so the seeder may replace it with a copy on restart
+ */
+export const LINK_STATUSES = ['regular', 'healthy', 'dangling', 'unexpected', 'conflict'];
+
+/**
+ * @typedef {Object} SharedEntry
+ * @property {string} handle
+ * @property {string} type - Content type name, e.g. "world" or "instruct"
+ * @property {string} filename
+ * @property {string} path - Relative to the user directory, e.g. "worlds/Shared.json"
+ * @property {string} fullPath
+ * @property {'regular'|'healthy'|'dangling'|'unexpected'|'conflict'} status
+ * @property {string|null} target - The symlink's target as stored, or null for regular files
+ * @property {string} expected - scaffold/<dir>/<filename>
+ */
+
+/**
+ * The linkable content types.
+ * @returns {import('./content-types.js').ContentType[]}
+ */
+export function linkableTypes() {
+  return LINKABLE_TYPES.map(contentType);
+}
+
+/**
+ * Where a type's shared files live in scaffold, e.g. scaffold/worlds.
+ * @param {string} scaffoldDir
+ * @param {string} type
+ * @returns {string}
+ */
+export function scaffoldTypeDir(scaffoldDir, type) {
+  return join(scaffoldDir, contentType(type).dir);
+}
+
+/**
+ * Resolve a path through any symlinks, or null when it doesn't exist.
+ * @param {string} path
+ * @returns {string|null}
+ */
+function realpathOrNull(path) {
+  try {
+    return realpathSync(path);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Classify one entry.
+ * @param {string} fullPath
+ * @param {string} expected - Absolute path it should link to
+ * @param {boolean} indexed - The file is an entry of the same type in scaffold/index.json
+ * @returns {{status: SharedEntry['status'], target: string|null}}
+ */
+export function classifyEntry(fullPath, expected, indexed) {
+  if (!lstatSync(fullPath).isSymbolicLink()) return { status: 'regular', target: null };
+
+  const target = readlinkSync(fullPath);
+  const actual = realpathOrNull(fullPath);
+  if (!actual) return { status: 'dangling', target };
+  if (actual !== realpathOrNull(expected)) return { status: 'unexpected', target };
+  return { status: indexed ? 'conflict' : 'healthy', target };
+}
+
+/**
+ * Classify every JSON file in the users' subdirectories for the given types.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {string[]} [types] - Content type names (default: every linkable type)
+ * @returns {SharedEntry[]}
+ */
+export function auditSharedEntries(config, users, types = LINKABLE_TYPES) {
+  const indexed = new Set(
+    readIndex(scaffoldIndexPath(config.scaffoldDir)).map(e => `${e.type}:${e.filename}`)
+  );
+
+  const entries = [];
+  for (const handle of users) {
+    for (const type of types) {
+      const { dir } = contentType(type);
+      const fullDir = join(userDir(config.dataRoot, handle), dir);
+      if (!existsSync(fullDir)) continue;
+      for (const filename of readdirSync(fullDir).filter(f => f.endsWith('.json')).sort()) {
+        const fullPath = join(fullDir, filename);
+        const expected = resolve(scaffoldTypeDir(config.scaffoldDir, type), filename);
+        const { status, target } = classifyEntry(fullPath, expected, indexed.has(`${type}:${filename}`));
+        entries.push({ handle, type, filename, path: `${dir}/${filename}`, fullPath, status, target, expected });
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Absolute path a symlink points at (relative targets resolve against the
+ * link's directory).
+ * @param {SharedEntry} entry
+ * @returns {string|null}
+ */
+export function linkTargetPath(entry) {
+  return entry.target === null ? null : resolve(dirname(entry.fullPath), entry.target);
+}
+
+/**
+ * Users' symlinks that point at a shared file, including dangling ones.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {string} sourcePath - The shared file
+ * @param {string[]} [types] - Content types to look in (default: every linkable type)
+ * @returns {SharedEntry[]}
+ */
+export function linksToSource(config, users, sourcePath, types = LINKABLE_TYPES) {
+  const source = resolve(sourcePath);
+  const real = realpathOrNull(source);
+  return auditSharedEntries(config, users, types).filter(e =>
+    e.target !== null &&
+    (linkTargetPath(e) === source || (real !== null && realpathOrNull(e.fullPath) === real))
+  );
+}
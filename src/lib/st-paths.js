@@ -40,6 +40,16 @@ export function userChatsDir(dataRoot, handle) {
   return join(dataRoot, handle, 'chats');
 }
 
+/**
+ * Get the path to a user's admin snapshot directory (per-file .bak backups).
+ * @param {string} dataRoot
+ * @param {string} handle
+ * @returns {string}
+ */
+export function userSnapshotsDir(dataRoot, handle) {
+  return join(dataRoot, handle, 'backups', 'admin-snapshots');
+}
+
 /**
  * Get the path to a user's settings.json.
  * @param {string} dataRoot
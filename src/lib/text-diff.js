@@ -0,0 +1,165 @@
+/**
+ * @typedef {Object} DiffLine
+ * @property {' '|'-'|'+'} type - Unchanged, removed from a, or added in b
+ * @property {string} line
+ */
+
+/** Upper bound on the LCS table size (cells), to keep memory bounded. */
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Line-based diff of two texts (longest common subsequence).
+ * Common leading/trailing lines are stripped first, so typical small edits
+ * to large files stay cheap. Very large changed regions are reported as a
+ * wholesale replacement instead of a minimal diff.
+ * @param {string} a - Old text
+ * @param {string} b - New text
+ * @returns {DiffLine[]}
+ */
+export function diffLines(a, b) {
+  const x = a.split('\n');
+  const y = b.split('\n');
+
+  let start = 0;
+  while (start < x.length && start < y.length && x[start] === y[start]) start++;
+
+  let endX = x.length;
+  let endY = y.length;
+  while (endX > start && endY > start && x[endX - 1] === y[endY - 1]) {
+    endX--;
+    endY--;
+  }
+
+  const midX = x.slice(start, endX);
+  const midY = y.slice(start, endY);
+  const n = midX.length;
+  const m = midY.length;
+
+  // Too big for the LCS table: report the changed region as replaced wholesale
+  if (n * m > MAX_LCS_CELLS) {
+    return [
+      ...x.slice(0, start).map(line => ({ type: ' ', line })),
+      ...midX.map(line => ({ type: '-', line })),
+      ...midY.map(line => ({ type: '+', line })),
+      ...x.slice(endX).map(line => ({ type: ' ', line })),
+    ];
+  }
+
+  // lcs[i * (m + 1) + j] = LCS length of midX[i..] and midY[j..]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = midX[i] === midY[j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const ops = x.slice(0, start).map(line => ({ type: ' ', line }));
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midX[i] === midY[j]) {
+      ops.push({ type: ' ', line: midX[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+      ops.push({ type: '-', line: midX[i++] });
+    } else {
+      ops.push({ type: '+', line: midY[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: '-', line: midX[i++] });
+  while (j < m) ops.push({ type: '+', line: midY[j++] });
+
+  for (const line of x.slice(endX)) ops.push({ type: ' ', line });
+  return ops;
+}
+
+/**
+ * Count added and removed lines in a diff.
+ * @param {DiffLine[]} ops
+ * @returns {{ added: number, removed: number }}
+ */
+export function diffStats(ops) {
+  let added = 0;
+  let removed = 0;
+  for (const { type } of ops) {
+    if (type === '+') added++;
+    else if (type === '-') removed++;
+  }
+  return { added, removed };
+}
+
+/**
+ * @typedef {Object} DiffHunk
+ * @property {number} oldStart - 1-based first line in the old text
+ * @property {number} oldLines
+ * @property {number} newStart - 1-based first line in the new text
+ * @property {number} newLines
+ * @property {DiffLine[]} lines
+ */
+
+/**
+ * Group a diff into unified-diff hunks, keeping `context` unchanged lines
+ * around each change. Changes at most 2 * context unchanged lines apart
+ * share a hunk.
+ * @param {DiffLine[]} ops
+ * @param {number} [context]
+ * @returns {DiffHunk[]}
+ */
+export function diffHunks(ops, context = 3) {
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let lastChange = -Infinity;
+
+  /**
+   * Append unchanged lines from ops[from, to) to the current hunk.
+   * @param {number} from
+   * @param {number} to
+   */
+  const extend = (from, to) => {
+    for (const line of ops.slice(from, to)) {
+      hunk.lines.push(line);
+      hunk.oldLines++;
+      hunk.newLines++;
+    }
+  };
+
+  for (let i = 0; i < ops.length; i++) {
+    const op = ops[i];
+    if (op.type !== ' ') {
+      if (hunk && i - lastChange - 1 <= 2 * context) {
+        // Close the gap since the previous change in this hunk
+        extend(lastChange + 1, i);
+      } else {
+        // Finish the previous hunk with its trailing context, then start a
+        // new one with up to `context` lines of leading context
+        if (hunk) extend(lastChange + 1, lastChange + 1 + context);
+        const lead = ops.slice(Math.max(0, i - context), i);
+        hunk = {
+          oldStart: oldLine - lead.length,
+          oldLines: lead.length,
+          newStart: newLine - lead.length,
+          newLines: lead.length,
+          lines: [...lead],
+        };
+        hunks.push(hunk);
+      }
+      hunk.lines.push(op);
+      if (op.type === '-') hunk.oldLines++;
+      else hunk.newLines++;
+      lastChange = i;
+    }
+
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  }
+
+  // Trailing context after the final change
+  if (hunk) extend(lastChange + 1, Math.min(ops.length, lastChange + 1 + context));
+  return hunks;
+}
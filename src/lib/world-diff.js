@@ -0,0 +1,66 @@
+/**
+ * One World Info entry that differs between two versions of a lorebook.
+ * @typedef {Object} EntryChange
+ * @property {'added'|'removed'|'changed'} kind
+ * @property {string} uid
+ * @property {string} label - The entry's memo (comment), else its keys
+ * @property {object|null} before
+ * @property {object|null} after
+ * @property {string[]} fields - Fields that differ ("changed" only)
+ */
+
+/**
+ * A readable name for an entry: its memo, else its keys, else its uid.
+ * @param {object} entry
+ * @param {string} uid
+ * @returns {string}
+ */
+export function entryLabel(entry, uid) {
+  if (typeof entry?.comment === 'string' && entry.comment.trim()) return entry.comment.trim();
+  if (Array.isArray(entry?.key) && entry.key.length > 0) return entry.key.join(', ');
+  return `entry ${uid}`;
+}
+
+/**
+ * Whether two JSON values are equal.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Entry-level diff of two worlds (worlds/*.json), matching entries by uid.
+ * @param {object} before - Parsed world JSON
+ * @param {object} after - Parsed world JSON
+ * @returns {{entries: EntryChange[], book: string[]}} Changed entries by uid,
+ *   and the top-level keys other than "entries" that differ
+ */
+export function diffWorldEntries(before, after) {
+  const a = before?.entries || {};
+  const b = after?.entries || {};
+  const uids = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .sort((x, y) => Number(x) - Number(y) || x.localeCompare(y));
+
+  const entries = [];
+  for (const uid of uids) {
+    const old = a[uid] ?? null;
+    const now = b[uid] ?? null;
+    if (old === null) {
+      entries.push({ kind: 'added', uid, label: entryLabel(now, uid), before: null, after: now, fields: [] });
+    } else if (now === null) {
+      entries.push({ kind: 'removed', uid, label: entryLabel(old, uid), before: old, after: null, fields: [] });
+    } else {
+      const fields = [...new Set([...Object.keys(old), ...Object.keys(now)])].filter(f => !sameValue(old[f], now[f]));
+      if (fields.length > 0) {
+        entries.push({ kind: 'changed', uid, label: entryLabel(now, uid), before: old, after: now, fields });
+      }
+    }
+  }
+
+  const book = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .filter(k => k !== 'entries' && !sameValue(before?.[k], after?.[k]));
+  return { entries, book };
+}
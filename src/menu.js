@@ -5,16 +5,23 @@ import { printBanner } from './ui.js';
 /**
  * Module registry: maps action keys to their module paths and labels.
  */
-const MODULES = {
+export const MODULES = {
   'push-chars':       { path: './modules/push-characters.js',   label: 'Push Character Cards' },
+  'push-content':     { path: './modules/push-content.js',      label: 'Push Content' },
   'bulk-settings':    { path: './modules/bulk-settings.js',      label: 'Bulk Edit settings.json' },
-  'lorebook-symlinks':{ path: './modules/lorebook-symlinks.js',  label: 'Create Lorebook Symlinks' },
+  'lorebook-symlinks':{ path: './modules/lorebook-symlinks.js',  label: 'Shared Symlinks' },
+  'lorebook-guard':   { path: './modules/lorebook-guard.js',     label: 'Shared Lorebook Guard' },
   'scaffold-editor':  { path: './modules/scaffold-editor.js',    label: 'Edit Scaffold index.json' },
   'fresh-login':      { path: './modules/fresh-login.js',        label: 'Fresh Login Reset' },
   'user-info':        { path: './modules/user-info.js',          label: 'List Users / View Details' },
+  'settings-drift':   { path: './modules/settings-drift.js',     label: 'Settings Drift Report' },
+  'charlore-audit':   { path: './modules/charlore-audit.js',     label: 'charLore Audit' },
   'backup-ops':       { path: './modules/backup-ops.js',         label: 'Backup Operations' },
+  'dedupe':           { path: './modules/dedupe.js',             label: 'Deduplicate Content' },
   'bulk-delete':      { path: './modules/bulk-delete.js',        label: 'Bulk Delete Content' },
   'reset-content-log':{ path: './modules/reset-content-log.js',  label: 'Reset Content Log' },
+  'recipe':           { path: './modules/recipes.js',            label: 'Run Recipe' },
+  'rollback':         { path: './modules/rollback.js',           label: 'Rollback Operation' },
 };
 
 /**
@@ -58,15 +65,22 @@ export async function mainMenu(config) {
       message: 'What would you like to do?',
       options: [
         { value: 'push-chars',        label: 'Push Character Cards',       hint: 'copy cards to users' },
+        { value: 'push-content',      label: 'Push Content',               hint: 'files, folders or globs by type' },
         { value: 'bulk-settings',     label: 'Bulk Edit settings.json',    hint: 'edit user settings' },
-        { value: 'lorebook-symlinks', label: 'Create Lorebook Symlinks',   hint: 'scaffold → users' },
+        { value: 'lorebook-symlinks', label: 'Shared Symlinks',            hint: 'lorebooks, presets, themes' },
+        { value: 'lorebook-guard',    label: 'Shared Lorebook Guard',      hint: 'review edits to shared lorebooks' },
         { value: 'scaffold-editor',   label: 'Edit Scaffold index.json',   hint: 'manage scaffold entries' },
         { value: 'fresh-login',       label: 'Fresh Login Reset',          hint: 'clear sessions + restart' },
         { value: 'separator-1',       label: chalk.dim('───────────────────────────'), hint: '' },
         { value: 'user-info',         label: 'List Users / View Details',  hint: 'user stats' },
+        { value: 'settings-drift',    label: 'Settings Drift Report',      hint: 'compare settings to a template' },
+        { value: 'charlore-audit',    label: 'charLore Audit',             hint: 'character lorebook links' },
         { value: 'backup-ops',        label: 'Backup Operations',          hint: 'bulk backups' },
+        { value: 'dedupe',            label: 'Deduplicate Content',        hint: 'hardlink identical files' },
         { value: 'bulk-delete',       label: 'Bulk Delete Content',        hint: 'remove files from users' },
         { value: 'reset-content-log', label: 'Reset Content Log',          hint: 're-trigger seeding' },
+        { value: 'recipe',            label: 'Run Recipe',                 hint: 'chain operations from a file' },
+        { value: 'rollback',          label: 'Rollback Operation',         hint: 'undo a journaled batch' },
         { value: 'separator-2',       label: chalk.dim('───────────────────────────'), hint: '' },
         { value: 'exit',              label: 'Exit' },
       ],
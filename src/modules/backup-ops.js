@@ -1,56 +1,178 @@
-import { select, confirm, log } from '@clack/prompts';
-import { existsSync, copyFileSync, mkdirSync, readdirSync } from 'node:fs';
-import { join } from 'node:path';
-import { discoverUsers } from '../users.js';
+import { select, multiselect, text, confirm, log } from '@clack/prompts';
+import {
+  existsSync, copyFileSync, mkdirSync, readdirSync, readFileSync, statSync, rmSync,
+  lstatSync, readlinkSync, unlinkSync
+} from 'node:fs';
+import { join, basename, dirname, sep } from 'node:path';
+import chalk from 'chalk';
+import { discoverUsers, selectUsers, resolveUsers } from '../users.js';
 import { batchOperation } from '../batch.js';
-import { userSettingsPath } from '../lib/st-paths.js';
-import { printHeader, info } from '../ui.js';
+import { backupUserFile } from '../backup.js';
+import { journalDir, journalOptions, heldBackups } from '../lib/journal.js';
+import { diffLines, diffStats } from '../lib/text-diff.js';
+import { createArchive, listArchiveTopLevel, extractArchive } from '../lib/archive.js';
+import {
+  writeManifest, tryReadManifest, hasManifest, verifyManifestFile, MANIFEST_NAME
+} from '../lib/manifest.js';
+import {
+  storeFile, storedFilePath, backupSetFiles, collectGarbage, OBJECTS_DIR
+} from '../lib/backup-store.js';
+import { applyRetention, parseTimestamp, pathSize } from '../lib/retention.js';
+import { userDir, userSnapshotsDir } from '../lib/st-paths.js';
+import { detachHardlink } from '../lib/hardlinks.js';
+import { lorebookVersionsDir } from '../lib/lorebook-versions.js';
+import { formatBytes } from '../lib/format.js';
+import { printHeader, printDiff, info, warn } from '../ui.js';
 
 /**
  * Generate a timestamped directory name.
  * @param {string} label
+ * @param {Date} [date]
  * @returns {string}
  */
-function timestampedDir(label) {
-  const ts = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '-').slice(0, 19);
+function timestampedDir(label, date = new Date()) {
+  const ts = date.toISOString().replace(/[:.]/g, '-').replace('T', '-').slice(0, 19);
   return `${label}-${ts}`;
 }
 
 /**
- * Backup all users' settings.json files.
+ * A timestamped directory under backupRoot that doesn't exist yet: when the
+ * current second is taken (e.g. two restores in a row), the next free one.
  * @param {object} config
+ * @param {string} label
+ * @returns {string} Absolute path
  */
-async function backupAllSettings(config) {
-  const users = discoverUsers(config.dataRoot, config.excludeDirs);
+function freshTimestampedDir(config, label) {
+  const date = new Date();
+  let dir = join(config.backupRoot, timestampedDir(label, date));
+  while (existsSync(dir)) {
+    date.setSeconds(date.getSeconds() + 1);
+    dir = join(config.backupRoot, timestampedDir(label, date));
+  }
+  return dir;
+}
 
-  const proceed = await confirm({
-    message: `Backup settings.json for all ${users.length} users?`,
-  });
-  if (typeof proceed === 'symbol' || !proceed) return;
+/** Files that can be bulk-backed up. */
+const BACKUP_FILES = ['settings.json', 'secrets.json', 'content.log'];
+
+/** User subdirectories offered when archiving part of a user directory. */
+const ARCHIVE_DIRS = [
+  'characters', 'chats', 'groups', 'group chats', 'worlds', 'User Avatars', 'user',
+  'backgrounds', 'themes', 'OpenAI Settings', 'instruct', 'context', 'QuickReplies',
+];
+
+/** Regenerated or bulky content left out of archives unless asked for. */
+const DEFAULT_ARCHIVE_EXCLUDES = ['thumbnails', 'vectors', 'backups'];
 
-  const backupDir = join(config.backupRoot, timestampedDir('settings-backup'));
+/** Directory name prefix for user archive sets. */
+const ARCHIVE_PREFIX = 'user-archive';
 
-  await batchOperation(users, async (handle) => {
-    const settingsPath = userSettingsPath(config.dataRoot, handle);
+/**
+ * Copy one file from each user into a new timestamped backup directory,
+ * with a manifest of checksums.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {string} fileToBackup - Filename relative to the user directory
+ * @param {string} dirLabel - Prefix for the backup directory name
+ * @param {string} label - Operation label for the batch report
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function backupFileForUsers(config, users, fileToBackup, dirLabel, label) {
+  const backupDir = join(config.backupRoot, timestampedDir(dirLabel));
+  const manifest = [];
 
-    if (!existsSync(settingsPath)) {
-      return { skipped: 'no settings.json' };
+  const results = await batchOperation(users, async (handle) => {
+    const filePath = join(config.dataRoot, handle, fileToBackup);
+
+    if (!existsSync(filePath)) {
+      return { skipped: `no ${fileToBackup}` };
     }
 
     if (config.dryRun) {
-      info(`[DRY RUN] Would backup ${settingsPath}`);
+      info(`[DRY RUN] Would backup ${filePath}`);
       return 'success';
     }
 
-    const targetDir = join(backupDir, handle);
-    mkdirSync(targetDir, { recursive: true });
-    copyFileSync(settingsPath, join(targetDir, 'settings.json'));
+    manifest.push(storeFile(config.backupRoot, config.backupBackend, backupDir, handle, fileToBackup, filePath));
     return 'success';
-  }, 'Backup Settings');
+  }, label);
 
   if (!config.dryRun) {
+    if (manifest.length > 0) writeManifest(backupDir, manifest, config.backupBackend);
     log.success(`Backups saved to: ${backupDir}`);
   }
+  return results;
+}
+
+/**
+ * Recursively list a user's files for a snapshot, relative to the user
+ * directory. Symlinks are skipped (they point at shared content).
+ * @param {string} dir
+ * @param {string[]} exclude - Directory/file names to leave out
+ * @param {string} [prefix]
+ * @returns {string[]}
+ */
+function snapshotFiles(dir, exclude, prefix = '') {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((e) => {
+    if (exclude.includes(e.name)) return [];
+    const rel = prefix ? `${prefix}/${e.name}` : e.name;
+    if (e.isDirectory()) return snapshotFiles(join(dir, e.name), exclude, rel);
+    return e.isFile() ? [rel] : [];
+  });
+}
+
+/**
+ * Snapshot every file in each user's directory (minus thumbnails, vectors
+ * and backups) into <backupRoot>/snapshot-<ts>. With the dedup backend only
+ * changed contents take new space, so this is cheap to run before any bulk
+ * operation.
+ * @param {object} config
+ * @param {string[]} users
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function snapshotUsers(config, users) {
+  const setDir = join(config.backupRoot, timestampedDir('snapshot'));
+  const manifest = [];
+
+  const results = await batchOperation(users, async (handle) => {
+    const dir = userDir(config.dataRoot, handle);
+    const files = snapshotFiles(dir, DEFAULT_ARCHIVE_EXCLUDES);
+    if (files.length === 0) {
+      return { skipped: 'no files' };
+    }
+
+    if (config.dryRun) {
+      info(`[DRY RUN] Would snapshot ${files.length} file(s) from ${dir}`);
+      return 'success';
+    }
+
+    for (const file of files) {
+      manifest.push(storeFile(config.backupRoot, config.backupBackend, setDir, handle, file, join(dir, file)));
+    }
+    return 'success';
+  }, 'Snapshot Users');
+
+  if (!config.dryRun && manifest.length > 0) {
+    writeManifest(setDir, manifest, config.backupBackend);
+    const bytes = manifest.reduce((sum, f) => sum + f.size, 0);
+    log.success(`Snapshot of ${manifest.length} file(s) (${formatBytes(bytes)}) saved to: ${setDir}`);
+  }
+  return results;
+}
+
+/**
+ * Backup all users' settings.json files.
+ * @param {object} config
+ */
+async function backupAllSettings(config) {
+  const users = discoverUsers(config.dataRoot, config.excludeDirs);
+
+  const proceed = await confirm({
+    message: `Backup settings.json for all ${users.length} users?`,
+  });
+  if (typeof proceed === 'symbol' || !proceed) return;
+
+  await backupFileForUsers(config, users, 'settings.json', 'settings-backup', 'Backup Settings');
 }
 
 /**
@@ -58,15 +180,9 @@ async function backupAllSettings(config) {
  * @param {object} config
  */
 async function backupSpecificFile(config) {
-  const fileChoices = [
-    { value: 'settings.json',  label: 'settings.json' },
-    { value: 'secrets.json',   label: 'secrets.json' },
-    { value: 'content.log',    label: 'content.log' },
-  ];
-
   const fileToBackup = await select({
     message: 'Which file to backup?',
-    options: fileChoices,
+    options: BACKUP_FILES.map(f => ({ value: f, label: f })),
   });
   if (typeof fileToBackup === 'symbol') return;
 
@@ -78,29 +194,26 @@ async function backupSpecificFile(config) {
   if (typeof proceed === 'symbol' || !proceed) return;
 
   const label = fileToBackup.replace('.', '-');
-  const backupDir = join(config.backupRoot, timestampedDir(`${label}-backup`));
-
-  await batchOperation(users, async (handle) => {
-    const filePath = join(config.dataRoot, handle, fileToBackup);
-
-    if (!existsSync(filePath)) {
-      return { skipped: `no ${fileToBackup}` };
-    }
-
-    if (config.dryRun) {
-      info(`[DRY RUN] Would backup ${filePath}`);
-      return 'success';
-    }
+  await backupFileForUsers(config, users, fileToBackup, `${label}-backup`, `Backup ${fileToBackup}`);
+}
 
-    const targetDir = join(backupDir, handle);
-    mkdirSync(targetDir, { recursive: true });
-    copyFileSync(filePath, join(targetDir, fileToBackup));
-    return 'success';
-  }, `Backup ${fileToBackup}`);
+/**
+ * Names of the backup directories under backupRoot, newest first.
+ * @param {object} config
+ * @returns {string[]}
+ */
+function listBackupSets(config) {
+  if (!existsSync(config.backupRoot)) return [];
 
-  if (!config.dryRun) {
-    log.success(`Backups saved to: ${backupDir}`);
-  }
+  const reserved = [
+    basename(journalDir(config.backupRoot)), OBJECTS_DIR,
+    basename(lorebookVersionsDir(config.backupRoot)),
+  ];
+  return readdirSync(config.backupRoot, { withFileTypes: true })
+    .filter(e => e.isDirectory() && !reserved.includes(e.name))
+    .map(e => e.name)
+    .sort()
+    .reverse();
 }
 
 /**
@@ -115,11 +228,7 @@ function listBackups(config) {
     return;
   }
 
-  const dirs = readdirSync(config.backupRoot, { withFileTypes: true })
-    .filter(e => e.isDirectory())
-    .map(e => e.name)
-    .sort()
-    .reverse();
+  const dirs = listBackupSets(config);
 
   if (dirs.length === 0) {
     console.log('  No backups found.');
@@ -127,11 +236,718 @@ function listBackups(config) {
   }
 
   for (const dir of dirs) {
-    console.log(`  ${dir}`);
+    const { manifest, error } = tryReadManifest(join(config.backupRoot, dir));
+    const tag = error ? chalk.red(' [manifest unreadable]')
+      : manifest ? chalk.dim(` [${manifest.files.length} files, ${manifest.backend || 'copy'}]`) : '';
+    console.log(`  ${dir}${tag}`);
   }
   console.log(`\n  Location: ${config.backupRoot}\n`);
 }
 
+/**
+ * @typedef {Object} RestoreEntry
+ * @property {string} handle
+ * @property {string} file - Filename relative to the user directory
+ * @property {string} backupPath
+ * @property {string} livePath
+ * @property {'identical'|'differs'|'missing'|'no-user'} status
+ *   "missing": the live file doesn't exist; "no-user": the user directory is gone
+ * @property {number|null} added - Lines the restore would add (null for binary/large files)
+ * @property {number|null} removed - Lines the restore would remove (null for binary/large files)
+ */
+
+/** Files larger than this are compared byte-for-byte only, without line counts. */
+const MAX_DIFF_BYTES = 1024 * 1024;
+
+/**
+ * Compare every file in a backup set with the live copy.
+ * Works for both backends (see backupSetFiles()).
+ * @param {object} config
+ * @param {string} setName - Backup directory name under backupRoot
+ * @returns {RestoreEntry[]}
+ */
+export function scanBackupSet(config, setName) {
+  const setDir = join(config.backupRoot, setName);
+
+  return backupSetFiles(config.backupRoot, setDir).map(({ handle, file, storedPath }) => {
+    const livePath = join(userDir(config.dataRoot, handle), file);
+    const entry = { handle, file, backupPath: storedPath, livePath, status: 'identical', added: 0, removed: 0 };
+
+    if (!existsSync(userDir(config.dataRoot, handle))) {
+      entry.status = 'no-user';
+    } else if (!existsSync(livePath)) {
+      entry.status = 'missing';
+    } else {
+      const live = readFileSync(livePath);
+      const stored = readFileSync(storedPath);
+      if (!live.equals(stored)) {
+        entry.status = 'differs';
+        const textual = live.length <= MAX_DIFF_BYTES && stored.length <= MAX_DIFF_BYTES &&
+          !live.includes(0) && !stored.includes(0);
+        Object.assign(entry, textual
+          ? diffStats(diffLines(live.toString('utf-8'), stored.toString('utf-8')))
+          : { added: null, removed: null });
+      }
+    }
+    return entry;
+  });
+}
+
+/**
+ * Print how each file in a backup set compares to the live copy.
+ * @param {RestoreEntry[]} entries
+ */
+function printRestorePreview(entries) {
+  const labels = {
+    identical: chalk.dim('identical'),
+    missing:   chalk.yellow('live file missing'),
+    'no-user': chalk.red('user no longer exists'),
+  };
+
+  console.log(
+    chalk.bold('  ' + 'User Handle'.padEnd(25)) +
+    chalk.bold('File'.padEnd(18)) +
+    chalk.bold('Compared to live')
+  );
+  console.log(chalk.dim('  ' + '─'.repeat(60)));
+
+  let identical = 0;
+  for (const e of entries) {
+    if (e.status === 'identical') {
+      identical++;
+      continue;
+    }
+    const status = e.status !== 'differs' ? labels[e.status]
+      : e.added === null ? chalk.cyan('differs (binary or large)')
+      : chalk.cyan('differs ') + chalk.green(`+${e.added}`) + ' ' + chalk.red(`-${e.removed}`);
+    console.log(`  ${e.handle.padEnd(25)}${e.file.padEnd(18)}${status}`);
+  }
+  if (identical > 0) {
+    console.log(chalk.dim(`  (${identical} file(s) identical to the live copy)`));
+  }
+  console.log('');
+}
+
+/**
+ * Print what restoring one file would change in the live copy.
+ * @param {RestoreEntry} entry
+ */
+function printRestoreDiff(entry) {
+  printHeader(`${entry.handle} — ${entry.file}`);
+  if (entry.status === 'differs' && entry.added === null) {
+    console.log(chalk.dim('  Binary or larger than 1 MB; no line diff.\n'));
+    return;
+  }
+  const live = entry.status === 'missing' ? '' : readFileSync(entry.livePath, 'utf-8');
+  printDiff(diffLines(live, readFileSync(entry.backupPath, 'utf-8')));
+  console.log('');
+}
+
+/**
+ * Interactive: let the admin look at per-file diffs before restoring.
+ * @param {RestoreEntry[]} entries - Entries that would be restored
+ * @param {string} message - Confirmation prompt
+ * @returns {Promise<boolean>} Whether to restore
+ */
+async function reviewRestore(entries, message) {
+  const changed = entries.filter(e => e.status === 'differs' || e.status === 'missing');
+
+  while (true) {
+    const choice = await select({
+      message,
+      options: [
+        { value: 'restore', label: 'Restore' },
+        { value: 'file',    label: 'View diff for a file' },
+        { value: 'all',     label: 'View all diffs' },
+        { value: 'cancel',  label: 'Cancel' },
+      ],
+    });
+    if (typeof choice === 'symbol' || choice === 'cancel') return false;
+    if (choice === 'restore') return true;
+
+    if (choice === 'all') {
+      changed.forEach(printRestoreDiff);
+      continue;
+    }
+
+    const index = await select({
+      message: 'Which file?',
+      options: changed.map((e, i) => ({
+        value: i,
+        label: `${e.handle}/${e.file}`,
+        hint: e.status === 'missing' ? 'live file missing' : e.added === null ? 'binary or large' : `+${e.added} -${e.removed}`,
+      })),
+    });
+    if (typeof index === 'symbol') continue;
+    printRestoreDiff(changed[index]);
+  }
+}
+
+/**
+ * Copy backed-up files over the live copies for the given users. The live
+ * file is backed up into the user's admin-snapshots first.
+ * @param {object} config
+ * @param {string} setName
+ * @param {RestoreEntry[]} entries - Entries to restore (already filtered to the selected users)
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function restoreFromBackupSet(config, setName, entries) {
+  const users = [...new Set(entries.map(e => e.handle))];
+
+  return batchOperation(users, async (handle, tx) => {
+    const mine = entries.filter(e => e.handle === handle);
+
+    if (mine.some(e => e.status === 'no-user')) {
+      return { skipped: 'user directory no longer exists' };
+    }
+    if (mine.every(e => e.status === 'identical')) {
+      return { skipped: 'already matches backup' };
+    }
+
+    for (const { file, backupPath, livePath, status } of mine) {
+      if (status === 'identical') continue;
+
+      if (config.dryRun) {
+        info(`[DRY RUN] Would restore ${backupPath} -> ${livePath}`);
+        continue;
+      }
+
+      if (status === 'missing') {
+        tx.created(file);
+      } else if (lstatSync(livePath).isSymbolicLink()) {
+        // Don't write through a symlink into shared content; replace the link
+        tx.symlinkReplaced(file, { target: readlinkSync(livePath) });
+        unlinkSync(livePath);
+      } else {
+        tx.modified(file, backupUserFile(config.dataRoot, handle, file));
+        detachHardlink(livePath);
+      }
+      mkdirSync(dirname(livePath), { recursive: true });
+      copyFileSync(backupPath, livePath);
+    }
+    return 'success';
+  }, `Restore from ${setName}`, journalOptions(config, { backupSet: setName }));
+}
+
+/**
+ * Backup sets that contain per-user files (skips e.g. scaffold-index backups).
+ * @param {object} config
+ * @returns {string[]}
+ */
+function listRestorableSets(config) {
+  return listBackupSets(config).filter((name) => {
+    const setDir = join(config.backupRoot, name);
+    return tryReadManifest(setDir).manifest?.backend === 'dedup' ||
+      readdirSync(setDir, { withFileTypes: true }).some(e => e.isDirectory());
+  });
+}
+
+/**
+ * Interactive restore: pick a backup set, review differences, restore selected users.
+ * @param {object} config
+ */
+async function restoreBackup(config) {
+  const sets = listRestorableSets(config);
+  if (sets.length === 0) {
+    log.info('No per-user backup sets found.');
+    return;
+  }
+
+  const setName = await select({
+    message: 'Restore from which backup?',
+    options: sets.map(name => ({ value: name, label: name })),
+  });
+  if (typeof setName === 'symbol') return;
+
+  const entries = scanBackupSet(config, setName);
+  printHeader(`Backup: ${setName}`);
+  printRestorePreview(entries);
+
+  const restorable = [...new Set(
+    entries.filter(e => e.status === 'differs' || e.status === 'missing').map(e => e.handle)
+  )];
+  if (restorable.length === 0) {
+    log.info('Every live file already matches this backup.');
+    return;
+  }
+
+  const selected = await multiselect({
+    message: 'Select users to restore (space to toggle, enter to confirm):',
+    options: restorable.map(h => ({ value: h, label: h })),
+    initialValues: restorable,
+    required: true,
+  });
+  if (typeof selected === 'symbol') return;
+
+  const chosen = entries.filter(e => selected.includes(e.handle));
+  const proceed = await reviewRestore(
+    chosen,
+    `Restore ${selected.length} user(s) from ${setName}? Current files are backed up first.`
+  );
+  if (!proceed) return;
+
+  await restoreFromBackupSet(config, setName, chosen);
+}
+
+/**
+ * Archive each user's directory (or selected parts of it) into
+ * <backupRoot>/user-archive-<ts>/<handle>.tar.gz.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {object} options
+ * @param {string[]} options.include - Paths relative to the user directory, or ['.'] for everything
+ * @param {string[]} options.exclude - tar exclude patterns
+ * @param {string} [options.dirLabel] - Archive set directory prefix
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function archiveUsers(config, users, { include, exclude, dirLabel = ARCHIVE_PREFIX }) {
+  const setDir = join(config.backupRoot, timestampedDir(dirLabel));
+  let totalBytes = 0;
+
+  const results = await batchOperation(users, async (handle) => {
+    const dir = userDir(config.dataRoot, handle);
+    const paths = include.filter(p => existsSync(join(dir, p)));
+    if (paths.length === 0) {
+      return { skipped: 'nothing to archive' };
+    }
+
+    const archivePath = join(setDir, `${handle}.tar.gz`);
+    if (config.dryRun) {
+      info(`[DRY RUN] Would archive ${paths.join(', ')} from ${dir} -> ${archivePath}`);
+      return 'success';
+    }
+
+    createArchive(dir, archivePath, { include: paths, exclude });
+    totalBytes += statSync(archivePath).size;
+    return 'success';
+  }, 'Archive User Directories');
+
+  if (!config.dryRun && results.success.length > 0) {
+    log.success(`Archives saved to: ${setDir} (${formatBytes(totalBytes)})`);
+  }
+  return results;
+}
+
+/**
+ * Archive sets under backupRoot, newest first.
+ * @param {object} config
+ * @returns {string[]}
+ */
+function listArchiveSets(config) {
+  return listBackupSets(config).filter(name => name.startsWith(`${ARCHIVE_PREFIX}-`));
+}
+
+/**
+ * Users with an archive in a set.
+ * @param {object} config
+ * @param {string} setName
+ * @returns {string[]}
+ */
+function archivedUsers(config, setName) {
+  return readdirSync(join(config.backupRoot, setName))
+    .filter(f => f.endsWith('.tar.gz'))
+    .map(f => f.slice(0, -'.tar.gz'.length))
+    .sort();
+}
+
+/**
+ * Extract users' archives back into their directories. Before extracting,
+ * the parts of the live directory about to be overwritten are archived into
+ * a pre-restore set unless safety archives are turned off. Extractions are
+ * not journaled: that pre-restore set is the only way to undo them.
+ * @param {object} config
+ * @param {string} setName - Archive set to restore from
+ * @param {string[]} users
+ * @param {object} [options]
+ * @param {string[]} [options.members=[]] - Top-level entries to restore (default: everything)
+ * @param {boolean} [options.safetyArchive=true]
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function restoreFromArchives(config, setName, users, { members = [], safetyArchive = true } = {}) {
+  const safetyDir = freshTimestampedDir(config, `${ARCHIVE_PREFIX}-pre-restore`);
+
+  const results = await batchOperation(users, async (handle) => {
+    const archivePath = join(config.backupRoot, setName, `${handle}.tar.gz`);
+    if (!existsSync(archivePath)) {
+      return { skipped: 'no archive for this user' };
+    }
+
+    const dir = userDir(config.dataRoot, handle);
+    const available = listArchiveTopLevel(archivePath);
+    const wanted = members.length > 0 ? members.filter(m => available.includes(m)) : available;
+    if (wanted.length === 0) {
+      return { skipped: 'archive has none of the selected entries' };
+    }
+
+    if (config.dryRun) {
+      info(`[DRY RUN] Would extract ${wanted.join(', ')} from ${archivePath} -> ${dir}`);
+      return 'success';
+    }
+
+    const live = wanted.filter(m => existsSync(join(dir, m)));
+    if (safetyArchive && live.length > 0) {
+      // Named like any archive set, so the safety set can be restored as-is
+      createArchive(dir, join(safetyDir, `${handle}.tar.gz`), { include: live });
+    }
+
+    extractArchive(archivePath, dir, members.length > 0 ? wanted : []);
+    return 'success';
+  }, `Restore from ${setName}`);
+
+  if (!config.dryRun && existsSync(safetyDir)) {
+    log.info(`Pre-restore archives saved to: ${safetyDir}`);
+    info(`Archive restores can't be rolled back; to undo, restore-archive ${basename(safetyDir)}.`);
+  } else if (!config.dryRun && !safetyArchive && results.success.length > 0) {
+    warn('No pre-restore archive was taken, so this restore cannot be undone.');
+  }
+  return results;
+}
+
+/**
+ * Re-hash every file listed in a backup set's manifest and report, per user,
+ * missing, altered or unparseable files. Files in the set that the manifest
+ * doesn't list are reported as warnings.
+ * @param {object} config
+ * @param {string} setName
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function verifyBackupSet(config, setName) {
+  const setDir = join(config.backupRoot, setName);
+  const { manifest, error } = tryReadManifest(setDir);
+  if (!manifest && !error) {
+    throw new Error(`${setName} has no ${MANIFEST_NAME} (created before manifests were added?)`);
+  }
+
+  printHeader(`Verify: ${setName}`);
+  if (error) {
+    warn(`Manifest unreadable: ${error}`);
+    return { success: [], skipped: [], failed: [{ handle: MANIFEST_NAME, error: 'manifest unreadable' }] };
+  }
+  info(`Manifest: ${manifest.files.length} file(s), created ${manifest.createdAt} by ${manifest.tool} v${manifest.version}`);
+
+  const listed = new Set(manifest.files.map(f => `${f.user}/${f.path}`));
+  for (const { handle, file } of backupSetFiles(config.backupRoot, setDir)) {
+    if (!listed.has(`${handle}/${file}`)) {
+      warn(`${handle}/${file} is not in the manifest`);
+    }
+  }
+
+  const users = [...new Set(manifest.files.map(f => f.user))];
+  return batchOperation(users, async (handle) => {
+    const problems = manifest.files
+      .filter(f => f.user === handle)
+      .flatMap(f => verifyManifestFile(storedFilePath(config.backupRoot, setDir, manifest, f), f));
+    if (problems.length > 0) throw new Error(problems.join('; '));
+    return 'success';
+  }, `Verify ${setName}`);
+}
+
+/**
+ * Interactive: verify a backup set.
+ * @param {object} config
+ */
+async function verifyBackup(config) {
+  const sets = listBackupSets(config).filter(name => hasManifest(join(config.backupRoot, name)));
+  if (sets.length === 0) {
+    log.info('No backups with a manifest found.');
+    return;
+  }
+
+  const setName = await select({
+    message: 'Verify which backup?',
+    options: sets.map(name => ({ value: name, label: name })),
+  });
+  if (typeof setName === 'symbol') return;
+
+  await verifyBackupSet(config, setName);
+}
+
+/**
+ * Gather every prunable backup: timestamped directories in backupRoot
+ * (grouped by label) and per-user admin-snapshots (grouped by user and file).
+ * Backups a journal still needs for rollback are never prunable; they are
+ * returned separately.
+ * @param {object} config
+ * @returns {{items: import('../lib/retention.js').RetentionItem[], held: import('../lib/retention.js').RetentionItem[]}}
+ */
+function collectRetentionItems(config) {
+  const items = [];
+  const held = [];
+  const needed = [...heldBackups(config.backupRoot)];
+  const isHeld = item => needed.some(p => p === item.path || p.startsWith(item.path + sep));
+
+  for (const name of listBackupSets(config)) {
+    const m = /^(.*)-(\d{4}-\d{2}-\d{2}-\d{2}-\d{2}-\d{2})$/.exec(name);
+    const date = m && parseTimestamp(m[2]);
+    if (!date) continue;
+    const path = join(config.backupRoot, name);
+    const item = { path, group: `${m[1]} (admin)`, date, size: pathSize(path) };
+    (isHeld(item) ? held : items).push(item);
+  }
+
+  for (const handle of discoverUsers(config.dataRoot, config.excludeDirs)) {
+    const dir = userSnapshotsDir(config.dataRoot, handle);
+    if (!existsSync(dir)) continue;
+
+    // Backups keep the file's subdirectory, e.g. "instruct/Alpaca.json.<ts>.bak";
+    // older ones sit flat in admin-snapshots/ and keep their own group, so the
+    // newest of them (what latestUserBackup falls back to) is kept like any other
+    for (const file of snapshotFiles(dir, [])) {
+      const m = /^(.*)\.(\d{4}-\d{2}-\d{2}-\d{2}-\d{2}-\d{2})(?:-\d+)?\.bak$/.exec(file);
+      const date = m && parseTimestamp(m[2]);
+      if (!date) continue;
+      const path = join(dir, file);
+      const item = { path, group: `${handle}/${m[1]}`, date, size: statSync(path).size };
+      (isHeld(item) ? held : items).push(item);
+    }
+  }
+
+  return { items, held };
+}
+
+/**
+ * Backup set directories that survive pruning.
+ * @param {object} config
+ * @param {import('../lib/retention.js').RetentionItem[]} prune
+ * @returns {string[]}
+ */
+function remainingSetDirs(config, prune) {
+  const pruned = new Set(prune.map(item => item.path));
+  return listBackupSets(config)
+    .map(name => join(config.backupRoot, name))
+    .filter(dir => !pruned.has(dir));
+}
+
+/**
+ * Apply the configured retention policy and print what it would remove.
+ * @param {object} config
+ * @returns {import('../lib/retention.js').RetentionItem[]} Backups to prune
+ */
+function previewPrune(config) {
+  const policy = config.backupRetention;
+  const { items, held } = collectRetentionItems(config);
+  const { keep, prune } = applyRetention(items, policy);
+
+  printHeader('Backup Retention');
+  console.log(chalk.dim(
+    `  Policy: keep last ${policy.keepLast}, daily for ${policy.keepDailyDays} days, ` +
+    `weekly for ${policy.keepWeeklyWeeks} weeks` +
+    (policy.maxTotalBytes > 0 ? `, max ${formatBytes(policy.maxTotalBytes)} total` : '')
+  ));
+  console.log('');
+
+  const byGroup = new Map();
+  for (const item of prune) {
+    const g = byGroup.get(item.group) || { count: 0, bytes: 0 };
+    g.count++;
+    g.bytes += item.size;
+    byGroup.set(item.group, g);
+  }
+
+  for (const [group, { count, bytes }] of [...byGroup].sort()) {
+    console.log(`  ${group.padEnd(45)}${String(count).padStart(5)} to remove  ${chalk.dim(formatBytes(bytes))}`);
+  }
+
+  const objects = collectGarbage(config.backupRoot, remainingSetDirs(config, prune), true);
+  if (objects.count > 0) {
+    console.log(`  ${'objects (dedup store)'.padEnd(45)}${String(objects.count).padStart(5)} to remove  ${chalk.dim(formatBytes(objects.bytes))}`);
+  }
+  if (objects.unreadable.length > 0) {
+    warn(`Unreferenced dedup objects are kept: manifest unreadable in ${objects.unreadable.map(d => basename(d)).join(', ')}`);
+  }
+
+  if (held.length > 0) {
+    console.log(chalk.dim(
+      `\n  Held for rollback: ${held.length} backup(s) (${formatBytes(held.reduce((sum, item) => sum + item.size, 0))}) ` +
+      'that journaled operations need to be undone.\n' +
+      '  They are kept until that operation is rolled back.'
+    ));
+  }
+
+  const reclaim = prune.reduce((sum, item) => sum + item.size, 0) + objects.bytes;
+  console.log(
+    `\n  Keeping ${keep.length + held.length}, removing ${prune.length} backup(s), ` +
+    `reclaiming ${chalk.bold(formatBytes(reclaim))}.\n`
+  );
+  return prune;
+}
+
+/**
+ * Delete the given backups.
+ * @param {object} config
+ * @param {import('../lib/retention.js').RetentionItem[]} prune
+ */
+function pruneBackups(config, prune) {
+  let reclaimed = 0;
+  let failed = 0;
+
+  for (const item of prune) {
+    if (config.dryRun) {
+      info(`[DRY RUN] Would remove ${item.path}`);
+      continue;
+    }
+    try {
+      rmSync(item.path, { recursive: true, force: true });
+      reclaimed += item.size;
+    } catch (err) {
+      failed++;
+      log.error(`Failed to remove ${item.path}: ${err.message}`);
+    }
+  }
+
+  if (!config.dryRun) {
+    // Dedup objects only referenced by removed snapshots are now garbage
+    const objects = collectGarbage(config.backupRoot, remainingSetDirs(config, []));
+    reclaimed += objects.bytes;
+    log.success(
+      `Removed ${prune.length - failed} backup(s)` +
+      (objects.count > 0 ? ` and ${objects.count} unreferenced object(s)` : '') +
+      `, reclaimed ${formatBytes(reclaimed)}.`
+    );
+  }
+  if (failed > 0) {
+    throw new Error(`${failed} backup(s) could not be removed`);
+  }
+}
+
+/**
+ * Interactive: prune backups according to the retention policy.
+ * @param {object} config
+ */
+async function pruneOldBackups(config) {
+  const prune = previewPrune(config);
+  if (prune.length === 0) {
+    log.info('Nothing to prune.');
+    return;
+  }
+
+  const proceed = await confirm({
+    message: `Remove ${prune.length} backup(s)?`,
+  });
+  if (typeof proceed === 'symbol' || !proceed) return;
+
+  try {
+    pruneBackups(config, prune);
+  } catch (err) {
+    log.error(err.message);
+  }
+}
+
+/**
+ * Split a comma-separated option value into trimmed, non-empty items.
+ * @param {string|undefined} value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Interactive: archive whole user directories.
+ * @param {object} config
+ */
+async function archiveUserDirs(config) {
+  const scope = await select({
+    message: 'What should each archive contain?',
+    options: [
+      { value: 'all',  label: 'Entire user directory' },
+      { value: 'pick', label: 'Pick subdirectories' },
+    ],
+  });
+  if (typeof scope === 'symbol') return;
+
+  let include = ['.'];
+  if (scope === 'pick') {
+    const picked = await multiselect({
+      message: 'Select subdirectories to archive:',
+      options: [
+        ...ARCHIVE_DIRS.map(d => ({ value: d, label: d })),
+        { value: 'settings.json', label: 'settings.json' },
+      ],
+      initialValues: ['characters', 'chats', 'worlds', 'settings.json'],
+      required: true,
+    });
+    if (typeof picked === 'symbol') return;
+    include = picked;
+  }
+
+  const excludeInput = await text({
+    message: 'Exclude patterns (comma-separated, empty for none):',
+    initialValue: DEFAULT_ARCHIVE_EXCLUDES.join(','),
+  });
+  if (typeof excludeInput === 'symbol') return;
+
+  const users = await selectUsers(config);
+  if (users.length === 0) return;
+
+  const proceed = await confirm({
+    message: `Archive ${scope === 'all' ? 'the entire directory' : include.join(', ')} for ${users.length} user(s)?`,
+  });
+  if (typeof proceed === 'symbol' || !proceed) return;
+
+  await archiveUsers(config, users, { include, exclude: splitList(excludeInput) });
+}
+
+/**
+ * Interactive: restore one user from an archive.
+ * @param {object} config
+ */
+async function restoreUserArchive(config) {
+  const sets = listArchiveSets(config);
+  if (sets.length === 0) {
+    log.info('No user archives found.');
+    return;
+  }
+
+  const setName = await select({
+    message: 'Restore from which archive set?',
+    options: sets.map(name => ({ value: name, label: name, hint: `${archivedUsers(config, name).length} users` })),
+  });
+  if (typeof setName === 'symbol') return;
+
+  const handle = await select({
+    message: 'Select a user:',
+    options: archivedUsers(config, setName).map(h => ({ value: h, label: h })),
+  });
+  if (typeof handle === 'symbol') return;
+
+  const archivePath = join(config.backupRoot, setName, `${handle}.tar.gz`);
+  const available = listArchiveTopLevel(archivePath);
+
+  const members = await multiselect({
+    message: 'Select what to restore:',
+    options: available.map(m => ({ value: m, label: m })),
+    initialValues: available,
+    required: true,
+  });
+  if (typeof members === 'symbol') return;
+
+  const proceed = await confirm({
+    message: `Restore ${members.join(', ')} for ${handle}? Files in the archive overwrite the live copies (which are archived first, as the only undo).`,
+  });
+  if (typeof proceed === 'symbol' || !proceed) return;
+
+  await restoreFromArchives(config, setName, [handle], {
+    members: members.length === available.length ? [] : members,
+  });
+}
+
+/**
+ * Interactive: snapshot every user's files.
+ * @param {object} config
+ */
+async function snapshotAll(config) {
+  const users = await selectUsers(config);
+  if (users.length === 0) return;
+
+  const proceed = await confirm({
+    message: `Snapshot all files for ${users.length} user(s) (${config.backupBackend} backend)?`,
+  });
+  if (typeof proceed === 'symbol' || !proceed) return;
+
+  await snapshotUsers(config, users);
+}
+
 /**
  * Main entry point.
  * @param {object} config
@@ -142,12 +958,166 @@ export async function run(config) {
     options: [
       { value: 'settings', label: 'Backup all settings.json',    hint: 'quick backup of all user settings' },
       { value: 'specific', label: 'Backup a specific file type',  hint: 'choose which file to backup' },
+      { value: 'snapshot', label: 'Snapshot all user files',      hint: `${config.backupBackend} backend` },
       { value: 'list',     label: 'List existing backups' },
+      { value: 'restore',  label: 'Restore from a backup',        hint: 'compare and copy files back' },
+      { value: 'archive',  label: 'Archive user directories',     hint: 'compressed tar of chats, characters, ...' },
+      { value: 'unarchive', label: 'Restore user from archive' },
+      { value: 'verify',   label: 'Verify backup',                hint: 're-hash files against the manifest' },
+      { value: 'prune',    label: 'Prune old backups',            hint: 'apply the retention policy' },
     ],
   });
   if (typeof action === 'symbol') return;
 
   if (action === 'settings') await backupAllSettings(config);
   else if (action === 'specific') await backupSpecificFile(config);
+  else if (action === 'snapshot') await snapshotAll(config);
   else if (action === 'list') listBackups(config);
+  else if (action === 'restore') await restoreBackup(config);
+  else if (action === 'archive') await archiveUserDirs(config);
+  else if (action === 'unarchive') await restoreUserArchive(config);
+  else if (action === 'verify') await verifyBackup(config);
+  else if (action === 'prune') await pruneOldBackups(config);
+}
+
+export const CLI_USAGE = `backup-ops <action> [options]
+
+    settings [--users <all|a,b>]                 Backup settings.json
+    file --file <name> [--users <all|a,b>]       Backup ${BACKUP_FILES.join(', ')}
+    snapshot [--users <all|a,b>]                 Snapshot every user file
+    list                                         List existing backups
+    restore <backup> [--users <all|a,b>]         Restore users' files from a backup
+    archive [--users] [--include a,b] [--exclude a,b]
+                                                 Archive user directories (.tar.gz)
+    restore-archive <set> --users <a,b> [--only chats,worlds] [--skip-safety]
+                                                 Extract users' archives back
+    verify <backup|all>                          Check files against the backup's manifest
+    prune                                        Remove backups outside backupRetention
+
+  --users defaults to all users, matching the interactive menu. For restore,
+  "all" means every user in the backup whose files differ from the live copy.
+  archive includes the entire user directory unless --include is given and
+  excludes ${DEFAULT_ARCHIVE_EXCLUDES.join(', ')} unless --exclude is given.
+  restore-archive is not journaled (rollback can't undo it); the archive of
+  the overwritten files it takes first is the only undo, and --skip-safety
+  turns that off.`;
+
+export const CLI_OPTIONS = {
+  file:          { type: 'string' },
+  include:       { type: 'string' },
+  exclude:       { type: 'string' },
+  only:          { type: 'string' },
+  'skip-safety': { type: 'boolean', default: false },
+};
+
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { positionals, values, confirm: confirmRun }) {
+  const [action] = positionals;
+  const users = () => resolveUsers(config, values.users || 'all');
+
+  if (action === 'list') {
+    listBackups(config);
+    return [];
+  }
+  if (action === 'settings') {
+    return [await backupFileForUsers(config, users(), 'settings.json', 'settings-backup', 'Backup Settings')];
+  }
+  if (action === 'file') {
+    if (!BACKUP_FILES.includes(values.file)) {
+      throw new Error(`--file must be one of: ${BACKUP_FILES.join(', ')}`);
+    }
+    const label = values.file.replace('.', '-');
+    return [await backupFileForUsers(config, users(), values.file, `${label}-backup`, `Backup ${values.file}`)];
+  }
+
+  if (action === 'restore') {
+    const setName = positionals[1];
+    if (!setName || !listRestorableSets(config).includes(setName)) {
+      throw new Error('restore needs the name of a per-user backup (see "backup-ops list")');
+    }
+
+    const entries = scanBackupSet(config, setName);
+    printHeader(`Backup: ${setName}`);
+    printRestorePreview(entries);
+
+    const wanted = !values.users || values.users === 'all'
+      ? null
+      : resolveUsers(config, values.users);
+    const selected = entries.filter(e => !wanted || wanted.includes(e.handle));
+    const changing = new Set(
+      selected.filter(e => e.status === 'differs' || e.status === 'missing').map(e => e.handle)
+    );
+    if (changing.size === 0) {
+      info('Nothing to restore.');
+      return [];
+    }
+
+    await confirmRun(`Restore ${changing.size} user(s) from ${setName}?`);
+    return [await restoreFromBackupSet(config, setName, selected)];
+  }
+
+  if (action === 'snapshot') {
+    return [await snapshotUsers(config, users())];
+  }
+
+  if (action === 'archive') {
+    const include = values.include ? splitList(values.include) : ['.'];
+    const exclude = values.exclude !== undefined ? splitList(values.exclude) : DEFAULT_ARCHIVE_EXCLUDES;
+    return [await archiveUsers(config, users(), { include, exclude })];
+  }
+
+  if (action === 'restore-archive') {
+    const setName = positionals[1];
+    if (!setName || !listArchiveSets(config).includes(setName)) {
+      throw new Error('restore-archive needs the name of an archive set (see "backup-ops list")');
+    }
+    if (!values.users) throw new Error('restore-archive needs --users');
+
+    const archived = archivedUsers(config, setName);
+    const handles = values.users === 'all'
+      ? resolveUsers(config, 'all').filter(h => archived.includes(h))
+      : resolveUsers(config, values.users);
+    const members = splitList(values.only);
+
+    await confirmRun(`Restore ${members.length > 0 ? members.join(', ') : 'everything'} for ${handles.length} user(s) from ${setName}?`);
+    return [await restoreFromArchives(config, setName, handles, {
+      members,
+      safetyArchive: !values['skip-safety'],
+    })];
+  }
+
+  if (action === 'verify') {
+    const target = positionals[1];
+    if (!target) throw new Error('verify needs a backup name or "all"');
+    const sets = target === 'all'
+      ? listBackupSets(config).filter(name => hasManifest(join(config.backupRoot, name)))
+      : [target];
+    if (sets.length === 0) {
+      warn(`No backups with a manifest found in ${config.backupRoot}; nothing was verified.`);
+      return [];
+    }
+
+    const results = [];
+    for (const setName of sets) {
+      if (!existsSync(join(config.backupRoot, setName))) throw new Error(`No backup named ${setName}`);
+      results.push(await verifyBackupSet(config, setName));
+    }
+    return results;
+  }
+
+  if (action === 'prune') {
+    const prune = previewPrune(config);
+    if (prune.length === 0) return [];
+
+    await confirmRun(`Remove ${prune.length} backup(s)?`);
+    pruneBackups(config, prune);
+    return [];
+  }
+
+  throw new Error(`Unknown backup-ops action "${action ?? ''}" (expected settings, file, snapshot, list, restore, archive, restore-archive, verify or prune)`);
 }
@@ -2,9 +2,10 @@ import { select, text, confirm, log } from '@clack/prompts';
 import { existsSync, unlinkSync, readdirSync } from 'node:fs';
 import { join } from 'node:path';
 import chalk from 'chalk';
-import { selectUsers } from '../users.js';
+import { selectUsers, resolveUsers } from '../users.js';
 import { batchOperation } from '../batch.js';
 import { backupUserFile } from '../backup.js';
+import { journalOptions } from '../lib/journal.js';
 import { info } from '../ui.js';
 
 /** Content type to subdirectory mapping. */
@@ -14,6 +15,37 @@ const CONTENT_DIRS = {
   chat:      'chats',
 };
 
+/**
+ * Delete one file from a content subdirectory for each user.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {string} subDir - e.g. "characters"
+ * @param {string} filename
+ * @param {boolean} backupFirst - Back up each file into admin-snapshots before deleting
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function deleteContentForUsers(config, users, subDir, filename, backupFirst) {
+  return batchOperation(users, async (handle, tx) => {
+    const filePath = join(config.dataRoot, handle, subDir, filename);
+
+    if (!existsSync(filePath)) {
+      return { skipped: 'file not found' };
+    }
+
+    if (config.dryRun) {
+      info(`[DRY RUN] Would delete ${filePath}`);
+      return 'success';
+    }
+
+    const relativePath = `${subDir}/${filename}`;
+    const backupPath = backupFirst ? backupUserFile(config.dataRoot, handle, relativePath) : null;
+    tx.deleted(relativePath, backupPath);
+
+    unlinkSync(filePath);
+    return 'success';
+  }, `Delete ${filename}`, journalOptions(config, { subDir, filename, backupFirst }));
+}
+
 /**
  * Main entry point: delete a specific file from selected users.
  * @param {object} config
@@ -65,23 +97,37 @@ export async function run(config) {
   });
   if (typeof proceed === 'symbol' || !proceed) return;
 
-  await batchOperation(users, async (handle) => {
-    const filePath = join(config.dataRoot, handle, subDir, filename.trim());
+  await deleteContentForUsers(config, users, subDir, filename.trim(), backupFirst);
+}
 
-    if (!existsSync(filePath)) {
-      return { skipped: 'file not found' };
-    }
+export const CLI_USAGE = `bulk-delete --type <character|world> --file <name> --users <all|a,b> [--skip-backup]
 
-    if (config.dryRun) {
-      info(`[DRY RUN] Would delete ${filePath}`);
-      return 'success';
-    }
+  Delete a character card or lorebook from users. Each file is backed up to
+  the user's admin-snapshots first unless --skip-backup is given.`;
 
-    if (backupFirst) {
-      backupUserFile(config.dataRoot, handle, `${subDir}/${filename.trim()}`);
-    }
+export const CLI_OPTIONS = {
+  type:          { type: 'string' },
+  file:          { type: 'string' },
+  'skip-backup': { type: 'boolean', default: false },
+};
 
-    unlinkSync(filePath);
-    return 'success';
-  }, `Delete ${filename}`);
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { values, confirm: confirmRun }) {
+  const subDir = CONTENT_DIRS[values.type];
+  if (!subDir || values.type === 'chat') throw new Error('--type must be "character" or "world"');
+  const filename = values.file?.trim();
+  if (!filename) throw new Error('--file is required');
+
+  const users = resolveUsers(config, values.users);
+  const count = users.filter(h => existsSync(join(config.dataRoot, h, subDir, filename))).length;
+  info(`Found "${filename}" in ${count} of ${users.length} user directories.`);
+  if (count === 0) return [];
+
+  await confirmRun(`DELETE "${filename}" from ${count} user(s)?`);
+  return [await deleteContentForUsers(config, users, subDir, filename, !values['skip-backup'])];
 }
@@ -1,13 +1,21 @@
-import { select, text, confirm, multiselect, log } from '@clack/prompts';
+import { select, text, multiselect, confirm, autocomplete, log } from '@clack/prompts';
 import { readFileSync, writeFileSync, existsSync } from 'node:fs';
 import chalk from 'chalk';
 import lodashGet from 'lodash.get';
-import { selectUsers } from '../users.js';
+import { selectUsers, resolveUsers } from '../users.js';
 import { batchOperation } from '../batch.js';
 import { backupUserFile } from '../backup.js';
+import { journalOptions } from '../lib/journal.js';
 import { userSettingsPath } from '../lib/st-paths.js';
-import { applyMutations, syncSections, parseValue } from '../lib/json-merge.js';
-import { printHeader, info } from '../ui.js';
+import {
+  applyMutations, syncSections, parseValue, applyJsonPatch, applyMergePatch, validateJsonPatch,
+  removePaths, removeArrayValues
+} from '../lib/json-merge.js';
+import { diffLines, diffStats } from '../lib/text-diff.js';
+import { loadSchema, checkMutation, valueType } from '../lib/settings-schema.js';
+import { parseConditions, unmetCondition } from '../lib/conditions.js';
+import { CHARLORE_PATH, charLoreEntries, charLoreRecord } from '../lib/charlore.js';
+import { printHeader, printDiff, info, warn } from '../ui.js';
 
 /**
  * Read and parse a user's settings.json.
@@ -21,44 +29,704 @@ function readSettings(path) {
 }
 
 /**
- * Write settings back to disk.
- * @param {string} path
+ * Serialize settings the way they are written to disk.
  * @param {object} settings
+ * @returns {string}
  */
-function writeSettings(path, settings) {
-  writeFileSync(path, JSON.stringify(settings, null, 4) + '\n');
+function formatSettings(settings) {
+  return JSON.stringify(settings, null, 4) + '\n';
 }
 
 /**
- * Interactive loop to collect dot-path / value mutations from the admin.
- * @returns {Promise<Array<{path: string, value: any}>>}
+ * A settings change that can be previewed and then applied.
+ * @typedef {Object} SettingsOperation
+ * @property {string} label - Batch label
+ * @property {(settings: object, handle: string) => object} transform - Returns the updated settings
+ * @property {(settings: object, handle: string) => string|null} [skip] - Reason to leave this user untouched, or null
+ * @property {(settingsPath: string, settings: object) => string} describeDryRun - Dry-run log line
+ * @property {object} params - Operation parameters for the journal
  */
-async function collectMutations() {
-  const mutations = [];
+
+/**
+ * Run a settings operation against each user's settings.json, backing up
+ * the original first. Users without a settings.json, users the operation
+ * skips, and users whose settings already match are skipped.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {SettingsOperation} operation
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+async function updateUserSettings(config, users, { label, transform, skip, describeDryRun, params }) {
+  return batchOperation(users, async (handle, tx) => {
+    const settingsPath = userSettingsPath(config.dataRoot, handle);
+
+    if (!existsSync(settingsPath)) {
+      return { skipped: 'no settings.json' };
+    }
+
+    const settings = readSettings(settingsPath);
+    if (settings === null) {
+      return { skipped: 'no settings.json' };
+    }
+
+    const reason = skip?.(settings, handle);
+    if (reason) {
+      return { skipped: reason };
+    }
+
+    const before = formatSettings(settings);
+    const after = formatSettings(transform(settings, handle));
+    if (before === after) {
+      return { skipped: 'already matches' };
+    }
+
+    if (config.dryRun) {
+      const { added, removed } = diffStats(diffLines(before, after));
+      info(`[DRY RUN] ${describeDryRun(settingsPath, settings)} (+${added} -${removed} lines)`);
+    } else {
+      tx.modified('settings.json', backupUserFile(config.dataRoot, handle, 'settings.json'));
+      writeFileSync(settingsPath, after);
+    }
+
+    return 'success';
+  }, label, journalOptions(config, params));
+}
+
+/**
+ * @typedef {Object} SettingsPreview
+ * @property {string} handle
+ * @property {'changes'|'matches'|'skipped'|'no-settings'|'error'} status
+ * @property {import('../lib/text-diff.js').DiffLine[]} ops - Line diff of settings.json (when changed)
+ * @property {number} added
+ * @property {number} removed
+ * @property {string} [reason] - Why the operation skips this user
+ * @property {string} [error] - Why the preview failed (unreadable settings, transform error)
+ */
+
+/**
+ * Compute what an operation would do to each user's settings.json without
+ * writing anything.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {SettingsOperation} operation
+ * @returns {SettingsPreview[]}
+ */
+function previewSettingsChanges(config, users, { transform, skip }) {
+  return users.map((handle) => {
+    const preview = { handle, status: 'matches', ops: [], added: 0, removed: 0 };
+    try {
+      const settings = readSettings(userSettingsPath(config.dataRoot, handle));
+      if (settings === null) return { ...preview, status: 'no-settings' };
+
+      const reason = skip?.(settings, handle);
+      if (reason) return { ...preview, status: 'skipped', reason };
+
+      const before = formatSettings(settings);
+      const after = formatSettings(transform(settings, handle));
+      if (before === after) return preview;
+
+      const ops = diffLines(before, after);
+      return { ...preview, status: 'changes', ops, ...diffStats(ops) };
+    } catch (err) {
+      return { ...preview, status: 'error', error: err.message };
+    }
+  });
+}
+
+/**
+ * Print the per-user change summary for a settings preview.
+ * @param {SettingsPreview[]} previews
+ */
+function printPreviewSummary(previews) {
+  const count = (status) => previews.filter(p => p.status === status).length;
+
+  printHeader('Preview');
+  for (const p of previews) {
+    if (p.status === 'changes') {
+      console.log(`  ${p.handle.padEnd(25)}${chalk.green(`+${p.added}`)} ${chalk.red(`-${p.removed}`)}`);
+    } else if (p.status === 'skipped') {
+      console.log(`  ${p.handle.padEnd(25)}${chalk.yellow(`skipped: ${p.reason}`)}`);
+    } else if (p.status === 'error') {
+      console.log(`  ${p.handle.padEnd(25)}${chalk.red(p.error)}`);
+    }
+  }
+
+  console.log('');
+  console.log(`  ${chalk.cyan('Would change:')}    ${count('changes')} users`);
+  console.log(`  ${chalk.dim('Already match:')}   ${count('matches')} users`);
+  if (count('skipped') > 0) {
+    console.log(`  ${chalk.yellow('Skipped:')}         ${count('skipped')} users`);
+  }
+  if (count('no-settings') > 0) {
+    console.log(`  ${chalk.yellow('No settings.json:')} ${count('no-settings')} users`);
+  }
+  if (count('error') > 0) {
+    console.log(`  ${chalk.red('Errors:')}          ${count('error')} users`);
+  }
+  console.log('');
+}
+
+/**
+ * Print the unified settings.json diff for one user.
+ * @param {SettingsPreview} preview
+ */
+function printPreviewDiff(preview) {
+  printHeader(`${preview.handle} — settings.json`);
+  printDiff(preview.ops);
+  console.log('');
+}
+
+/**
+ * Interactive: show the preview summary and let the admin drill into
+ * individual users' diffs before confirming.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {SettingsOperation} operation
+ * @returns {Promise<boolean>} Whether to apply the operation
+ */
+async function reviewSettingsChanges(config, users, operation) {
+  const previews = previewSettingsChanges(config, users, operation);
+  printPreviewSummary(previews);
+
+  const changed = previews.filter(p => p.status === 'changes');
+  if (changed.length === 0) {
+    warn('No user\'s settings would change.');
+    return false;
+  }
 
   while (true) {
+    const choice = await select({
+      message: `Apply to ${changed.length} user(s)?`,
+      options: [
+        { value: 'apply',  label: 'Apply changes' },
+        { value: 'user',   label: 'View diff for a user' },
+        { value: 'all',    label: 'View all diffs' },
+        { value: 'cancel', label: 'Cancel' },
+      ],
+    });
+    if (typeof choice === 'symbol' || choice === 'cancel') return false;
+    if (choice === 'apply') return true;
+
+    if (choice === 'all') {
+      changed.forEach(printPreviewDiff);
+      continue;
+    }
+
+    const handle = await select({
+      message: 'Which user?',
+      options: changed.map(p => ({ value: p.handle, label: p.handle, hint: `+${p.added} -${p.removed}` })),
+    });
+    if (typeof handle === 'symbol') continue;
+    printPreviewDiff(changed.find(p => p.handle === handle));
+  }
+}
+
+/**
+ * Restrict an operation to users whose current settings meet every
+ * condition; the others are skipped with the reason.
+ * @param {SettingsOperation} operation
+ * @param {import('../lib/conditions.js').Condition[]} conditions
+ * @returns {SettingsOperation}
+ */
+function withConditions(operation, conditions) {
+  if (conditions.length === 0) return operation;
+  return {
+    ...operation,
+    skip: (settings, handle) => unmetCondition(conditions, settings) ?? operation.skip?.(settings, handle) ?? null,
+    params: { ...operation.params, when: conditions.map(c => c.source).join(' && ') },
+  };
+}
+
+/**
+ * Build the operation that sets dot-path/value pairs.
+ * @param {Array<{path: string, value: any}>} mutations
+ * @returns {SettingsOperation}
+ */
+function setKeyValuesOperation(mutations) {
+  return {
+    label: 'Bulk Set Key/Values',
+    transform: (settings) => applyMutations(settings, mutations),
+    describeDryRun: (settingsPath) => `Would update ${settingsPath}`,
+    params: { mutations },
+  };
+}
+
+/**
+ * Set dot-path/value pairs in each user's settings.json.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {Array<{path: string, value: any}>} mutations
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function setKeyValuesForUsers(config, users, mutations) {
+  return updateUserSettings(config, users, setKeyValuesOperation(mutations));
+}
+
+/**
+ * Build the operation that copies template sections.
+ * @param {object} template
+ * @param {string[]} keys
+ * @returns {SettingsOperation}
+ */
+function syncTemplateOperation(template, keys) {
+  return {
+    label: 'Sync from Template',
+    transform: (settings) => syncSections(settings, template, keys),
+    describeDryRun: (settingsPath) => `Would sync sections to ${settingsPath}`,
+    params: { keys },
+  };
+}
+
+/**
+ * Copy the selected sections of a template into each user's settings.json.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {object} template - Parsed golden template
+ * @param {string[]} keys - Sections to sync
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function syncTemplateForUsers(config, users, template, keys) {
+  return updateUserSettings(config, users, syncTemplateOperation(template, keys));
+}
+
+/**
+ * Build the operation that adds a lorebook to an array setting.
+ * @param {string} lorebookName
+ * @param {string} settingsKey
+ * @returns {SettingsOperation}
+ */
+function linkLorebookOperation(lorebookName, settingsKey) {
+  return {
+    label: 'Link Lorebook',
+    transform: (settings) => {
+      // Get the current array at the key path, or create one
+      const currentList = lodashGet(settings, settingsKey, []);
+      const list = Array.isArray(currentList) ? [...currentList] : [];
+
+      // Add the lorebook name if not already present
+      if (!list.includes(lorebookName)) {
+        list.push(lorebookName);
+      }
+
+      return applyMutations(settings, [{ path: settingsKey, value: list }]);
+    },
+    describeDryRun: (settingsPath) => `Would add "${lorebookName}" to ${settingsKey} in ${settingsPath}`,
+    params: { lorebookName, settingsKey },
+  };
+}
+
+/**
+ * Add a lorebook name to an array setting (e.g. world_info.globalSelect).
+ * @param {object} config
+ * @param {string[]} users
+ * @param {string} lorebookName
+ * @param {string} settingsKey - Dot-path of the array
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function linkLorebookForUsers(config, users, lorebookName, settingsKey) {
+  return updateUserSettings(config, users, linkLorebookOperation(lorebookName, settingsKey));
+}
+
+/**
+ * Build the operation that adds or replaces a charLore entry.
+ * @param {{name: string, extraBooks: string[]}} entry
+ * @returns {SettingsOperation}
+ */
+function addCharLoreOperation(entry) {
+  return {
+    label: 'Add charLore Entry',
+    transform: (settings) => {
+      // Remove existing entry with the same name (replace behavior), then append
+      const filtered = charLoreEntries(settings).filter(e => e.name !== entry.name);
+      filtered.push(entry);
+      return applyMutations(settings, [{ path: CHARLORE_PATH, value: filtered }]);
+    },
+    describeDryRun: (settingsPath, settings) => {
+      const action = charLoreEntries(settings).some(e => e.name === entry.name) ? 'replace' : 'add';
+      return `Would ${action} charLore entry for "${entry.name}" in ${settingsPath}`;
+    },
+    params: { entry },
+  };
+}
+
+/**
+ * Add a charLore entry to each user's settings.json, replacing any existing
+ * entry for the same character name.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {{name: string, extraBooks: string[]}} entry
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function addCharLoreForUsers(config, users, entry) {
+  return updateUserSettings(config, users, addCharLoreOperation(entry));
+}
+
+/**
+ * Build the operation that adds books to a character's charLore entry,
+ * keeping the books it already has (the entry is created if missing).
+ * @param {string} name - Character name
+ * @param {string[]} books
+ * @returns {SettingsOperation}
+ */
+function addCharLoreBooksOperation(name, books) {
+  return {
+    label: 'Link charLore Books',
+    transform: (settings) => {
+      const entries = charLoreEntries(settings);
+      const existing = entries.find(e => e.name === name);
+      const updated = existing
+        ? entries.map(e => (e === existing ? { ...e, extraBooks: [...new Set([...(Array.isArray(e.extraBooks) ? e.extraBooks : []), ...books])] } : e))
+        : [...entries, { name, extraBooks: books }];
+      return applyMutations(settings, [{ path: CHARLORE_PATH, value: updated }]);
+    },
+    describeDryRun: (settingsPath) => `Would link ${books.join(', ')} to "${name}" in the charLore of ${settingsPath}`,
+    params: { name, books },
+  };
+}
+
+/**
+ * Add books to a character's charLore entry in each user's settings.json,
+ * keeping the books already linked.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {string} name - Character name
+ * @param {string[]} books
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function addCharLoreBooksForUsers(config, users, name, books) {
+  return updateUserSettings(config, users, addCharLoreBooksOperation(name, books));
+}
+
+/**
+ * Build the operation that deletes dot-paths.
+ * @param {string[]} paths
+ * @returns {SettingsOperation}
+ */
+function removeKeysOperation(paths) {
+  return {
+    label: 'Delete Keys',
+    transform: (settings) => removePaths(settings, paths),
+    describeDryRun: (settingsPath) => `Would delete ${paths.join(', ')} from ${settingsPath}`,
+    params: { paths },
+  };
+}
+
+/**
+ * Delete dot-paths from each user's settings.json.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {string[]} paths
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function removeKeysForUsers(config, users, paths) {
+  return updateUserSettings(config, users, removeKeysOperation(paths));
+}
+
+/**
+ * Build the operation that removes values from an array setting.
+ * @param {string} settingsKey - Dot-path of the array
+ * @param {any[]} values
+ * @returns {SettingsOperation}
+ */
+function removeArrayValuesOperation(settingsKey, values) {
+  const shown = values.map(v => JSON.stringify(v)).join(', ');
+  return {
+    label: 'Remove Array Values',
+    transform: (settings) => removeArrayValues(settings, settingsKey, values),
+    describeDryRun: (settingsPath) => `Would remove ${shown} from ${settingsKey} in ${settingsPath}`,
+    params: { settingsKey, values },
+  };
+}
+
+/**
+ * Remove values (e.g. a lorebook name) from an array setting in each
+ * user's settings.json.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {string} settingsKey - Dot-path of the array
+ * @param {any[]} values
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function removeArrayValuesForUsers(config, users, settingsKey, values) {
+  return updateUserSettings(config, users, removeArrayValuesOperation(settingsKey, values));
+}
+
+/**
+ * Build the operation that removes a charLore entry, or only some of its
+ * extraBooks. An entry left with no books is removed.
+ * @param {string} name - Character name
+ * @param {string[]} books - Books to remove; empty removes the whole entry
+ * @returns {SettingsOperation}
+ */
+function removeCharLoreOperation(name, books) {
+  return {
+    label: 'Remove charLore Entry',
+    transform: (settings) => {
+      const current = lodashGet(settings, CHARLORE_PATH);
+      if (!Array.isArray(current)) return settings;
+
+      const updated = current.flatMap((entry) => {
+        if (entry.name !== name) return [entry];
+        if (books.length === 0) return [];
+        const extraBooks = (Array.isArray(entry.extraBooks) ? entry.extraBooks : []).filter(b => !books.includes(b));
+        return extraBooks.length > 0 ? [{ ...entry, extraBooks }] : [];
+      });
+      return applyMutations(settings, [{ path: CHARLORE_PATH, value: updated }]);
+    },
+    describeDryRun: (settingsPath) => books.length > 0
+      ? `Would remove ${books.join(', ')} from the charLore entry for "${name}" in ${settingsPath}`
+      : `Would remove the charLore entry for "${name}" from ${settingsPath}`,
+    params: { name, books },
+  };
+}
+
+/**
+ * Remove a character's charLore entry (or just some of its extraBooks)
+ * from each user's settings.json.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {string} name - Character name
+ * @param {string[]} [books] - Books to remove; omit to remove the whole entry
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function removeCharLoreForUsers(config, users, name, books = []) {
+  return updateUserSettings(config, users, removeCharLoreOperation(name, books));
+}
+
+/**
+ * Build the operation that removes dangling charLore references for each
+ * user: books missing from their worlds/ and/or entries for characters
+ * they have no card for. An entry left with no books is removed.
+ * @param {object} config
+ * @param {{books: boolean, characters: boolean}} prune - What to remove
+ * @returns {SettingsOperation}
+ */
+function pruneCharLoreOperation(config, prune) {
+  const pruned = (settings, handle) => {
+    const { entries, worlds, characters } = charLoreRecord(config.dataRoot, handle, settings);
+    return entries.flatMap((entry) => {
+      if (prune.characters && !characters.has(entry.name)) return [];
+      if (!prune.books) return [entry];
+      const extraBooks = (Array.isArray(entry.extraBooks) ? entry.extraBooks : []).filter(b => worlds.has(b));
+      return extraBooks.length > 0 ? [{ ...entry, extraBooks }] : [];
+    });
+  };
+
+  return {
+    label: 'Prune charLore',
+    transform: (settings, handle) => applyMutations(settings, [{ path: CHARLORE_PATH, value: pruned(settings, handle) }]),
+    describeDryRun: (settingsPath) => `Would remove dangling charLore references from ${settingsPath}`,
+    params: prune,
+  };
+}
+
+/**
+ * Remove dangling charLore references from each user's settings.json.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {{books: boolean, characters: boolean}} prune - Remove references to
+ *   missing lorebooks and/or entries for characters the user doesn't have
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function pruneCharLoreForUsers(config, users, prune) {
+  return updateUserSettings(config, users, pruneCharLoreOperation(config, prune));
+}
+
+/**
+ * Read a patch file and work out its kind: an array is an RFC 6902 JSON
+ * Patch, an object an RFC 7396 merge patch.
+ * @param {string} path
+ * @returns {{kind: 'json-patch'|'merge-patch', patch: any}}
+ */
+export function readPatchFile(path) {
+  let patch;
+  try {
+    patch = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to read patch file: ${err.message}`);
+  }
+
+  if (Array.isArray(patch)) {
+    const problems = validateJsonPatch(patch);
+    if (problems.length > 0) throw new Error(`Invalid JSON Patch: ${problems.join('; ')}`);
+    return { kind: 'json-patch', patch };
+  }
+  if (patch !== null && typeof patch === 'object') {
+    return { kind: 'merge-patch', patch };
+  }
+  throw new Error('A patch file must hold a JSON Patch array or a merge patch object');
+}
+
+/**
+ * Build the operation that applies a JSON Patch or merge patch. Users for
+ * whom a JSON Patch "test" fails are skipped.
+ * @param {{kind: 'json-patch'|'merge-patch', patch: any}} patchFile
+ * @param {string} source - Patch file path, for the journal
+ * @returns {SettingsOperation}
+ */
+function patchOperation({ kind, patch }, source) {
+  if (kind === 'merge-patch') {
+    return {
+      label: 'Apply Merge Patch',
+      transform: (settings) => applyMergePatch(settings, patch),
+      describeDryRun: (settingsPath) => `Would merge-patch ${settingsPath}`,
+      params: { source, kind, patch },
+    };
+  }
+
+  return {
+    label: 'Apply JSON Patch',
+    transform: (settings) => applyJsonPatch(settings, patch),
+    skip: (settings) => {
+      try {
+        applyJsonPatch(settings, patch);
+        return null;
+      } catch (err) {
+        if (err.code === 'PATCH_TEST_FAILED') return err.message;
+        throw err;
+      }
+    },
+    describeDryRun: (settingsPath) => `Would apply ${patch.length} patch operation(s) to ${settingsPath}`,
+    params: { source, kind, patch },
+  };
+}
+
+/**
+ * Apply a JSON Patch or merge patch file to each user's settings.json.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {{kind: 'json-patch'|'merge-patch', patch: any}} patchFile - From readPatchFile()
+ * @param {string} source - Patch file path
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function applyPatchForUsers(config, users, patchFile, source) {
+  return updateUserSettings(config, users, patchOperation(patchFile, source));
+}
+
+/**
+ * Ask for an optional condition limiting which users are changed.
+ * @returns {Promise<import('../lib/conditions.js').Condition[]|symbol>} Empty when unconditional
+ */
+async function promptConditions() {
+  const expression = await text({
+    message: 'Only change users where (optional, e.g. "amount_gen == 250"):',
+    placeholder: 'leave empty for all selected users',
+    validate: (v) => {
+      if (!v?.trim()) return undefined;
+      try {
+        parseConditions(v);
+        return undefined;
+      } catch (err) {
+        return err.message;
+      }
+    },
+  });
+  if (typeof expression === 'symbol') return expression;
+  return expression?.trim() ? parseConditions(expression) : [];
+}
+
+/**
+ * Select users, ask for a condition, review and apply an operation.
+ * @param {object} config
+ * @param {SettingsOperation} baseOperation
+ */
+async function runForSelectedUsers(config, baseOperation) {
+  const users = await selectUsers(config);
+  if (users.length === 0) return;
+
+  const conditions = await promptConditions();
+  if (typeof conditions === 'symbol') return;
+
+  const operation = withConditions(baseOperation, conditions);
+  if (!(await reviewSettingsChanges(config, users, operation))) return;
+
+  await updateUserSettings(config, users, operation);
+}
+
+/**
+ * Prompt for a settings dot-path. With a schema, known paths autocomplete
+ * as you type; anything else can still be entered as typed.
+ * @param {import('../lib/settings-schema.js').SettingsSchema|null} schema
+ * @param {boolean} first - Whether this is the first key (which is required)
+ * @returns {Promise<string|symbol>} Trimmed path, '' to finish
+ */
+async function promptSettingsPath(schema, first) {
+  const message = first
+    ? 'Enter a settings key (dot-path, e.g. "world_info_depth"):'
+    : 'Enter another key (or leave empty to finish):';
+
+  if (!schema) {
     const path = await text({
-      message: mutations.length === 0
-        ? 'Enter a settings key (dot-path, e.g. "world_info_depth"):'
-        : 'Enter another key (or leave empty to finish):',
+      message,
       validate: (v) => {
-        if (mutations.length === 0 && !v.trim()) return 'At least one key is required';
+        if (first && !v.trim()) return 'At least one key is required';
         return undefined;
       },
     });
+    return typeof path === 'symbol' ? path : path.trim();
+  }
+
+  const known = [...schema.keys()].map(k => ({ value: k, label: k, hint: schema.get(k) }));
+  return autocomplete({
+    message,
+    placeholder: 'type to search known settings',
+    maxItems: 8,
+    options() {
+      const typed = this.userInput.trim();
+      if (!typed) {
+        return first ? known : [{ value: '', label: 'Done', hint: 'finish adding keys' }, ...known];
+      }
+      return schema.has(typed) ? known : [{ value: typed, label: typed, hint: 'not a known setting' }, ...known];
+    },
+  });
+}
+
+/**
+ * Interactive loop to collect dot-path / value mutations from the admin.
+ * Each mutation is checked against the settings schema (when there is a
+ * reference file): type mismatches are coerced or warned about, and unknown
+ * top-level keys need an explicit override.
+ * @param {object} config
+ * @returns {Promise<Array<{path: string, value: any}>>}
+ */
+async function collectMutations(config) {
+  const loaded = loadSchema(config);
+  const schema = loaded?.schema ?? null;
+  if (loaded) {
+    log.info(`Known settings from ${loaded.source}`);
+  } else {
+    warn('No reference settings.json found; keys and types will not be checked.');
+  }
+
+  const mutations = [];
+
+  while (true) {
+    const path = await promptSettingsPath(schema, mutations.length === 0);
     if (typeof path === 'symbol') return mutations;
-    if (!path.trim()) break;
+    if (!path) break;
 
+    const expected = schema?.get(path);
     const rawValue = await text({
-      message: `Value for "${path}" (auto-detects type):`,
+      message: `Value for "${path}" (${expected ? `expects ${expected}` : 'auto-detects type'}):`,
       validate: (v) => v.trim() ? undefined : 'Value is required',
     });
     if (typeof rawValue === 'symbol') return mutations;
 
-    const value = parseValue(rawValue);
-    mutations.push({ path: path.trim(), value });
+    let mutation = { path, value: parseValue(rawValue) };
+    if (schema) {
+      const check = checkMutation(schema, mutation);
+      check.warnings.forEach(w => log.warn(w));
+      if (check.errors.length > 0) {
+        check.errors.forEach(e => log.error(e));
+        const override = await confirm({ message: `Add "${path}" anyway?`, initialValue: false });
+        if (typeof override === 'symbol') return mutations;
+        if (!override) continue;
+      }
+      mutation = { path, value: check.value };
+    }
+    mutations.push(mutation);
 
-    log.info(`  ${path} = ${chalk.cyan(JSON.stringify(value))} (${typeof value})`);
+    log.info(`  ${path} = ${chalk.cyan(JSON.stringify(mutation.value))} (${valueType(mutation.value)})`);
   }
 
   return mutations;
@@ -69,7 +737,7 @@ async function collectMutations() {
  * @param {object} config
  */
 async function setKeyValues(config) {
-  const mutations = await collectMutations();
+  const mutations = await collectMutations(config);
   if (mutations.length === 0) return;
 
   printHeader('Mutations to apply');
@@ -78,40 +746,7 @@ async function setKeyValues(config) {
   }
   console.log('');
 
-  const users = await selectUsers(config);
-  if (users.length === 0) return;
-
-  const proceed = await confirm({
-    message: `Apply ${mutations.length} mutation(s) to ${users.length} user(s)?`,
-  });
-  if (typeof proceed === 'symbol' || !proceed) return;
-
-  await batchOperation(users, async (handle) => {
-    const settingsPath = userSettingsPath(config.dataRoot, handle);
-
-    if (!existsSync(settingsPath)) {
-      return { skipped: 'no settings.json' };
-    }
-
-    const settings = readSettings(settingsPath);
-    if (settings === null) {
-      return { skipped: 'no settings.json' };
-    }
-
-    if (!config.dryRun) {
-      backupUserFile(config.dataRoot, handle, 'settings.json');
-    }
-
-    const updated = applyMutations(settings, mutations);
-
-    if (config.dryRun) {
-      info(`[DRY RUN] Would update ${settingsPath}`);
-    } else {
-      writeSettings(settingsPath, updated);
-    }
-
-    return 'success';
-  }, 'Bulk Set Key/Values');
+  await runForSelectedUsers(config, setKeyValuesOperation(mutations));
 }
 
 /**
@@ -157,40 +792,7 @@ async function syncFromTemplate(config) {
   });
   if (typeof selectedKeys === 'symbol') return;
 
-  const users = await selectUsers(config);
-  if (users.length === 0) return;
-
-  const proceed = await confirm({
-    message: `Sync ${selectedKeys.length} section(s) from template to ${users.length} user(s)?`,
-  });
-  if (typeof proceed === 'symbol' || !proceed) return;
-
-  await batchOperation(users, async (handle) => {
-    const settingsPath = userSettingsPath(config.dataRoot, handle);
-
-    if (!existsSync(settingsPath)) {
-      return { skipped: 'no settings.json' };
-    }
-
-    const settings = readSettings(settingsPath);
-    if (settings === null) {
-      return { skipped: 'no settings.json' };
-    }
-
-    if (!config.dryRun) {
-      backupUserFile(config.dataRoot, handle, 'settings.json');
-    }
-
-    const updated = syncSections(settings, template, selectedKeys);
-
-    if (config.dryRun) {
-      info(`[DRY RUN] Would sync sections to ${settingsPath}`);
-    } else {
-      writeSettings(settingsPath, updated);
-    }
-
-    return 'success';
-  }, 'Sync from Template');
+  await runForSelectedUsers(config, syncTemplateOperation(template, selectedKeys));
 }
 
 /**
@@ -211,49 +813,7 @@ async function linkLorebook(config) {
   });
   if (typeof settingsKey === 'symbol') return;
 
-  const users = await selectUsers(config);
-  if (users.length === 0) return;
-
-  const proceed = await confirm({
-    message: `Add "${lorebookName}" to "${settingsKey}" for ${users.length} user(s)?`,
-  });
-  if (typeof proceed === 'symbol' || !proceed) return;
-
-  await batchOperation(users, async (handle) => {
-    const settingsPath = userSettingsPath(config.dataRoot, handle);
-
-    if (!existsSync(settingsPath)) {
-      return { skipped: 'no settings.json' };
-    }
-
-    const settings = readSettings(settingsPath);
-    if (settings === null) {
-      return { skipped: 'no settings.json' };
-    }
-
-    if (!config.dryRun) {
-      backupUserFile(config.dataRoot, handle, 'settings.json');
-    }
-
-    // Get the current array at the key path, or create one
-    const currentList = lodashGet(settings, settingsKey, []);
-    const list = Array.isArray(currentList) ? currentList : [];
-
-    // Add the lorebook name if not already present
-    if (!list.includes(lorebookName.trim())) {
-      list.push(lorebookName.trim());
-    }
-
-    const updated = applyMutations(settings, [{ path: settingsKey, value: list }]);
-
-    if (config.dryRun) {
-      info(`[DRY RUN] Would add "${lorebookName}" to ${settingsKey} in ${settingsPath}`);
-    } else {
-      writeSettings(settingsPath, updated);
-    }
-
-    return 'success';
-  }, 'Link Lorebook');
+  await runForSelectedUsers(config, linkLorebookOperation(lorebookName.trim(), settingsKey.trim()));
 }
 
 /**
@@ -263,8 +823,6 @@ async function linkLorebook(config) {
  * @param {object} config
  */
 async function addCharLore(config) {
-  const CHARLORE_PATH = 'world_info_settings.world_info.charLore';
-
   // Prompt for character name
   const charName = await text({
     message: 'Character name (exactly as it appears on the card):',
@@ -299,52 +857,94 @@ async function addCharLore(config) {
   console.log(chalk.dim(JSON.stringify(entry, null, 2)));
   console.log('');
 
-  const users = await selectUsers(config);
-  if (users.length === 0) return;
+  log.info('If this character already has an entry, it will be replaced.');
 
-  const proceed = await confirm({
-    message: `Add charLore entry for "${charName.trim()}" to ${users.length} user(s)?\n  (If this character already has an entry, it will be replaced.)`,
+  await runForSelectedUsers(config, addCharLoreOperation(entry));
+}
+
+/**
+ * Mode 5: Apply a JSON Patch (RFC 6902) or merge patch (RFC 7396) file.
+ * @param {object} config
+ */
+async function applyPatchFile(config) {
+  const patchPath = await text({
+    message: 'Path to the patch file (JSON Patch array or merge patch object):',
+    validate: (v) => {
+      if (!v.trim()) return 'Path is required';
+      if (!existsSync(v.trim())) return 'File not found';
+      return undefined;
+    },
   });
-  if (typeof proceed === 'symbol' || !proceed) return;
+  if (typeof patchPath === 'symbol') return;
 
-  await batchOperation(users, async (handle) => {
-    const settingsPath = userSettingsPath(config.dataRoot, handle);
+  let patchFile;
+  try {
+    patchFile = readPatchFile(patchPath.trim());
+  } catch (err) {
+    log.error(err.message);
+    return;
+  }
 
-    if (!existsSync(settingsPath)) {
-      return { skipped: 'no settings.json' };
-    }
+  printHeader(patchFile.kind === 'json-patch' ? 'JSON Patch operations' : 'Merge patch');
+  console.log(chalk.dim(JSON.stringify(patchFile.patch, null, 2)));
+  console.log('');
 
-    const settings = readSettings(settingsPath);
-    if (settings === null) {
-      return { skipped: 'no settings.json' };
-    }
+  await runForSelectedUsers(config, patchOperation(patchFile, patchPath.trim()));
+}
 
-    if (!config.dryRun) {
-      backupUserFile(config.dataRoot, handle, 'settings.json');
-    }
+/**
+ * Mode 6: Delete dot-path keys.
+ * @param {object} config
+ */
+async function removeKeys(config) {
+  const input = await text({
+    message: 'Dot-paths to delete (comma-separated):',
+    validate: (v) => splitList(v).length > 0 ? undefined : 'At least one path is required',
+  });
+  if (typeof input === 'symbol') return;
 
-    // Get the current charLore array, or create one
-    const currentCharLore = lodashGet(settings, CHARLORE_PATH, []);
-    const charLore = Array.isArray(currentCharLore) ? currentCharLore : [];
+  await runForSelectedUsers(config, removeKeysOperation(splitList(input)));
+}
 
-    // Remove existing entry with the same name (replace behavior)
-    const filtered = charLore.filter(e => e.name !== entry.name);
+/**
+ * Mode 7: Remove a value from an array setting (e.g. unlink a lorebook
+ * from world_info.globalSelect).
+ * @param {object} config
+ */
+async function removeFromArray(config) {
+  const settingsKey = await text({
+    message: 'Settings key path of the array:',
+    initialValue: 'world_info.globalSelect',
+    validate: (v) => v.trim() ? undefined : 'Key is required',
+  });
+  if (typeof settingsKey === 'symbol') return;
 
-    // Append the new entry
-    filtered.push(entry);
+  const rawValue = await text({
+    message: 'Value to remove (auto-detects type):',
+    validate: (v) => v.trim() ? undefined : 'Value is required',
+  });
+  if (typeof rawValue === 'symbol') return;
 
-    // Write back
-    const updated = applyMutations(settings, [{ path: CHARLORE_PATH, value: filtered }]);
+  await runForSelectedUsers(config, removeArrayValuesOperation(settingsKey.trim(), [parseValue(rawValue)]));
+}
 
-    if (config.dryRun) {
-      const action = filtered.length === charLore.length ? 'add' : 'replace';
-      info(`[DRY RUN] Would ${action} charLore entry for "${entry.name}" in ${settingsPath}`);
-    } else {
-      writeSettings(settingsPath, updated);
-    }
+/**
+ * Mode 8: Remove a charLore entry, or some of its extraBooks.
+ * @param {object} config
+ */
+async function removeCharLore(config) {
+  const charName = await text({
+    message: 'Character name of the charLore entry:',
+    validate: (v) => v.trim() ? undefined : 'Character name is required',
+  });
+  if (typeof charName === 'symbol') return;
 
-    return 'success';
-  }, 'Add charLore Entry');
+  const booksInput = await text({
+    message: 'Books to remove from its extraBooks (comma-separated, empty removes the whole entry):',
+  });
+  if (typeof booksInput === 'symbol') return;
+
+  await runForSelectedUsers(config, removeCharLoreOperation(charName.trim(), splitList(booksInput)));
 }
 
 /**
@@ -359,6 +959,10 @@ export async function run(config) {
       { value: 'keys',     label: 'Set specific key/value pairs',   hint: 'enter dot-paths and values' },
       { value: 'template', label: 'Sync from golden template',      hint: 'pick sections from a template file' },
       { value: 'lorebook', label: 'Link lorebook to globalSelect',  hint: 'add lorebook to a flat array' },
+      { value: 'patch',    label: 'Apply a patch file',             hint: 'JSON Patch or merge patch' },
+      { value: 'unset',    label: 'Delete keys',                    hint: 'remove dot-paths' },
+      { value: 'pull',     label: 'Remove a value from an array',   hint: 'e.g. unlink a lorebook' },
+      { value: 'charlore-remove', label: 'Remove charLore entry',   hint: 'or one of its books' },
     ],
   });
   if (typeof mode === 'symbol') return;
@@ -367,4 +971,214 @@ export async function run(config) {
   else if (mode === 'keys') await setKeyValues(config);
   else if (mode === 'template') await syncFromTemplate(config);
   else if (mode === 'lorebook') await linkLorebook(config);
+  else if (mode === 'patch') await applyPatchFile(config);
+  else if (mode === 'unset') await removeKeys(config);
+  else if (mode === 'pull') await removeFromArray(config);
+  else if (mode === 'charlore-remove') await removeCharLore(config);
+}
+
+export const CLI_USAGE = `bulk-settings <mode> --users <all|a,b> [options]
+
+  Modes:
+    set <path=value>...                 Set dot-path keys (values auto-detect type)
+    sync --template <file> --keys a,b   Sync top-level sections from a template
+    link-lorebook --lorebook <name> [--key world_info.globalSelect]
+    charlore --character <name> --books a,b
+    patch --file <patch.json>           Apply a JSON Patch (array) or merge patch (object)
+    unset <path>...                     Delete dot-path keys
+    pull <value>... [--key world_info.globalSelect]
+                                        Remove values from an array setting
+    charlore-remove --character <name> [--books a,b]
+                                        Remove a charLore entry, or only these extraBooks
+                                        (an entry left without books is removed)
+
+  Options:
+    --diff                              Print each user's settings.json diff before confirming
+    --when "<condition>"                Only change users whose current settings match, e.g.
+                                        "amount_gen == 250", "main_api in openai,claude",
+                                        "user_name ~ /^guest/i", "max_context >= 8192",
+                                        "power_user.theme exists" (or missing); join with " && "
+                                        (spaces around it; "&&" without spaces stays in the value)
+    --allow-unknown                     (set) Allow top-level keys missing from the settings reference
+
+  set checks paths and types against config.settingsReference (default: the
+  scaffold or content settings.json). Unknown nested paths and type mismatches
+  are warnings; values are coerced to the known type where unambiguous.`;
+
+export const CLI_OPTIONS = {
+  template:  { type: 'string' },
+  keys:      { type: 'string' },
+  lorebook:  { type: 'string' },
+  key:       { type: 'string', default: 'world_info.globalSelect' },
+  character: { type: 'string' },
+  books:     { type: 'string' },
+  file:      { type: 'string' },
+  diff:      { type: 'boolean', default: false },
+  when:      { type: 'string' },
+  'allow-unknown': { type: 'boolean', default: false },
+};
+
+/**
+ * Split a comma-separated option value into trimmed, non-empty items.
+ * @param {string|undefined} value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Check CLI mutations against the settings schema, printing warnings.
+ * @param {object} config
+ * @param {Array<{path: string, value: any}>} mutations
+ * @param {boolean} allowUnknown - Accept unknown top-level keys
+ * @returns {Array<{path: string, value: any}>} Mutations with coerced values
+ */
+function checkCliMutations(config, mutations, allowUnknown) {
+  const loaded = loadSchema(config);
+  if (!loaded) {
+    warn('No reference settings.json found; keys and types are not checked.');
+    return mutations;
+  }
+
+  const checks = mutations.map(m => checkMutation(loaded.schema, m));
+  checks.flatMap(c => c.warnings).forEach(warn);
+
+  const errors = checks.flatMap(c => c.errors);
+  if (errors.length > 0 && !allowUnknown) {
+    throw new Error(`${errors.join('; ')}. Pass --allow-unknown to set it anyway`);
+  }
+  errors.forEach(warn);
+  return checks.map(({ path, value }) => ({ path, value }));
+}
+
+/**
+ * Build the settings operation for a CLI mode.
+ * @param {object} config
+ * @param {string} mode
+ * @param {string[]} rest - Remaining positionals
+ * @param {object} values - Parsed options
+ * @returns {{operation: SettingsOperation, message: (count: number) => string}}
+ */
+function cliOperation(config, mode, rest, values) {
+  if (mode === 'set') {
+    if (rest.length === 0) throw new Error('set needs at least one path=value pair');
+    const mutations = rest.map((pair) => {
+      const eq = pair.indexOf('=');
+      if (eq <= 0) throw new Error(`Expected path=value, got "${pair}"`);
+      return { path: pair.slice(0, eq).trim(), value: parseValue(pair.slice(eq + 1)) };
+    });
+
+    const checked = checkCliMutations(config, mutations, values['allow-unknown']);
+    for (const { path, value } of checked) {
+      info(`${path} = ${JSON.stringify(value)} (${valueType(value)})`);
+    }
+    return {
+      operation: setKeyValuesOperation(checked),
+      message: (count) => `Apply ${mutations.length} mutation(s) to ${count} user(s)?`,
+    };
+  }
+
+  if (mode === 'sync') {
+    if (!values.template) throw new Error('sync needs --template');
+    const keys = splitList(values.keys);
+    if (keys.length === 0) throw new Error('sync needs --keys');
+
+    let template;
+    try {
+      template = JSON.parse(readFileSync(values.template, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Failed to read template: ${err.message}`);
+    }
+
+    return {
+      operation: syncTemplateOperation(template, keys),
+      message: (count) => `Sync ${keys.length} section(s) from template to ${count} user(s)?`,
+    };
+  }
+
+  if (mode === 'link-lorebook') {
+    if (!values.lorebook?.trim()) throw new Error('link-lorebook needs --lorebook');
+
+    return {
+      operation: linkLorebookOperation(values.lorebook.trim(), values.key.trim()),
+      message: (count) => `Add "${values.lorebook}" to "${values.key}" for ${count} user(s)?`,
+    };
+  }
+
+  if (mode === 'charlore') {
+    if (!values.character?.trim()) throw new Error('charlore needs --character');
+    const extraBooks = splitList(values.books);
+    if (extraBooks.length === 0) throw new Error('charlore needs --books');
+
+    const entry = { name: values.character.trim(), extraBooks };
+    return {
+      operation: addCharLoreOperation(entry),
+      message: (count) => `Add charLore entry for "${entry.name}" to ${count} user(s)?`,
+    };
+  }
+
+  if (mode === 'patch') {
+    if (!values.file) throw new Error('patch needs --file');
+    const patchFile = readPatchFile(values.file);
+    return {
+      operation: patchOperation(patchFile, values.file),
+      message: (count) => `Apply ${patchFile.kind} ${values.file} to ${count} user(s)?`,
+    };
+  }
+
+  if (mode === 'unset') {
+    if (rest.length === 0) throw new Error('unset needs at least one dot-path');
+    return {
+      operation: removeKeysOperation(rest),
+      message: (count) => `Delete ${rest.join(', ')} for ${count} user(s)?`,
+    };
+  }
+
+  if (mode === 'pull') {
+    if (rest.length === 0) throw new Error('pull needs at least one value');
+    const pulled = rest.map(parseValue);
+    return {
+      operation: removeArrayValuesOperation(values.key.trim(), pulled),
+      message: (count) => `Remove ${rest.join(', ')} from "${values.key}" for ${count} user(s)?`,
+    };
+  }
+
+  if (mode === 'charlore-remove') {
+    if (!values.character?.trim()) throw new Error('charlore-remove needs --character');
+    const name = values.character.trim();
+    const books = splitList(values.books);
+    return {
+      operation: removeCharLoreOperation(name, books),
+      message: (count) => books.length > 0
+        ? `Remove ${books.join(', ')} from the charLore entry for "${name}" for ${count} user(s)?`
+        : `Remove the charLore entry for "${name}" for ${count} user(s)?`,
+    };
+  }
+
+  throw new Error(`Unknown bulk-settings mode "${mode ?? ''}" (expected set, sync, link-lorebook, charlore, patch, unset, pull or charlore-remove)`);
+}
+
+/**
+ * Non-interactive entry point. Prints the change summary (and with --diff,
+ * every user's settings.json diff) before confirming.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { positionals, values, confirm: confirmRun }) {
+  const [mode, ...rest] = positionals;
+  const conditions = values.when ? parseConditions(values.when) : [];
+  const built = cliOperation(config, mode, rest, values);
+  const operation = withConditions(built.operation, conditions);
+  const users = resolveUsers(config, values.users);
+
+  const previews = previewSettingsChanges(config, users, operation);
+  printPreviewSummary(previews);
+  if (values.diff) {
+    previews.filter(p => p.status === 'changes').forEach(printPreviewDiff);
+  }
+
+  await confirmRun(built.message(users.length));
+  return [await updateUserSettings(config, users, operation)];
 }
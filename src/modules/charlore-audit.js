@@ -0,0 +1,294 @@
+import { select, multiselect, confirm, log } from '@clack/prompts';
+import { readFileSync, existsSync } from 'node:fs';
+import chalk from 'chalk';
+import { selectUsers, resolveUsers } from '../users.js';
+import { userSettingsPath } from '../lib/st-paths.js';
+import { charLoreRecord, auditCharLore } from '../lib/charlore.js';
+import { addCharLoreForUsers, pruneCharLoreForUsers } from './bulk-settings.js';
+import { printHeader, info, warn } from '../ui.js';
+
+/** CLI actions; "report" is read-only. */
+const ACTIONS = ['report', 'add-missing', 'standardize', 'prune-books', 'prune-characters'];
+
+/**
+ * Collect charLore records for users with a readable settings.json.
+ * @param {object} config
+ * @param {string[]} users
+ * @returns {{records: import('../lib/charlore.js').CharLoreRecord[], problems: string[]}}
+ *   `problems` lists users left out of the audit and why
+ */
+function loadRecords(config, users) {
+  const records = [];
+  const problems = [];
+  for (const handle of users) {
+    const path = userSettingsPath(config.dataRoot, handle);
+    if (!existsSync(path)) {
+      problems.push(`${handle}: no settings.json`);
+      continue;
+    }
+    try {
+      records.push(charLoreRecord(config.dataRoot, handle, JSON.parse(readFileSync(path, 'utf-8'))));
+    } catch (err) {
+      problems.push(`${handle}: settings.json is not valid JSON (${err.message})`);
+    }
+  }
+  return { records, problems };
+}
+
+/**
+ * Audit charLore for the given users.
+ * @param {object} config
+ * @param {string[]} users
+ * @returns {{characters: import('../lib/charlore.js').CharacterSummary[], problems: import('../lib/charlore.js').CharLoreProblem[], audited: string[], skipped: string[]}}
+ */
+export function charLoreAudit(config, users) {
+  const { records, problems: skipped } = loadRecords(config, users);
+  return { ...auditCharLore(records), audited: records.map(r => r.handle), skipped };
+}
+
+/**
+ * Shorten a user list for display.
+ * @param {string[]} users
+ * @returns {string}
+ */
+function formatUsers(users) {
+  return users.length > 5 ? `${users.slice(0, 5).join(', ')} +${users.length - 5} more` : users.join(', ');
+}
+
+/**
+ * Format a book list for display.
+ * @param {string[]} books
+ * @returns {string}
+ */
+function formatBooks(books) {
+  return books.length > 0 ? books.join(', ') : chalk.dim('(none)');
+}
+
+/**
+ * Users affected by one kind of problem.
+ * @param {import('../lib/charlore.js').CharLoreProblem[]} problems
+ * @param {'missing-book'|'no-character'} kind
+ * @returns {string[]}
+ */
+function usersWith(problems, kind) {
+  return [...new Set(problems.filter(p => p.kind === kind).map(p => p.handle))];
+}
+
+/**
+ * Print the audit: one row per character, then dangling references.
+ * @param {ReturnType<typeof charLoreAudit>} audit
+ */
+function printAudit({ characters, problems, audited }) {
+  printHeader(`charLore Audit (${audited.length} users)`);
+
+  if (characters.length === 0) {
+    log.info('No charLore entries found.');
+  } else {
+    console.log(chalk.bold('  Character'.padEnd(26) + 'Entries'.padStart(8) + 'Differ'.padStart(8) + 'Missing'.padStart(9) + '  Standard books'));
+    console.log(chalk.dim('  ' + '─'.repeat(70)));
+    for (const c of characters) {
+      const differs = c.differs.length > 0 ? chalk.yellow(String(c.differs.length).padStart(8)) : String(0).padStart(8);
+      const missing = c.missing.length > 0 ? chalk.yellow(String(c.missing.length).padStart(9)) : String(0).padStart(9);
+      console.log(`  ${c.name.padEnd(24)}${String(c.users.length).padStart(8)}${differs}${missing}  ${formatBooks(c.standard)}`);
+    }
+    console.log('');
+  }
+
+  const missingBooks = problems.filter(p => p.kind === 'missing-book');
+  const noCharacter = problems.filter(p => p.kind === 'no-character');
+  if (missingBooks.length === 0 && noCharacter.length === 0) {
+    log.success('No dangling charLore references.');
+    return;
+  }
+
+  if (missingBooks.length > 0) {
+    console.log(chalk.bold(`  Lorebooks missing from worlds/ (${missingBooks.length}):`));
+    for (const { handle, character, book } of missingBooks) {
+      console.log(`    ${chalk.red('✗')} ${handle}: "${character}" → ${book}`);
+    }
+  }
+  if (noCharacter.length > 0) {
+    console.log(chalk.bold(`  Entries for characters the user doesn't have (${noCharacter.length}):`));
+    for (const { handle, character } of noCharacter) {
+      console.log(`    ${chalk.red('✗')} ${handle}: "${character}"`);
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Print every variant of one character's entry.
+ * @param {import('../lib/charlore.js').CharacterSummary} character
+ */
+function printCharacter({ name, variants, missing }) {
+  printHeader(`charLore: ${name}`);
+  variants.forEach(({ books, users }, i) => {
+    const tag = i === 0 ? chalk.green('standard') : chalk.yellow('variant ');
+    console.log(`  ${tag}  ${formatBooks(books)}`);
+    console.log(`            ${chalk.dim('←')} ${formatUsers(users)}`);
+  });
+  if (missing.length > 0) {
+    console.log(`  ${chalk.yellow('missing ')}  ${formatUsers(missing)}`);
+  }
+  console.log('');
+}
+
+/**
+ * Interactive: choose a character from those matching a filter.
+ * @param {import('../lib/charlore.js').CharacterSummary[]} characters
+ * @param {(c: import('../lib/charlore.js').CharacterSummary) => string[]} affected - Users to count in the hint
+ * @param {string} message
+ * @returns {Promise<import('../lib/charlore.js').CharacterSummary|null>}
+ */
+async function pickCharacter(characters, affected, message) {
+  const candidates = characters.filter(c => affected(c).length > 0);
+  if (candidates.length === 0) {
+    log.info('Nothing to fix.');
+    return null;
+  }
+  const name = await select({
+    message,
+    options: candidates.map(c => ({ value: c.name, label: c.name, hint: `${affected(c).length} user(s)` })),
+  });
+  if (typeof name === 'symbol') return null;
+  return candidates.find(c => c.name === name);
+}
+
+/**
+ * Interactive: confirm which affected users to change, all preselected.
+ * @param {string[]} affected
+ * @param {string} message
+ * @returns {Promise<string[]>} Empty when cancelled
+ */
+async function pickAffectedUsers(affected, message) {
+  const picked = await multiselect({
+    message,
+    options: affected.map(h => ({ value: h, label: h })),
+    initialValues: affected,
+    required: true,
+  });
+  if (typeof picked === 'symbol') return [];
+
+  const proceed = await confirm({ message: `Apply to ${picked.length} user(s)?` });
+  if (typeof proceed === 'symbol' || !proceed) return [];
+  return picked;
+}
+
+/**
+ * Main entry point.
+ * @param {object} config
+ */
+export async function run(config) {
+  const users = await selectUsers(config);
+  if (users.length === 0) return;
+
+  while (true) {
+    const audit = charLoreAudit(config, users);
+    audit.skipped.forEach(warn);
+    printAudit(audit);
+
+    const { characters, problems } = audit;
+    const action = await select({
+      message: 'Fix discrepancies:',
+      options: [
+        { value: 'add-missing',      label: 'Add the standard entry where missing', hint: 'users with the card but no entry' },
+        { value: 'standardize',      label: 'Standardize differing entries',        hint: 'replace with the most common books' },
+        { value: 'prune-books',      label: 'Remove missing lorebooks',             hint: `${usersWith(problems, 'missing-book').length} user(s)` },
+        { value: 'prune-characters', label: 'Remove entries for absent characters', hint: `${usersWith(problems, 'no-character').length} user(s)` },
+        { value: 'details',          label: 'View a character' },
+        { value: 'done',             label: 'Done' },
+      ],
+    });
+    if (typeof action === 'symbol' || action === 'done') return;
+
+    if (action === 'details') {
+      const character = await pickCharacter(characters, c => c.users, 'Which character?');
+      if (character) printCharacter(character);
+    } else if (action === 'add-missing' || action === 'standardize') {
+      const affected = action === 'add-missing' ? (c => c.missing) : (c => c.differs);
+      const character = await pickCharacter(characters, affected, 'Which character?');
+      if (!character) continue;
+      printCharacter(character);
+
+      const picked = await pickAffectedUsers(affected(character), `Set "${character.name}" to ${character.standard.join(', ') || '(no books)'} for:`);
+      if (picked.length === 0) continue;
+      await addCharLoreForUsers(config, picked, { name: character.name, extraBooks: character.standard });
+    } else {
+      const kind = action === 'prune-books' ? 'missing-book' : 'no-character';
+      const affected = usersWith(problems, kind);
+      if (affected.length === 0) {
+        log.info('Nothing to fix.');
+        continue;
+      }
+
+      const picked = await pickAffectedUsers(affected, 'Remove dangling references for:');
+      if (picked.length === 0) continue;
+      await pruneCharLoreForUsers(config, picked, { books: kind === 'missing-book', characters: kind === 'no-character' });
+    }
+  }
+}
+
+export const CLI_USAGE = `charlore-audit [action] [--character <name>] [--users <all|a,b>]
+
+  Actions:
+    report                              Summarize charLore entries across users (default, read-only)
+    add-missing --character <name>      Add the standard entry for users who have the card but no entry
+    standardize --character <name>      Replace differing entries with the standard one
+    prune-books                         Drop extraBooks missing from the user's worlds/
+    prune-characters                    Drop entries for characters the user doesn't have
+
+  The standard entry is the most common extraBooks set among users who have
+  one. An entry left without books is removed. --users defaults to all for
+  report and is required for the other actions.`;
+
+export const CLI_OPTIONS = {
+  character: { type: 'string' },
+};
+
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { positionals, values, confirm: confirmRun }) {
+  const [action = 'report'] = positionals;
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown charlore-audit action "${action}" (expected ${ACTIONS.join(', ')})`);
+  }
+
+  const users = resolveUsers(config, action === 'report' ? values.users || 'all' : values.users);
+  const audit = charLoreAudit(config, users);
+  audit.skipped.forEach(warn);
+
+  if (action === 'report') {
+    printAudit(audit);
+    return [];
+  }
+
+  if (action === 'add-missing' || action === 'standardize') {
+    const name = values.character?.trim();
+    if (!name) throw new Error(`${action} needs --character`);
+    const character = audit.characters.find(c => c.name === name);
+    if (!character) throw new Error(`No charLore entries for "${name}" among the selected users`);
+
+    const affected = action === 'add-missing' ? character.missing : character.differs;
+    if (affected.length === 0) {
+      info(`Nothing to do for "${name}".`);
+      return [];
+    }
+    info(`Standard entry: ${character.standard.join(', ') || '(no books)'}`);
+    await confirmRun(`Set "${name}" to the standard entry for ${affected.length} user(s) (${formatUsers(affected)})?`);
+    return [await addCharLoreForUsers(config, affected, { name, extraBooks: character.standard })];
+  }
+
+  const kind = action === 'prune-books' ? 'missing-book' : 'no-character';
+  const affected = usersWith(audit.problems, kind);
+  if (affected.length === 0) {
+    info('No dangling charLore references.');
+    return [];
+  }
+  printAudit(audit);
+  await confirmRun(`Remove dangling charLore references for ${affected.length} user(s)?`);
+  return [await pruneCharLoreForUsers(config, affected, { books: kind === 'missing-book', characters: kind === 'no-character' })];
+}
@@ -0,0 +1,221 @@
+import { select, multiselect, confirm, log } from '@clack/prompts';
+import chalk from 'chalk';
+import { selectUsers, resolveUsers } from '../users.js';
+import { batchOperation } from '../batch.js';
+import { journalOptions } from '../lib/journal.js';
+import { pushableTypes, contentType } from '../lib/content-types.js';
+import { scanLinkableFiles, findDuplicates, linkToCanonical, makeIndependent } from '../lib/hardlinks.js';
+import { formatBytes } from '../lib/format.js';
+import { printHeader, info } from '../ui.js';
+
+const ACTIONS = ['report', 'link', 'unlink'];
+
+/** Groups listed individually in the report. */
+const REPORT_LIMIT = 20;
+
+/**
+ * Find identical files across the selected users.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {string[]} dirs - User subdirectories to scan
+ * @returns {{groups: import('../lib/hardlinks.js').DuplicateGroup[], savedBytes: number}}
+ */
+export function planDedupe(config, users, dirs) {
+  const groups = findDuplicates(scanLinkableFiles(config.dataRoot, users, dirs));
+  return { groups, savedBytes: groups.reduce((n, g) => n + g.savedBytes, 0) };
+}
+
+/**
+ * Print the duplicate groups and how much linking them would free.
+ * @param {{groups: import('../lib/hardlinks.js').DuplicateGroup[], savedBytes: number}} plan
+ */
+function printPlan({ groups, savedBytes }) {
+  printHeader('Duplicate Content');
+  if (groups.length === 0) {
+    console.log('  No identical copies to link.\n');
+    return;
+  }
+
+  for (const group of groups.slice(0, REPORT_LIMIT)) {
+    const handles = [...new Set(group.copies.map(f => f.handle))];
+    console.log(
+      `  ${group.canonical.path.padEnd(40)} ` +
+      `${formatBytes(group.size).padStart(9)} × ${String(group.copies.length + 1).padEnd(4)} ` +
+      chalk.dim(`frees ${formatBytes(group.savedBytes)}`)
+    );
+    console.log(chalk.dim(`    ${group.canonical.handle} ← ${handles.join(', ')}`));
+  }
+  if (groups.length > REPORT_LIMIT) {
+    console.log(chalk.dim(`  ... and ${groups.length - REPORT_LIMIT} more`));
+  }
+
+  const copies = groups.reduce((n, g) => n + g.copies.length, 0);
+  console.log(`\n  ${chalk.bold('Total:')} ${copies} copies in ${groups.length} groups, ${chalk.green(formatBytes(savedBytes))} to free\n`);
+}
+
+/**
+ * Replace each duplicate copy with a hardlink to its group's canonical file.
+ * Every file is compared byte for byte again right before it is replaced.
+ * @param {object} config
+ * @param {import('../lib/hardlinks.js').DuplicateGroup[]} groups
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function dedupeContent(config, groups) {
+  const byUser = new Map();
+  for (const group of groups) {
+    for (const copy of group.copies) {
+      if (!byUser.has(copy.handle)) byUser.set(copy.handle, []);
+      byUser.get(copy.handle).push({ copy, canonical: group.canonical });
+    }
+  }
+
+  return batchOperation([...byUser.keys()], async (handle, tx) => {
+    const errors = [];
+    let linked = 0;
+    for (const { copy, canonical } of byUser.get(handle)) {
+      if (config.dryRun) {
+        info(`[DRY RUN] Would hardlink ${copy.fullPath} -> ${canonical.fullPath}`);
+        continue;
+      }
+      try {
+        if (linkToCanonical(canonical.fullPath, copy.fullPath)) {
+          tx.hardlinked(copy.path, canonical.fullPath);
+          linked++;
+        }
+      } catch (err) {
+        errors.push(`${copy.path}: ${err.message}`);
+      }
+    }
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    return linked > 0 || config.dryRun ? 'success' : { skipped: 'already linked' };
+  }, 'Deduplicate Content', journalOptions(config, { files: groups.reduce((n, g) => n + g.copies.length, 0) }));
+}
+
+/**
+ * Give every hardlinked file in the users' content directories its own copy
+ * again, e.g. for a user who is about to edit files outside SillyTavern.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {string[]} dirs - User subdirectories
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function undedupeContent(config, users, dirs) {
+  let addedBytes = 0;
+  const results = await batchOperation(users, async (handle) => {
+    const linked = scanLinkableFiles(config.dataRoot, [handle], dirs).filter(f => f.nlink > 1);
+    if (linked.length === 0) return { skipped: 'no hardlinked files' };
+
+    for (const file of linked) {
+      if (config.dryRun) {
+        info(`[DRY RUN] Would copy ${file.fullPath} to its own file`);
+        continue;
+      }
+      if (makeIndependent(file.fullPath)) addedBytes += file.size;
+    }
+    return 'success';
+  }, 'Un-deduplicate Content', { dryRun: config.dryRun });
+
+  if (addedBytes > 0) info(`Independent copies use ${formatBytes(addedBytes)} more disk space.`);
+  return results;
+}
+
+/**
+ * Resolve a comma-separated --type list to user subdirectories.
+ * @param {string} [spec] - e.g. "character,background"; all pushable types when empty
+ * @returns {string[]}
+ * @throws {Error} On an unknown type
+ */
+function dirsForTypes(spec) {
+  if (!spec) return pushableTypes().map(t => t.dir);
+  return spec.split(',').map(s => s.trim()).filter(Boolean).map((value) => {
+    const type = contentType(value);
+    if (!type?.dir) throw new Error(`Unknown type "${value}" (expected ${pushableTypes().map(t => t.value).join(', ')})`);
+    return type.dir;
+  });
+}
+
+/**
+ * Main entry point.
+ * @param {object} config
+ */
+export async function run(config) {
+  const action = await select({
+    message: 'Deduplicate content:',
+    options: [
+      { value: 'link',   label: 'Find identical files and hardlink them', hint: 'frees disk space' },
+      { value: 'unlink', label: 'Un-dedupe: give users independent copies' },
+    ],
+  });
+  if (typeof action === 'symbol') return;
+
+  const dirs = await multiselect({
+    message: 'Which content?',
+    options: pushableTypes().map(t => ({ value: t.dir, label: t.label, hint: `${t.dir}/` })),
+    initialValues: pushableTypes().map(t => t.dir),
+    required: true,
+  });
+  if (typeof dirs === 'symbol') return;
+
+  const users = await selectUsers(config);
+  if (users.length === 0) return;
+
+  if (action === 'unlink') {
+    const proceed = await confirm({ message: `Give ${users.length} user(s) independent copies of their hardlinked files?` });
+    if (typeof proceed === 'symbol' || !proceed) return;
+    await undedupeContent(config, users, dirs);
+    return;
+  }
+
+  const plan = planDedupe(config, users, dirs);
+  printPlan(plan);
+  if (plan.groups.length === 0) return;
+
+  const proceed = await confirm({ message: `Hardlink identical copies to free ${formatBytes(plan.savedBytes)}?` });
+  if (typeof proceed === 'symbol' || !proceed) return;
+  await dedupeContent(config, plan.groups);
+}
+
+export const CLI_USAGE = `dedupe [report|link|unlink] [--type <type,...>] [--users <all|a,b>]
+
+  Actions:
+    report   List byte-identical files across users and the space linking
+             them would free (default, read-only)
+    link     Replace identical copies with hardlinks to a single file
+    unlink   Give users independent copies of their hardlinked files
+
+  Scans ${pushableTypes().map(t => t.dir).join(', ')}
+  unless --type narrows it (e.g. --type character,background). Only files
+  on the same filesystem with the same owner and permissions are linked, and
+  each is compared byte for byte right before it is replaced. --users
+  defaults to all for report and is required for link and unlink.`;
+
+export const CLI_OPTIONS = {
+  type: { type: 'string' },
+};
+
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { positionals, values, confirm: confirmRun }) {
+  const [action = 'report'] = positionals;
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown dedupe action "${action}" (expected ${ACTIONS.join(', ')})`);
+  }
+  const dirs = dirsForTypes(values.type);
+  const users = resolveUsers(config, action === 'report' ? values.users || 'all' : values.users);
+
+  if (action === 'unlink') {
+    await confirmRun(`Give ${users.length} user(s) independent copies of their hardlinked files?`);
+    return [await undedupeContent(config, users, dirs)];
+  }
+
+  const plan = planDedupe(config, users, dirs);
+  printPlan(plan);
+  if (action === 'report' || plan.groups.length === 0) return [];
+
+  await confirmRun(`Hardlink identical copies to free ${formatBytes(plan.savedBytes)}?`);
+  return [await dedupeContent(config, plan.groups)];
+}
@@ -4,6 +4,70 @@ import { cookieSecretPath } from '../lib/st-paths.js';
 import { restartServer, checkServerHealth, getServerStatus } from '../lib/process-manager.js';
 import { info } from '../ui.js';
 
+/**
+ * Restart the server via pm2 and wait up to 15 seconds for it to respond.
+ * @param {object} config
+ * @returns {Promise<{ success: boolean, message: string }>}
+ */
+export async function restartAndWait(config) {
+  if (config.dryRun) {
+    info(`[DRY RUN] Would restart server via pm2`);
+    return { success: true, message: 'dry run' };
+  }
+
+  const s = spinner();
+  s.start('Restarting SillyTavern via pm2...');
+
+  const result = restartServer(config.pm2Name);
+
+  if (!result.success) {
+    s.stop(`Restart failed: ${result.message}`);
+    return result;
+  }
+
+  s.message('Waiting for server to come back up...');
+
+  // Wait up to 15 seconds for the server to respond
+  let healthy = false;
+  for (let i = 0; i < 5; i++) {
+    await new Promise(r => setTimeout(r, 3000));
+    healthy = await checkServerHealth(config.serverPort);
+    if (healthy) break;
+  }
+
+  if (healthy) {
+    s.stop('Server restarted successfully and is responding.');
+  } else {
+    s.stop('Server restarted but is not yet responding. It may still be starting up.');
+    log.info(`Check manually: pm2 logs ${config.pm2Name}`);
+  }
+
+  return result;
+}
+
+/**
+ * Delete cookie-secret.txt so every session is invalidated on restart.
+ * @param {object} config
+ * @returns {boolean} True if the file was deleted (or would be, in dry run)
+ */
+export function deleteCookieSecret(config) {
+  const secretPath = cookieSecretPath(config.dataRoot);
+
+  if (config.dryRun) {
+    info(`[DRY RUN] Would delete ${secretPath}`);
+    return true;
+  }
+
+  try {
+    unlinkSync(secretPath);
+    log.success('Deleted cookie-secret.txt');
+    return true;
+  } catch (err) {
+    log.error(`Failed to delete cookie-secret.txt: ${err.message}`);
+    return false;
+  }
+}
+
 /**
  * Main entry point: delete cookie-secret.txt and restart the server.
  * @param {object} config
@@ -30,52 +94,38 @@ export async function run(config) {
     });
     if (typeof proceed === 'symbol' || !proceed) return;
 
-    if (config.dryRun) {
-      info(`[DRY RUN] Would delete ${secretPath}`);
-      info(`[DRY RUN] Would run: pm2 restart ${config.pm2Name}`);
-      return;
-    }
-
-    // Delete cookie-secret.txt
-    try {
-      unlinkSync(secretPath);
-      log.success('Deleted cookie-secret.txt');
-    } catch (err) {
-      log.error(`Failed to delete cookie-secret.txt: ${err.message}`);
-      return;
-    }
+    if (!deleteCookieSecret(config)) return;
   }
 
-  if (config.dryRun) {
-    info(`[DRY RUN] Would restart server via pm2`);
-    return;
-  }
+  await restartAndWait(config);
+}
 
-  // Restart server
-  const s = spinner();
-  s.start('Restarting SillyTavern via pm2...');
+export const CLI_USAGE = `fresh-login [--restart-only]
 
-  const result = restartServer(config.pm2Name);
+  Delete cookie-secret.txt and restart SillyTavern via pm2, forcing every user
+  to log in again. --restart-only keeps sessions and just restarts.`;
 
-  if (!result.success) {
-    s.stop(`Restart failed: ${result.message}`);
-    return;
-  }
+export const CLI_OPTIONS = {
+  'restart-only': { type: 'boolean', default: false },
+};
 
-  s.message('Waiting for server to come back up...');
-
-  // Wait up to 15 seconds for the server to respond
-  let healthy = false;
-  for (let i = 0; i < 5; i++) {
-    await new Promise(r => setTimeout(r, 3000));
-    healthy = await checkServerHealth(config.serverPort);
-    if (healthy) break;
-  }
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { values, confirm: confirmRun }) {
+  const secretPath = cookieSecretPath(config.dataRoot);
 
-  if (healthy) {
-    s.stop('Server restarted successfully and is responding.');
+  if (!values['restart-only'] && existsSync(secretPath)) {
+    await confirmRun('Delete cookie-secret.txt and restart SillyTavern? ALL user sessions will be invalidated.');
+    if (!deleteCookieSecret(config)) throw new Error('Could not delete cookie-secret.txt');
   } else {
-    s.stop('Server restarted but is not yet responding. It may still be starting up.');
-    log.info(`Check manually: pm2 logs ${config.pm2Name}`);
+    await confirmRun('Restart SillyTavern?');
   }
+
+  const result = await restartAndWait(config);
+  if (!result.success) throw new Error(result.message);
+  return [];
 }
@@ -0,0 +1,431 @@
+import { select, confirm, log } from '@clack/prompts';
+import { readFileSync, writeFileSync, existsSync, readdirSync, statSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import chalk from 'chalk';
+import { discoverUsers } from '../users.js';
+import { backupToAdmin } from '../backup.js';
+import { scaffoldTypeDir, auditSharedEntries, linkTargetPath } from '../lib/shared-links.js';
+import {
+  GUARD_STATUSES, readLorebookVersions, lorebookStatus, approveLorebook,
+  reapproveVersion, versionCopyPath
+} from '../lib/lorebook-versions.js';
+import { diffWorldEntries } from '../lib/world-diff.js';
+import { diffLines } from '../lib/text-diff.js';
+import { printHeader, info, warn, printDiff } from '../ui.js';
+
+const ACTIONS = ['status', 'diff', 'accept', 'revert', 'history'];
+
+/** Longest field value shown inline in an entry diff. */
+const VALUE_WIDTH = 70;
+
+/**
+ * A shared lorebook and how it relates to its approved version.
+ * @typedef {Object} GuardedLorebook
+ * @property {string} filename
+ * @property {string} sourcePath - scaffold/worlds/<filename>
+ * @property {import('../lib/lorebook-versions.js').GuardStatus} status
+ * @property {import('../lib/lorebook-versions.js').LorebookVersion|null} approved
+ * @property {number} linkedUsers - Users whose worlds/ symlink points at it
+ */
+
+/**
+ * Every lorebook in scaffold/worlds/, plus approved ones that have gone missing.
+ * @param {object} config
+ * @returns {GuardedLorebook[]}
+ */
+function guardedLorebooks(config) {
+  const worldsDir = scaffoldTypeDir(config.scaffoldDir, 'world');
+  const versions = readLorebookVersions(config.backupRoot);
+  const present = existsSync(worldsDir) ? readdirSync(worldsDir).filter(f => f.endsWith('.json')) : [];
+  const filenames = [...new Set([...present, ...Object.keys(versions)])].sort();
+
+  const linked = new Map();
+  for (const entry of auditSharedEntries(config, discoverUsers(config.dataRoot, config.excludeDirs), ['world'])) {
+    if (entry.target === null) continue;
+    const target = linkTargetPath(entry);
+    linked.set(target, (linked.get(target) || 0) + 1);
+  }
+
+  return filenames.map((filename) => {
+    const sourcePath = resolve(worldsDir, filename);
+    return { filename, sourcePath, ...lorebookStatus(versions, sourcePath), linkedUsers: linked.get(sourcePath) || 0 };
+  });
+}
+
+/**
+ * Find lorebooks by filename.
+ * @param {GuardedLorebook[]} lorebooks
+ * @param {string[]} names
+ * @returns {GuardedLorebook[]}
+ * @throws {Error} On a name that isn't a shared lorebook
+ */
+function pickByName(lorebooks, names) {
+  return names.map((name) => {
+    const found = lorebooks.find(l => l.filename === name || l.filename === `${name}.json`);
+    if (!found) throw new Error(`Not a shared lorebook in scaffold/worlds/: ${name}`);
+    return found;
+  });
+}
+
+/**
+ * Print each shared lorebook's status.
+ * @param {GuardedLorebook[]} lorebooks
+ */
+function printStatus(lorebooks) {
+  printHeader('Shared Lorebook Guard');
+  if (lorebooks.length === 0) {
+    console.log('  No lorebooks in scaffold/worlds/.\n');
+    return;
+  }
+
+  const colors = { approved: chalk.green, changed: chalk.red, untracked: chalk.yellow, missing: chalk.magenta };
+  for (const book of lorebooks) {
+    const approved = book.approved ? `v${book.approved.version}` : '—';
+    const modified = existsSync(book.sourcePath) ? `modified ${statSync(book.sourcePath).mtime.toLocaleString()}` : 'file missing';
+    console.log(
+      `  ${colors[book.status](book.status.padEnd(10))} ${book.filename.padEnd(32)} ${approved.padEnd(5)} ` +
+      chalk.dim(`${book.linkedUsers} linked user(s) · ${modified}`)
+    );
+  }
+  console.log('\n  ' + GUARD_STATUSES.map(s => `${s}: ${lorebooks.filter(l => l.status === s).length}`).join(chalk.dim(' · ')) + '\n');
+}
+
+/**
+ * Read and parse a lorebook.
+ * @param {string} path
+ * @returns {{text: string, json: object|null}} json is null when it doesn't parse
+ */
+function readWorld(path) {
+  const text = readFileSync(path, 'utf-8');
+  try {
+    return { text, json: JSON.parse(text) };
+  } catch {
+    return { text, json: null };
+  }
+}
+
+/**
+ * Shorten a JSON value for an inline diff line.
+ * @param {*} value
+ * @returns {string}
+ */
+function inline(value) {
+  const text = value === undefined ? '(unset)' : JSON.stringify(value);
+  return text.length > VALUE_WIDTH ? `${text.slice(0, VALUE_WIDTH - 1)}…` : text;
+}
+
+/**
+ * Print what changed between two versions of a lorebook, entry by entry.
+ * Files that aren't valid JSON get a line diff instead.
+ * @param {string} beforePath
+ * @param {string} afterPath
+ * @param {string} title
+ * @returns {number} Number of differences shown
+ */
+function printWorldDiff(beforePath, afterPath, title) {
+  printHeader(title);
+  const before = readWorld(beforePath);
+  const after = readWorld(afterPath);
+
+  if (!before.json || !after.json) {
+    warn(`${before.json ? afterPath : beforePath} is not valid JSON; showing a line diff.`);
+    printDiff(diffLines(before.text, after.text));
+    console.log('');
+    return 1;
+  }
+
+  const { entries, book } = diffWorldEntries(before.json, after.json);
+  if (entries.length === 0 && book.length === 0) {
+    console.log(chalk.green('  No entry changes (formatting only).\n'));
+    return 0;
+  }
+
+  for (const change of entries) {
+    const name = `[${change.uid}] ${change.label}`;
+    if (change.kind === 'added') {
+      console.log(chalk.green(`  + ${name}`) + chalk.dim(`  keys: ${(change.after.key || []).join(', ')}`));
+    } else if (change.kind === 'removed') {
+      console.log(chalk.red(`  - ${name}`) + chalk.dim(`  keys: ${(change.before.key || []).join(', ')}`));
+    } else {
+      console.log(chalk.yellow(`  ~ ${name}`) + chalk.dim(`  ${change.fields.join(', ')}`));
+      for (const field of change.fields) {
+        const old = change.before[field];
+        const now = change.after[field];
+        if (typeof old === 'string' && typeof now === 'string' && (old.includes('\n') || now.includes('\n'))) {
+          console.log(chalk.dim(`      ${field}:`));
+          printDiff(diffLines(old, now), 1);
+        } else {
+          console.log(`      ${field}: ${chalk.red(inline(old))} → ${chalk.green(inline(now))}`);
+        }
+      }
+    }
+  }
+  if (book.length > 0) {
+    console.log(chalk.yellow(`  ~ Book settings: ${book.join(', ')}`));
+  }
+
+  const counts = ['added', 'removed', 'changed'].map(k => `${entries.filter(e => e.kind === k).length} ${k}`);
+  console.log(`\n  ${chalk.bold('Entries:')} ${counts.join(chalk.dim(' · '))}\n`);
+  return entries.length + book.length;
+}
+
+/**
+ * Show how a lorebook differs from its approved version (or another one).
+ * @param {object} config
+ * @param {GuardedLorebook} book
+ * @param {import('../lib/lorebook-versions.js').LorebookVersion} [version]
+ */
+function showChanges(config, book, version = book.approved) {
+  if (!version) throw new Error(`${book.filename} has no approved version yet`);
+  if (!existsSync(book.sourcePath)) throw new Error(`${book.sourcePath} doesn't exist`);
+  printWorldDiff(versionCopyPath(config.backupRoot, version), book.sourcePath, `${book.filename}: v${version.version} → current`);
+}
+
+/**
+ * Approve lorebooks as they are now, keeping a versioned copy of each.
+ * @param {object} config
+ * @param {GuardedLorebook[]} books
+ */
+export function acceptLorebooks(config, books) {
+  for (const book of books) {
+    if (!existsSync(book.sourcePath)) {
+      warn(`Skipping ${book.filename}: the file is missing.`);
+      continue;
+    }
+    if (config.dryRun) {
+      info(`[DRY RUN] Would approve ${book.sourcePath} as its new version`);
+      continue;
+    }
+    const { version, recorded } = approveLorebook(config.backupRoot, book.sourcePath);
+    if (recorded) log.success(`Approved ${book.filename} as v${version.version}`);
+    else log.info(`${book.filename} already matches v${version.version}`);
+  }
+}
+
+/**
+ * Put a lorebook back to an approved version. The rejected file is backed
+ * up to _admin-backups first. It is written in place, so every user's
+ * symlink sees the restored book.
+ * @param {object} config
+ * @param {GuardedLorebook} book
+ * @param {import('../lib/lorebook-versions.js').LorebookVersion} [version] - Defaults to the approved version
+ */
+export function revertLorebook(config, book, version = book.approved) {
+  if (!version) throw new Error(`${book.filename} has no approved version to revert to`);
+  const copyPath = versionCopyPath(config.backupRoot, version);
+  if (!existsSync(copyPath)) throw new Error(`The stored copy of ${book.filename} v${version.version} is missing: ${copyPath}`);
+
+  if (config.dryRun) {
+    if (existsSync(book.sourcePath)) info(`[DRY RUN] Would backup ${book.sourcePath} -> ${config.backupRoot}/scaffold-worlds-*/`);
+    info(`[DRY RUN] Would restore ${book.sourcePath} from v${version.version}`);
+    return;
+  }
+
+  if (existsSync(book.sourcePath)) backupToAdmin(config.backupRoot, book.sourcePath, 'scaffold-worlds');
+  writeFileSync(book.sourcePath, readFileSync(copyPath));
+  reapproveVersion(config.backupRoot, book.filename, version);
+  log.success(`Restored ${book.filename} to v${version.version}`);
+}
+
+/**
+ * Print a lorebook's approved versions, newest first.
+ * @param {object} config
+ * @param {GuardedLorebook} book
+ */
+function printHistory(config, book) {
+  const history = readLorebookVersions(config.backupRoot)[book.filename] || [];
+  printHeader(`${book.filename}: Versions`);
+  if (history.length === 0) {
+    console.log('  No approved versions yet.\n');
+    return;
+  }
+  for (const v of [...history].reverse()) {
+    const restored = v.restoredFrom ? chalk.dim(` (restored v${v.restoredFrom})`) : '';
+    console.log(`  v${String(v.version).padEnd(4)} ${new Date(v.approvedAt).toLocaleString().padEnd(24)} ${chalk.dim(v.sha256.slice(0, 12))}${restored}`);
+  }
+  console.log('');
+}
+
+/**
+ * Find a version by number.
+ * @param {object} config
+ * @param {GuardedLorebook} book
+ * @param {string|number} number
+ * @returns {import('../lib/lorebook-versions.js').LorebookVersion}
+ * @throws {Error} When there is no such version
+ */
+function findVersion(config, book, number) {
+  const history = readLorebookVersions(config.backupRoot)[book.filename] || [];
+  const version = history.find(v => v.version === Number(number));
+  if (!version) throw new Error(`${book.filename} has no version ${number} (it has ${history.length})`);
+  return version;
+}
+
+/**
+ * Interactive: review one lorebook.
+ * @param {object} config
+ * @param {GuardedLorebook} book
+ */
+async function reviewLorebook(config, book) {
+  if (book.status === 'untracked') {
+    const proceed = await confirm({ message: `Start guarding ${book.filename} as it is now (v1)?` });
+    if (typeof proceed === 'symbol' || !proceed) return;
+    acceptLorebooks(config, [book]);
+    return;
+  }
+
+  if (book.status === 'changed') showChanges(config, book);
+  if (book.status === 'missing') warn(`${book.sourcePath} is gone; you can restore an approved version.`);
+
+  const history = readLorebookVersions(config.backupRoot)[book.filename] || [];
+  const options = [];
+  if (book.status === 'changed') {
+    options.push({ value: 'accept', label: 'Accept the change', hint: `becomes v${history.length + 1}` });
+    options.push({ value: 'revert', label: `Revert to v${book.approved.version}`, hint: 'the change is backed up first' });
+  }
+  if (book.status === 'missing') {
+    options.push({ value: 'revert', label: `Restore v${book.approved.version}` });
+  }
+  if (history.length > 1) {
+    options.push({ value: 'older', label: 'Compare with or restore an older version' });
+  }
+  options.push({ value: 'back', label: 'Back' });
+
+  const action = await select({ message: `${book.filename}:`, options });
+  if (typeof action === 'symbol' || action === 'back') return;
+
+  if (action === 'accept') {
+    acceptLorebooks(config, [book]);
+    return;
+  }
+  if (action === 'revert') {
+    const proceed = await confirm({ message: `Overwrite ${book.filename} for its ${book.linkedUsers} linked user(s) with v${book.approved.version}?` });
+    if (typeof proceed === 'symbol' || !proceed) return;
+    revertLorebook(config, book);
+    return;
+  }
+
+  printHistory(config, book);
+  const version = await select({
+    message: 'Which version?',
+    options: [...history].reverse().map(v => ({ value: v, label: `v${v.version}`, hint: new Date(v.approvedAt).toLocaleString() })),
+  });
+  if (typeof version === 'symbol') return;
+
+  if (existsSync(book.sourcePath)) showChanges(config, book, version);
+  const proceed = await confirm({ message: `Restore ${book.filename} to v${version.version}?`, initialValue: false });
+  if (typeof proceed === 'symbol' || !proceed) return;
+  revertLorebook(config, book, version);
+}
+
+/**
+ * Main entry point.
+ * @param {object} config
+ */
+export async function run(config) {
+  while (true) {
+    const lorebooks = guardedLorebooks(config);
+    printStatus(lorebooks);
+    if (lorebooks.length === 0) return;
+
+    const order = { changed: 0, missing: 1, untracked: 2, approved: 3 };
+    const picked = await select({
+      message: 'Review a lorebook:',
+      options: [
+        ...[...lorebooks].sort((a, b) => order[a.status] - order[b.status]).map(l => ({
+          value: l.filename,
+          label: l.filename,
+          hint: l.status,
+        })),
+        { value: null, label: 'Done' },
+      ],
+    });
+    if (typeof picked === 'symbol' || picked === null) return;
+    await reviewLorebook(config, lorebooks.find(l => l.filename === picked));
+  }
+}
+
+export const CLI_USAGE = `lorebook-guard [status|diff|accept|revert|history] [--lorebook <name,...>] [--version <n>]
+
+  Watches the shared lorebooks in scaffold/worlds/. SillyTavern writes
+  through symlinks, so a user editing a shared lorebook changes it for
+  everyone; this compares each one with its last admin-approved version.
+
+  Actions:
+    status    List each lorebook as ${GUARD_STATUSES.join(', ')} (default, read-only)
+    diff      Show the entries added, removed or changed since the approved
+              version (or --version <n>), e.g. --lorebook Shared.json
+    accept    Approve the current file as a new version (default: every
+              changed and untracked lorebook)
+    revert    Restore the approved version (or --version <n>); the rejected
+              file is backed up to _admin-backups first (default: every
+              changed lorebook)
+    history   List a lorebook's approved versions
+
+  Every approved version is kept under _admin-backups/lorebook-versions/.`;
+
+export const CLI_OPTIONS = {
+  lorebook: { type: 'string' },
+  version:  { type: 'string' },
+};
+
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { positionals, values, confirm: confirmRun }) {
+  const [action = 'status'] = positionals;
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown lorebook-guard action "${action}" (expected ${ACTIONS.join(', ')})`);
+  }
+  const lorebooks = guardedLorebooks(config);
+  const names = (values.lorebook || '').split(',').map(v => v.trim()).filter(Boolean);
+  const named = pickByName(lorebooks, names);
+
+  if (action === 'status') {
+    printStatus(names.length > 0 ? named : lorebooks);
+    return [];
+  }
+
+  if (['diff', 'history'].includes(action) || values.version) {
+    if (named.length !== 1) throw new Error(`${values.version ? '--version' : action} needs exactly one --lorebook`);
+  }
+  const version = values.version ? findVersion(config, named[0], values.version) : undefined;
+
+  if (action === 'diff') {
+    showChanges(config, named[0], version);
+    return [];
+  }
+  if (action === 'history') {
+    printHistory(config, named[0]);
+    return [];
+  }
+
+  if (action === 'accept') {
+    if (version) throw new Error('accept takes the current file; --version is only for diff and revert');
+    const books = names.length > 0 ? named : lorebooks.filter(l => ['changed', 'untracked'].includes(l.status));
+    if (books.length === 0) {
+      info('Nothing to accept: every shared lorebook matches its approved version.');
+      return [];
+    }
+    for (const book of books.filter(b => b.status === 'changed')) showChanges(config, book);
+    await confirmRun(`Approve ${books.length} lorebook(s) as they are now?`);
+    acceptLorebooks(config, books);
+    return [];
+  }
+
+  const books = names.length > 0 ? named : lorebooks.filter(l => l.status === 'changed');
+  if (books.length === 0) {
+    info('Nothing to revert: every shared lorebook matches its approved version.');
+    return [];
+  }
+  for (const book of books) {
+    if (!book.approved) throw new Error(`${book.filename} has no approved version to revert to`);
+    if (existsSync(book.sourcePath)) showChanges(config, book, version);
+  }
+  await confirmRun(`Revert ${books.length} lorebook(s), affecting ${books.reduce((n, b) => n + b.linkedUsers, 0)} linked user(s)?`);
+  for (const book of books) revertLorebook(config, book, version);
+  return [];
+}
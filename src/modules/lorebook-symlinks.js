@@ -1,48 +1,55 @@
 import { select, text, multiselect, confirm, log } from '@clack/prompts';
 import {
   existsSync, lstatSync, readlinkSync, symlinkSync,
-  unlinkSync, readdirSync, mkdirSync
+  unlinkSync, readdirSync, mkdirSync, copyFileSync
 } from 'node:fs';
-import { join, resolve, basename } from 'node:path';
+import { join, resolve, basename, dirname } from 'node:path';
 import chalk from 'chalk';
-import { selectUsers } from '../users.js';
+import { discoverUsers, selectUsers, resolveUsers } from '../users.js';
 import { batchOperation } from '../batch.js';
-import { backupUserFile } from '../backup.js';
-import { userWorldsDir } from '../lib/st-paths.js';
-import { readIndex } from '../lib/content-index.js';
-import { scaffoldIndexPath } from '../lib/st-paths.js';
+import { backupUserFile, backupToAdmin, latestUserBackup } from '../backup.js';
+import { journalOptions } from '../lib/journal.js';
+import { userDir, scaffoldIndexPath } from '../lib/st-paths.js';
+import { readIndex, writeIndex } from '../lib/content-index.js';
+import { contentType } from '../lib/content-types.js';
+import {
+  LINKABLE_TYPES, LINK_STATUSES, linkableTypes, scaffoldTypeDir,
+  auditSharedEntries, linksToSource, linkTargetPath
+} from '../lib/shared-links.js';
+import { readLorebookVersions, approveLorebook, forgetLorebook, lorebookVersionsDir } from '../lib/lorebook-versions.js';
 import { printHeader, info, warn } from '../ui.js';
 
 /**
- * List lorebook JSON files available in the scaffold worlds directory.
+ * List JSON files of a content type available in scaffold, e.g. scaffold/worlds/.
  * @param {string} scaffoldDir
+ * @param {string} type - Content type name
  * @returns {string[]} Filenames
  */
-function listScaffoldLorebooks(scaffoldDir) {
-  const worldsDir = join(scaffoldDir, 'worlds');
+function listScaffoldFiles(scaffoldDir, type) {
   try {
-    return readdirSync(worldsDir).filter(f => f.endsWith('.json'));
+    return readdirSync(scaffoldTypeDir(scaffoldDir, type)).filter(f => f.endsWith('.json'));
   } catch {
     return [];
   }
 }
 
 /**
- * Check if a lorebook filename is also in the scaffold index.json (which would
- * cause the seeder to overwrite symlinks on restart).
+ * Check if a filename is also in the scaffold index.json under the same type
+ * (which would cause the seeder to overwrite symlinks on restart).
  * @param {string} scaffoldDir
  * @param {string} filename
+ * @param {string} [type]
  * @returns {boolean}
  */
-function isInScaffoldIndex(scaffoldDir, filename) {
+function isInScaffoldIndex(scaffoldDir, filename, type = 'world') {
   const indexPath = scaffoldIndexPath(scaffoldDir);
   const index = readIndex(indexPath);
-  return index.some(e => e.filename === filename && e.type === 'world');
+  return index.some(e => e.filename === filename && e.type === type);
 }
 
 /**
  * Create a symlink for a single user, handling existing files.
- * @param {string} sourceAbsolute - Absolute path to the source lorebook
+ * @param {string} sourceAbsolute - Absolute path to the shared source file
  * @param {string} targetPath - Absolute path where the symlink should be created
  * @param {string} handle - User handle (for logging)
  * @param {'ask'|'all'|'skip'} overridePolicy - How to handle existing files
@@ -86,7 +93,7 @@ function createSymlinkForUser(sourceAbsolute, targetPath, handle, overridePolicy
     return 'created';
   }
 
-  // Ensure the worlds directory exists
+  // Ensure the user's content subdirectory exists
   mkdirSync(join(targetPath, '..'), { recursive: true });
   symlinkSync(sourceAbsolute, targetPath);
   return 'created';
@@ -106,21 +113,515 @@ function lstatExists(path) {
   }
 }
 
+/**
+ * Warn if any selected files are in the scaffold index (seeder conflict).
+ * @param {object} config
+ * @param {Array<{filename: string}>} sourceFiles
+ * @param {string} [type]
+ */
+function warnScaffoldConflicts(config, sourceFiles, type = 'world') {
+  for (const { filename } of sourceFiles) {
+    if (isInScaffoldIndex(config.scaffoldDir, filename, type)) {
+      warn(
+        `"${filename}" is also listed in scaffold/index.json as type "${type}".\n` +
+        '    The SillyTavern seeder may overwrite symlinks with copies on restart.\n' +
+        '    Consider removing it from the scaffold index to avoid conflicts.'
+      );
+    }
+  }
+}
+
+/**
+ * Symlink one shared file into each user's subdirectory for its type
+ * (worlds/ for lorebooks, instruct/ for instruct templates, ...).
+ * @param {object} config
+ * @param {{filename: string, absolutePath: string}} source
+ * @param {string[]} users
+ * @param {'all'|'skip'} policy - How to handle existing files
+ * @param {string} [type] - Content type name (one of LINKABLE_TYPES)
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function symlinkSharedFileForUsers(config, { filename, absolutePath }, users, policy, type = 'world') {
+  const { dir } = contentType(type);
+  printHeader(`Symlinking: ${filename}`);
+
+  const results = await batchOperation(users, async (handle, tx) => {
+    const targetPath = join(userDir(config.dataRoot, handle), dir, filename);
+    const relativePath = `${dir}/${filename}`;
+
+    // Remember what was there before, for the journal
+    let previous = null;
+    if (lstatExists(targetPath)) {
+      previous = lstatSync(targetPath).isSymbolicLink()
+        ? { target: readlinkSync(targetPath) }
+        : { backup: null };
+    }
+
+    // Backup existing regular file before replacement
+    if (policy === 'all' && previous && !previous.target) {
+      previous.backup = backupUserFile(config.dataRoot, handle, relativePath, config.dryRun);
+    }
+
+    const result = createSymlinkForUser(
+      absolutePath, targetPath, handle, policy, config.dryRun
+    );
+
+    if (result === 'already-linked') {
+      return { skipped: 'already symlinked to same source' };
+    }
+    if (result === 'skipped') {
+      return { skipped: 'existing file preserved' };
+    }
+
+    if (previous) {
+      tx.symlinkReplaced(relativePath, previous);
+    } else {
+      tx.created(relativePath, { symlink: true });
+    }
+
+    return 'success';
+  }, `Symlink ${filename}`, journalOptions(config, { source: absolutePath, policy, type }));
+
+  // Sharing a lorebook approves it as it is now (see lorebook-guard.js)
+  const shared = type === 'world' && dirname(absolutePath) === resolve(scaffoldTypeDir(config.scaffoldDir, type));
+  if (shared && !config.dryRun) {
+    const { version, recorded } = approveLorebook(config.backupRoot, absolutePath);
+    if (recorded) info(`Guarding ${filename}: recorded as approved v${version.version}`);
+  }
+  return results;
+}
+
+/** Repair actions, the statuses each can fix, and the ones it fixes by default. */
+const REPAIRS = {
+  repoint: {
+    label: 'Repoint to the scaffold file of the same name',
+    applies: ['dangling', 'unexpected'],
+    defaults: ['dangling', 'unexpected'],
+  },
+  remove: {
+    label: 'Remove the symlink',
+    applies: ['dangling', 'unexpected', 'conflict', 'healthy'],
+    defaults: ['dangling'],
+  },
+  restore: {
+    label: 'Restore the user\'s backup copy',
+    applies: ['dangling', 'unexpected', 'conflict', 'healthy'],
+    defaults: ['dangling'],
+  },
+};
+
+/** Statuses that need attention. */
+const PROBLEM_STATUSES = ['dangling', 'unexpected', 'conflict'];
+
+/**
+ * Print how many entries have each status, and list the problems.
+ * @param {import('../lib/shared-links.js').SharedEntry[]} entries
+ */
+function printLinkAudit(entries) {
+  printHeader('Shared Symlink Audit');
+  const users = new Set(entries.map(e => e.handle));
+  console.log(`  ${chalk.bold('Files:')} ${entries.length} across ${users.size} user(s)`);
+  console.log('  ' + LINK_STATUSES.map(s => `${s}: ${entries.filter(e => e.status === s).length}`).join(chalk.dim(' · ')));
+
+  const problems = entries.filter(e => PROBLEM_STATUSES.includes(e.status));
+  if (problems.length === 0) {
+    console.log(chalk.green('\n  No broken or conflicting symlinks.\n'));
+    return;
+  }
+
+  console.log('');
+  const colors = { dangling: chalk.red, unexpected: chalk.yellow, conflict: chalk.magenta };
+  for (const entry of problems) {
+    console.log(
+      `  ${colors[entry.status](entry.status.padEnd(10))} ${entry.handle.padEnd(16)} ${entry.path} ` +
+      chalk.dim(`→ ${entry.target}`)
+    );
+  }
+  if (problems.some(e => e.status === 'conflict')) {
+    console.log('');
+    warn(
+      'Conflicting files are also listed in scaffold/index.json under the same type.\n' +
+      '    The SillyTavern seeder may overwrite these symlinks with copies on restart.\n' +
+      '    Remove them from the scaffold index (Edit Scaffold index.json) to keep the links.'
+    );
+  }
+  console.log('');
+}
+
+/**
+ * Entries a repair should act on.
+ * @param {import('../lib/shared-links.js').SharedEntry[]} entries
+ * @param {'repoint'|'remove'|'restore'} action
+ * @param {string[]} [statuses] - Defaults to the action's default statuses
+ * @returns {import('../lib/shared-links.js').SharedEntry[]}
+ */
+function repairCandidates(entries, action, statuses = REPAIRS[action].defaults) {
+  return entries.filter(e => REPAIRS[action].applies.includes(e.status) && statuses.includes(e.status));
+}
+
+/**
+ * Repair shared-content symlinks: point them at scaffold/<dir>/<name>, remove
+ * them, or replace them with the newest copy in the user's admin-snapshots.
+ * Each replaced link is journaled so the repair can be rolled back.
+ * @param {object} config
+ * @param {import('../lib/shared-links.js').SharedEntry[]} entries
+ * @param {'repoint'|'remove'|'restore'} action
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function repairSharedLinks(config, entries, action) {
+  const byUser = new Map();
+  for (const entry of entries) {
+    if (!byUser.has(entry.handle)) byUser.set(entry.handle, []);
+    byUser.get(entry.handle).push(entry);
+  }
+
+  return batchOperation([...byUser.keys()], async (handle, tx) => {
+    const unfixable = [];
+    let fixed = 0;
+
+    for (const entry of byUser.get(handle)) {
+      if (!lstatExists(entry.fullPath) || !lstatSync(entry.fullPath).isSymbolicLink()) {
+        unfixable.push(`${entry.path} is no longer a symlink`);
+        continue;
+      }
+
+      let backup = null;
+      if (action === 'repoint' && !existsSync(entry.expected)) {
+        unfixable.push(`${entry.path} is not in scaffold`);
+        continue;
+      }
+      if (action === 'restore') {
+        backup = latestUserBackup(config.dataRoot, handle, entry.path);
+        if (!backup) {
+          unfixable.push(`${entry.path} has no backup`);
+          continue;
+        }
+      }
+
+      fixed++;
+      if (config.dryRun) {
+        const what = { repoint: `repoint ${entry.fullPath} -> ${entry.expected}`, remove: `remove ${entry.fullPath}`, restore: `restore ${backup} -> ${entry.fullPath}` };
+        info(`[DRY RUN] Would ${what[action]}`);
+        continue;
+      }
+
+      tx.symlinkReplaced(entry.path, { target: readlinkSync(entry.fullPath) });
+      unlinkSync(entry.fullPath);
+      if (action === 'repoint') symlinkSync(entry.expected, entry.fullPath);
+      if (action === 'restore') copyFileSync(backup, entry.fullPath);
+    }
+
+    if (fixed === 0) return { skipped: unfixable.join('; ') || 'nothing to repair' };
+    return 'success';
+  }, `Shared Symlinks: ${action}`, journalOptions(config, { action, files: entries.map(e => `${e.handle}/${e.path}`) }));
+}
+
+/** Where an unlinked user's private copy comes from. */
+const COPY_SOURCES = {
+  current:  'A copy of the current shared file',
+  original: 'Their backed-up original (admin-snapshots), else the current shared file',
+};
+
+/**
+ * Replace users' symlinks to a shared file with private copies: of the
+ * shared file as it is now, or ("original") of the newest backup in the
+ * user's admin-snapshots, which is the file the symlink replaced. When the
+ * shared file is gone, the backup is used either way.
+ * @param {object} config
+ * @param {string} sourcePath - The shared file
+ * @param {import('../lib/shared-links.js').SharedEntry[]} entries - Symlinks to it (see linksToSource)
+ * @param {'current'|'original'} from
+ * @param {string} [label]
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function unlinkSharedFileForUsers(config, sourcePath, entries, from, label = `Unlink ${basename(sourcePath)}`) {
+  const byUser = new Map();
+  for (const entry of entries) {
+    if (!byUser.has(entry.handle)) byUser.set(entry.handle, []);
+    byUser.get(entry.handle).push(entry);
+  }
+  const sourceExists = existsSync(sourcePath);
+
+  return batchOperation([...byUser.keys()], async (handle, tx) => {
+    const unfixable = [];
+    let unlinked = 0;
+
+    for (const entry of byUser.get(handle)) {
+      if (!lstatExists(entry.fullPath) || !lstatSync(entry.fullPath).isSymbolicLink()) {
+        unfixable.push(`${entry.path} is no longer a symlink`);
+        continue;
+      }
+
+      const backup = from === 'original' || !sourceExists ? latestUserBackup(config.dataRoot, handle, entry.path) : null;
+      const copyFrom = backup || (sourceExists ? sourcePath : null);
+      if (!copyFrom) {
+        unfixable.push(`${entry.path}: the shared file is gone and there is no backup`);
+        continue;
+      }
+
+      unlinked++;
+      if (config.dryRun) {
+        info(`[DRY RUN] Would replace symlink ${entry.fullPath} with a copy of ${copyFrom}`);
+        continue;
+      }
+
+      tx.symlinkReplaced(entry.path, { target: readlinkSync(entry.fullPath) });
+      unlinkSync(entry.fullPath);
+      copyFileSync(copyFrom, entry.fullPath);
+    }
+
+    if (unlinked === 0) return { skipped: unfixable.join('; ') || 'no symlink' };
+    return 'success';
+  }, label, journalOptions(config, { source: sourcePath, from }));
+}
+
+/**
+ * Retire a shared file: give every user linked to it a private copy, then
+ * back it up to _admin-backups and remove it, along with its
+ * scaffold/index.json entry and, for a shared lorebook, its lorebook-guard
+ * record. The source is kept if any user fails.
+ * @param {object} config
+ * @param {string} sourcePath
+ * @param {'current'|'original'} from
+ * @param {string} [type] - Content type name
+ * @returns {Promise<import('../batch.js').BatchResults|null>} null when no user was linked
+ */
+export async function retireSharedFile(config, sourcePath, from, type = 'world') {
+  const filename = basename(sourcePath);
+  const entries = linksToSource(config, discoverUsers(config.dataRoot, config.excludeDirs), sourcePath, [type]);
+  const results = entries.length > 0
+    ? await unlinkSharedFileForUsers(config, sourcePath, entries, from, `Retire ${filename}`)
+    : null;
+
+  if (results && results.failed.length > 0) {
+    warn(`Keeping ${sourcePath}: ${results.failed.length} user(s) still link to it.`);
+    return results;
+  }
+
+  const indexPath = scaffoldIndexPath(config.scaffoldDir);
+  const inScaffold = resolve(sourcePath) === resolve(scaffoldTypeDir(config.scaffoldDir, type), filename);
+  const indexed = inScaffold && isInScaffoldIndex(config.scaffoldDir, filename, type);
+  const guarded = inScaffold && type === 'world';
+
+  if (config.dryRun) {
+    if (existsSync(sourcePath)) info(`[DRY RUN] Would back up and remove ${sourcePath}`);
+    if (indexed) info(`[DRY RUN] Would remove ${filename} from ${indexPath}`);
+    if (guarded && readLorebookVersions(config.backupRoot)[filename]) info(`[DRY RUN] Would stop guarding ${filename}`);
+    return results;
+  }
+
+  if (existsSync(sourcePath)) {
+    const label = `scaffold-${contentType(type).dir.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+    backupToAdmin(config.backupRoot, sourcePath, label);
+    unlinkSync(sourcePath);
+    log.success(`Removed ${sourcePath}`);
+  }
+  if (indexed) {
+    backupToAdmin(config.backupRoot, indexPath, 'scaffold-index');
+    writeIndex(indexPath, readIndex(indexPath).filter(e => !(e.filename === filename && e.type === type)));
+    log.success(`Removed ${filename} from ${indexPath}`);
+  }
+  if (guarded && forgetLorebook(config.backupRoot, filename)) {
+    info(`No longer guarding ${filename} (its approved versions stay in ${lorebookVersionsDir(config.backupRoot)})`);
+  }
+  return results;
+}
+
+/**
+ * Interactive: pick a shared file that users link to.
+ * @param {object} config
+ * @param {string} message
+ * @returns {Promise<{sourcePath: string, type: string}|null>} null when cancelled or nothing is linked
+ */
+async function pickLinkedFile(config, message) {
+  const users = discoverUsers(config.dataRoot, config.excludeDirs);
+  const linked = new Map();
+  for (const entry of auditSharedEntries(config, users)) {
+    if (entry.target === null) continue;
+    const key = `${entry.type}:${linkTargetPath(entry)}`;
+    if (!linked.has(key)) linked.set(key, { sourcePath: linkTargetPath(entry), type: entry.type, users: 0 });
+    linked.get(key).users++;
+  }
+  if (linked.size === 0) {
+    log.info('No user has a symlinked shared file.');
+    return null;
+  }
+
+  const picked = await select({
+    message,
+    options: [...linked.values()].sort((a, b) => a.sourcePath.localeCompare(b.sourcePath)).map(l => ({
+      value: l,
+      label: `${basename(l.sourcePath)} ${chalk.dim(`(${contentType(l.type).label})`)}`,
+      hint: `${l.sourcePath} · ${l.users} user(s)${existsSync(l.sourcePath) ? '' : ' · missing'}`,
+    })),
+  });
+  return typeof picked === 'symbol' ? null : picked;
+}
+
+/**
+ * Interactive: ask where private copies come from.
+ * @returns {Promise<'current'|'original'|symbol>}
+ */
+async function pickCopySource() {
+  return select({
+    message: 'Replace each symlink with:',
+    options: Object.entries(COPY_SOURCES).map(([value, label]) => ({ value, label })),
+  });
+}
+
+/**
+ * Interactive unlink: detach selected users from a shared file.
+ * @param {object} config
+ */
+async function unlinkUsers(config) {
+  const shared = await pickLinkedFile(config, 'Which shared file?');
+  if (!shared) return;
+  const { sourcePath, type } = shared;
+
+  const linked = linksToSource(config, discoverUsers(config.dataRoot, config.excludeDirs), sourcePath, [type]);
+  const picked = await multiselect({
+    message: 'Give private copies to:',
+    options: linked.map((e, i) => ({ value: i, label: e.handle, hint: e.path })),
+    required: true,
+  });
+  if (typeof picked === 'symbol') return;
+
+  const from = await pickCopySource();
+  if (typeof from === 'symbol') return;
+
+  const proceed = await confirm({
+    message: `Replace ${picked.length} symlink(s) to ${basename(sourcePath)} with private copies?`,
+  });
+  if (typeof proceed === 'symbol' || !proceed) return;
+  await unlinkSharedFileForUsers(config, sourcePath, picked.map(i => linked[i]), from);
+}
+
+/**
+ * Interactive retire: detach everyone, then remove the shared file.
+ * @param {object} config
+ */
+async function retireShared(config) {
+  const shared = await pickLinkedFile(config, 'Which shared file to retire?');
+  if (!shared) return;
+  const { sourcePath, type } = shared;
+
+  const linked = linksToSource(config, discoverUsers(config.dataRoot, config.excludeDirs), sourcePath, [type]);
+  log.info(`${linked.length} user(s) link to ${sourcePath}.`);
+
+  const from = await pickCopySource();
+  if (typeof from === 'symbol') return;
+
+  const proceed = await confirm({
+    message: chalk.red(`Give ${linked.length} user(s) private copies, then remove ${basename(sourcePath)}?`),
+  });
+  if (typeof proceed === 'symbol' || !proceed) return;
+  await retireSharedFile(config, sourcePath, from, type);
+}
+
+/**
+ * Interactive audit: report, then offer repairs until the user is done.
+ * @param {object} config
+ */
+async function auditLinks(config) {
+  const users = await selectUsers(config);
+  if (users.length === 0) return;
+
+  while (true) {
+    const entries = auditSharedEntries(config, users);
+    printLinkAudit(entries);
+    if (!entries.some(e => e.target !== null)) return;
+
+    const action = await select({
+      message: 'Repair symlinks?',
+      options: [
+        ...Object.entries(REPAIRS).map(([value, { label }]) => ({ value, label })),
+        { value: 'done', label: 'Done' },
+      ],
+    });
+    if (typeof action === 'symbol' || action === 'done') return;
+
+    const candidates = repairCandidates(entries, action, REPAIRS[action].applies);
+    if (candidates.length === 0) {
+      log.info('No symlinks this repair applies to.');
+      continue;
+    }
+    const picked = await multiselect({
+      message: `${REPAIRS[action].label}:`,
+      options: candidates.map((e, i) => ({ value: i, label: `${e.handle}/${e.path}`, hint: `${e.status} → ${e.target}` })),
+      initialValues: candidates.flatMap((e, i) => (REPAIRS[action].defaults.includes(e.status) ? [i] : [])),
+      required: false,
+    });
+    if (typeof picked === 'symbol' || picked.length === 0) continue;
+
+    const proceed = await confirm({ message: `${REPAIRS[action].label} for ${picked.length} file(s)?` });
+    if (typeof proceed === 'symbol' || !proceed) continue;
+    await repairSharedLinks(config, picked.map(i => candidates[i]), action);
+  }
+}
+
 /**
  * Main entry point.
  * @param {object} config
  */
 export async function run(config) {
-  const scaffoldWorldsDir = join(config.scaffoldDir, 'worlds');
-  const available = listScaffoldLorebooks(config.scaffoldDir);
+  const mode = await select({
+    message: 'Shared symlinks:',
+    options: [
+      { value: 'create', label: 'Create symlinks',          hint: 'scaffold → users' },
+      { value: 'audit',  label: 'Audit and repair links',   hint: 'dangling, unexpected, seeder conflicts' },
+      { value: 'unlink', label: 'Unlink users',             hint: 'replace their symlinks with private copies' },
+      { value: 'retire', label: 'Retire a shared file',     hint: 'unlink everyone, then remove it' },
+    ],
+  });
+  if (typeof mode === 'symbol') return;
+
+  const modes = { create: createLinks, audit: auditLinks, unlink: unlinkUsers, retire: retireShared };
+  await modes[mode](config);
+}
+
+/**
+ * Interactive: ask for the path of a source file outside scaffold.
+ * @returns {Promise<Array<{filename: string, absolutePath: string}>|symbol>}
+ */
+async function askCustomSource() {
+  const customPath = await text({
+    message: 'Absolute path to the JSON file:',
+    validate: (v) => {
+      if (!v.trim()) return 'Path is required';
+      if (!existsSync(v.trim())) return 'File not found';
+      return undefined;
+    },
+  });
+  if (typeof customPath === 'symbol') return customPath;
+
+  return [{
+    filename: basename(customPath),
+    absolutePath: resolve(customPath),
+  }];
+}
+
+/**
+ * Interactive: symlink shared scaffold files into users' subdirectories.
+ * @param {object} config
+ */
+async function createLinks(config) {
+  const type = await select({
+    message: 'What kind of content?',
+    options: linkableTypes().map(t => ({ value: t.value, label: t.label, hint: `${t.dir}/` })),
+  });
+  if (typeof type === 'symbol') return;
+
+  const { dir } = contentType(type);
+  const sourceDir = scaffoldTypeDir(config.scaffoldDir, type);
+  const available = listScaffoldFiles(config.scaffoldDir, type);
 
   let sourceFiles;
 
   if (available.length > 0) {
     const choice = await select({
-      message: 'Select source lorebook(s):',
+      message: 'Select source file(s):',
       options: [
-        { value: 'pick',   label: 'Pick from scaffold/worlds/' },
+        { value: 'pick',   label: `Pick from scaffold/${dir}/` },
         { value: 'custom', label: 'Enter a custom path' },
       ],
     });
@@ -128,7 +629,7 @@ export async function run(config) {
 
     if (choice === 'pick') {
       const selected = await multiselect({
-        message: 'Select lorebook(s) to symlink:',
+        message: 'Select file(s) to symlink:',
         options: available.map(f => ({ value: f, label: f })),
         required: true,
       });
@@ -136,60 +637,26 @@ export async function run(config) {
 
       sourceFiles = selected.map(f => ({
         filename: f,
-        absolutePath: resolve(join(scaffoldWorldsDir, f)),
+        absolutePath: resolve(join(sourceDir, f)),
       }));
     } else {
-      const customPath = await text({
-        message: 'Absolute path to the lorebook JSON file:',
-        validate: (v) => {
-          if (!v.trim()) return 'Path is required';
-          if (!existsSync(v.trim())) return 'File not found';
-          return undefined;
-        },
-      });
-      if (typeof customPath === 'symbol') return;
-
-      sourceFiles = [{
-        filename: basename(customPath),
-        absolutePath: resolve(customPath),
-      }];
+      sourceFiles = await askCustomSource();
+      if (typeof sourceFiles === 'symbol') return;
     }
   } else {
-    log.info(`No lorebooks found in ${scaffoldWorldsDir}. Enter a path manually.`);
-
-    const customPath = await text({
-      message: 'Absolute path to the lorebook JSON file:',
-      validate: (v) => {
-        if (!v.trim()) return 'Path is required';
-        if (!existsSync(v.trim())) return 'File not found';
-        return undefined;
-      },
-    });
-    if (typeof customPath === 'symbol') return;
-
-    sourceFiles = [{
-      filename: basename(customPath),
-      absolutePath: resolve(customPath),
-    }];
+    log.info(`No files found in ${sourceDir}. Enter a path manually.`);
+    sourceFiles = await askCustomSource();
+    if (typeof sourceFiles === 'symbol') return;
   }
 
-  // Warn if any selected lorebooks are in the scaffold index (seeder conflict)
-  for (const { filename } of sourceFiles) {
-    if (isInScaffoldIndex(config.scaffoldDir, filename)) {
-      warn(
-        `"${filename}" is also listed in scaffold/index.json as type "world".\n` +
-        '    The SillyTavern seeder may overwrite symlinks with copies on restart.\n' +
-        '    Consider removing it from the scaffold index to avoid conflicts.'
-      );
-    }
-  }
+  warnScaffoldConflicts(config, sourceFiles, type);
 
   const users = await selectUsers(config);
   if (users.length === 0) return;
 
   // Ask about override policy
   const policy = await select({
-    message: 'If a file already exists in a user\'s worlds/ directory:',
+    message: `If a file already exists in a user's ${dir}/ directory:`,
     options: [
       { value: 'all',  label: 'Replace all (backup originals first)' },
       { value: 'skip', label: 'Skip — keep existing files' },
@@ -198,37 +665,173 @@ export async function run(config) {
   if (typeof policy === 'symbol') return;
 
   const proceed = await confirm({
-    message: `Create symlinks for ${sourceFiles.length} lorebook(s) across ${users.length} user(s)?`,
+    message: `Create symlinks for ${sourceFiles.length} file(s) across ${users.length} user(s)?`,
   });
   if (typeof proceed === 'symbol' || !proceed) return;
 
-  for (const { filename, absolutePath } of sourceFiles) {
-    printHeader(`Symlinking: ${filename}`);
+  for (const source of sourceFiles) {
+    await symlinkSharedFileForUsers(config, source, users, policy, type);
+  }
+}
 
-    await batchOperation(users, async (handle) => {
-      const worldsDir = userWorldsDir(config.dataRoot, handle);
-      const targetPath = join(worldsDir, filename);
+export const CLI_USAGE = `lorebook-symlinks [create] --file <name|path>[,...] --users <all|a,b> [--type <type>] [--policy all|skip]
+lorebook-symlinks audit [--users <all|a,b>] [--type <type,...>]
+lorebook-symlinks <repoint|remove|restore> --users <all|a,b> [--type <type,...>] [--status <status,...>] [--file <name,...>]
 
-      // Backup existing regular file before replacement
-      if (policy === 'all' && existsSync(targetPath)) {
-        const stat = lstatSync(targetPath);
-        if (!stat.isSymbolicLink()) {
-          backupUserFile(config.dataRoot, handle, `worlds/${filename}`, config.dryRun);
-        }
-      }
+  Share one file from scaffold with every user by symlinking it into their
+  subdirectory for its --type: ${LINKABLE_TYPES.join(', ')}
+  (default: world, i.e. lorebooks in worlds/). --lorebook is an alias for --file.
 
-      const result = createSymlinkForUser(
-        absolutePath, targetPath, handle, policy, config.dryRun
-      );
+  create (default) makes the symlinks. A bare filename is looked up in the
+  type's scaffold directory (e.g. scaffold/worlds/, scaffold/instruct/);
+  anything else is treated as a path. --policy decides what happens to
+  existing files (default: skip; "all" backs them up and replaces them).
 
-      if (result === 'already-linked') {
-        return { skipped: 'already symlinked to same source' };
-      }
-      if (result === 'skipped') {
-        return { skipped: 'existing file preserved' };
-      }
+  audit classifies every entry as ${LINK_STATUSES.join(', ')}
+  (a conflict is a link to a file also in scaffold/index.json). It covers
+  every type unless --type narrows it; --users defaults to all.
+
+  Repairs (journaled, so they can be rolled back):
+    repoint   Point links at the scaffold file of the same name (default --status dangling,unexpected)
+    remove    Delete the links                                  (default --status dangling)
+    restore   Replace links with the user's newest backup       (default --status dangling)
+  --file limits a repair to those filenames.
+
+lorebook-symlinks unlink --file <name|path> --users <all|a,b> [--type <type>] [--from current|original]
+lorebook-symlinks retire --file <name|path> [--type <type>] [--from current|original]
+
+  unlink replaces the users' symlinks to a shared file with private copies:
+  of the file as it is now (--from current, the default), or of the
+  original each user had before it was symlinked, from admin-snapshots
+  (--from original; users without one get the current file). retire does
+  this for every user, then backs up and removes the shared file and its
+  scaffold/index.json entry; a retired lorebook is no longer guarded
+  (see lorebook-guard).`;
+
+export const CLI_OPTIONS = {
+  file:     { type: 'string' },
+  lorebook: { type: 'string' },
+  type:     { type: 'string' },
+  policy:   { type: 'string', default: 'skip' },
+  status:   { type: 'string' },
+  from:     { type: 'string', default: 'current' },
+};
+
+/**
+ * Resolve a --file value: a bare filename is looked up in the type's
+ * scaffold directory, anything else is a path.
+ * @param {object} config
+ * @param {string} type
+ * @param {string} name
+ * @returns {string} Absolute path
+ */
+function sourcePathFor(config, type, name) {
+  return name === basename(name) ? resolve(scaffoldTypeDir(config.scaffoldDir, type), name) : resolve(name);
+}
+
+/**
+ * Parse --type into linkable type names.
+ * @param {string} [spec] - Comma-separated type names
+ * @param {string[]} fallback - Used when --type isn't given
+ * @returns {string[]}
+ * @throws {Error} On a type that can't be shared by symlink
+ */
+function parseTypes(spec, fallback) {
+  if (!spec) return fallback;
+  const types = spec.split(',').map(v => v.trim()).filter(Boolean);
+  const invalid = types.filter(t => !LINKABLE_TYPES.includes(t));
+  if (invalid.length > 0) {
+    throw new Error(`--type must be one of: ${LINKABLE_TYPES.join(', ')} (got ${invalid.join(', ')})`);
+  }
+  return types;
+}
+
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { positionals, values, confirm: confirmRun }) {
+  const [action = 'create'] = positionals;
+  const names = (values.file || values.lorebook || '').split(',').map(v => v.trim()).filter(Boolean);
+
+  if (action === 'audit') {
+    const types = parseTypes(values.type, LINKABLE_TYPES);
+    printLinkAudit(auditSharedEntries(config, resolveUsers(config, values.users || 'all'), types));
+    return [];
+  }
+
+  if (REPAIRS[action]) {
+    const types = parseTypes(values.type, LINKABLE_TYPES);
+    const statuses = values.status
+      ? values.status.split(',').map(v => v.trim()).filter(Boolean)
+      : REPAIRS[action].defaults;
+    const invalid = statuses.filter(st => !REPAIRS[action].applies.includes(st));
+    if (invalid.length > 0) {
+      throw new Error(`${action} can't fix "${invalid.join(', ')}" (it applies to ${REPAIRS[action].applies.join(', ')})`);
+    }
+
+    const users = resolveUsers(config, values.users);
+    const entries = repairCandidates(auditSharedEntries(config, users, types), action, statuses)
+      .filter(e => names.length === 0 || names.includes(e.filename));
+    if (entries.length === 0) {
+      info('No symlinks to repair.');
+      return [];
+    }
+    printLinkAudit(entries);
+    await confirmRun(`${REPAIRS[action].label} for ${entries.length} file(s)?`);
+    return [await repairSharedLinks(config, entries, action)];
+  }
+
+  const types = parseTypes(values.type, ['world']);
+  if (types.length !== 1) throw new Error(`${action} takes a single --type`);
+  const [type] = types;
+
+  if (action === 'unlink' || action === 'retire') {
+    if (names.length !== 1) throw new Error(`${action} needs exactly one --file`);
+    if (!COPY_SOURCES[values.from]) throw new Error(`--from must be one of: ${Object.keys(COPY_SOURCES).join(', ')}`);
+    const sourcePath = sourcePathFor(config, type, names[0]);
+
+    if (action === 'retire') {
+      const linked = linksToSource(config, discoverUsers(config.dataRoot, config.excludeDirs), sourcePath, [type]);
+      if (linked.length === 0 && !existsSync(sourcePath)) throw new Error(`Nothing links to ${sourcePath} and it doesn't exist`);
+      await confirmRun(`Give ${linked.length} user(s) private copies, then remove ${sourcePath}?`);
+      const results = await retireSharedFile(config, sourcePath, values.from, type);
+      return results ? [results] : [];
+    }
+
+    const linked = linksToSource(config, resolveUsers(config, values.users), sourcePath, [type]);
+    if (linked.length === 0) {
+      info(`None of the selected users link to ${sourcePath}.`);
+      return [];
+    }
+    await confirmRun(`Replace ${linked.length} symlink(s) to ${basename(sourcePath)} with private copies?`);
+    return [await unlinkSharedFileForUsers(config, sourcePath, linked, values.from)];
+  }
+
+  if (action !== 'create') {
+    throw new Error(`Unknown lorebook-symlinks action "${action}" (expected create, audit, ${Object.keys(REPAIRS).join(', ')}, unlink, retire)`);
+  }
+  if (names.length === 0) throw new Error('--file is required');
+  if (!['all', 'skip'].includes(values.policy)) {
+    throw new Error('--policy must be "all" or "skip"');
+  }
+
+  const sourceFiles = names.map((name) => {
+    const absolutePath = sourcePathFor(config, type, name);
+    if (!existsSync(absolutePath)) throw new Error(`${contentType(type).label} not found: ${absolutePath}`);
+    return { filename: basename(absolutePath), absolutePath };
+  });
+
+  warnScaffoldConflicts(config, sourceFiles, type);
+
+  const users = resolveUsers(config, values.users);
+  await confirmRun(`Create symlinks for ${sourceFiles.length} file(s) across ${users.length} user(s)?`);
 
-      return 'success';
-    }, `Symlink ${filename}`);
+  const results = [];
+  for (const source of sourceFiles) {
+    results.push(await symlinkSharedFileForUsers(config, source, users, values.policy, type));
   }
+  return results;
 }
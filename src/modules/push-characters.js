@@ -1,11 +1,434 @@
 import { select, text, confirm, log } from '@clack/prompts';
-import { existsSync, copyFileSync, mkdirSync } from 'node:fs';
+import {
+  existsSync, copyFileSync, mkdirSync, readFileSync, writeFileSync,
+  lstatSync, mkdtempSync, rmSync
+} from 'node:fs';
 import { join, basename } from 'node:path';
-import { selectUsers } from '../users.js';
+import { tmpdir } from 'node:os';
+import { selectUsers, resolveUsers } from '../users.js';
 import { batchOperation } from '../batch.js';
-import { userCharactersDir } from '../lib/st-paths.js';
+import { backupUserFile, backupToAdmin } from '../backup.js';
+import { journalOptions } from '../lib/journal.js';
+import { userCharactersDir, userWorldsDir } from '../lib/st-paths.js';
 import { readIndex, addEntry, writeIndex } from '../lib/content-index.js';
-import { info } from '../ui.js';
+import { readCardMetadata, formatCardLabel, formatCardDetails, characterBookEntryCount, setCardWorld } from '../lib/card-metadata.js';
+import { worldNameForBook, characterBookToWorld } from '../lib/character-book.js';
+import { readCardReleases, recordCardRelease, cardCopyStatus } from '../lib/card-releases.js';
+import { hashFile } from '../lib/manifest.js';
+import { lintCard } from '../lib/card-lint.js';
+import { detachHardlink } from '../lib/hardlinks.js';
+import { approveLorebook } from '../lib/lorebook-versions.js';
+import { symlinkSharedFileForUsers } from './lorebook-symlinks.js';
+import { addCharLoreBooksForUsers } from './bulk-settings.js';
+import { info, warn } from '../ui.js';
+
+/**
+ * Validate a character card source path.
+ * @param {string} v
+ * @returns {string|undefined} Error message, or undefined if valid
+ */
+function validateCardPath(v) {
+  if (!v.trim()) return 'Path is required';
+  if (!existsSync(v.trim())) return 'File not found';
+  if (!v.trim().endsWith('.png')) return 'File must be a .png';
+  return undefined;
+}
+
+/**
+ * Describe a card for confirmation prompts: its name, version and creator
+ * from the card metadata, with the filename.
+ * @param {string} sourcePath
+ * @returns {{label: string, details: string|null}} `details` is null when the PNG has no card data
+ */
+function describeCard(sourcePath) {
+  const filename = basename(sourcePath);
+  const meta = readCardMetadata(sourcePath);
+  if (!meta?.name) return { label: `"${filename}"`, details: null };
+  return { label: `"${formatCardLabel(meta, filename)}" (${filename})`, details: formatCardDetails(meta) };
+}
+
+/**
+ * Copy a character card PNG into each user's characters/ directory.
+ * @param {object} config
+ * @param {string} sourcePath - Path to the card PNG
+ * @param {string[]} users - User handles
+ * @param {string} [label]
+ * @param {string} [originalPath] - The card as given, when sourcePath is a
+ *   temporary copy of it (see withDistributedCard); recorded in the journal
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function pushCardToUsers(config, sourcePath, users, label = 'Push Character Card', originalPath = sourcePath) {
+  const filename = basename(sourcePath);
+
+  const results = await batchOperation(users, async (handle, tx) => {
+    const targetDir = userCharactersDir(config.dataRoot, handle);
+    const targetPath = join(targetDir, filename);
+
+    if (config.dryRun) {
+      info(`[DRY RUN] Would copy ${sourcePath} -> ${targetPath}`);
+      return 'success';
+    }
+
+    // Keep the user's current copy so the push can be rolled back
+    const relativePath = `characters/${filename}`;
+    if (existsSync(targetPath)) {
+      tx.modified(relativePath, backupUserFile(config.dataRoot, handle, relativePath));
+      detachHardlink(targetPath);
+    } else {
+      tx.created(relativePath);
+    }
+
+    mkdirSync(targetDir, { recursive: true });
+    copyFileSync(sourcePath, targetPath);
+    return 'success';
+  }, label, journalOptions(config, { sourcePath: originalPath }));
+
+  // Remember what was published so later updates can tell untouched copies
+  // from edited ones; nothing was published if no user got a copy
+  if (!config.dryRun && results.success.length > 0) recordCardRelease(config.backupRoot, filename, sourcePath);
+  return results;
+}
+
+/**
+ * Hashes of earlier revisions of a card: every recorded release, plus an
+ * optional previous revision file for cards pushed before releases were
+ * recorded.
+ * @param {object} config
+ * @param {string} filename
+ * @param {string} [previousPath]
+ * @returns {Set<string>}
+ */
+function releasedHashes(config, filename, previousPath) {
+  const hashes = new Set((readCardReleases(config.backupRoot)[filename] || []).map(r => r.sha256));
+  if (previousPath) hashes.add(hashFile(previousPath));
+  return hashes;
+}
+
+/**
+ * Classify each user's copy of a card against a new revision.
+ * @param {object} config
+ * @param {string} sourcePath - The new revision
+ * @param {string[]} users
+ * @param {string} [previousPath] - An earlier revision to treat as untouched
+ * @returns {Map<string, import('../lib/card-releases.js').CardCopyStatus>}
+ */
+export function planCardUpdate(config, sourcePath, users, previousPath) {
+  const filename = basename(sourcePath);
+  const newHash = hashFile(sourcePath);
+  const known = releasedHashes(config, filename, previousPath);
+  return new Map(users.map(h => [h, cardCopyStatus(join(userCharactersDir(config.dataRoot, h), filename), newHash, known)]));
+}
+
+/**
+ * Print how many users an update would change, and who has local edits.
+ * @param {Map<string, import('../lib/card-releases.js').CardCopyStatus>} plan
+ * @param {boolean} force
+ */
+function printUpdatePlan(plan, force) {
+  const byStatus = (status) => [...plan].filter(([, s]) => s === status).map(([h]) => h);
+  const modified = byStatus('modified');
+  info(`${byStatus('pristine').length} user(s) have an earlier release and will be updated`);
+  info(`${byStatus('current').length} already up to date, ${byStatus('missing').length} without the card`);
+  if (modified.length > 0) {
+    const action = force ? 'will be overwritten (a backup is kept)' : 'will be skipped';
+    warn(`${modified.length} user(s) have local modifications and ${action}: ${modified.join(', ')}`);
+  }
+}
+
+/**
+ * Update users' copies of a card to a new revision. Only copies that are an
+ * untouched earlier release are replaced; users without the card are left
+ * alone, and locally modified copies are skipped unless forced (their copy
+ * is backed up first either way).
+ * @param {object} config
+ * @param {string} sourcePath - The new revision
+ * @param {string[]} users
+ * @param {{force?: boolean, previousPath?: string}} [options]
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function updateCardForUsers(config, sourcePath, users, { force = false, previousPath } = {}) {
+  const filename = basename(sourcePath);
+  const newHash = hashFile(sourcePath);
+  const known = releasedHashes(config, filename, previousPath);
+  const newVersion = readCardMetadata(sourcePath)?.characterVersion;
+
+  const results = await batchOperation(users, async (handle, tx) => {
+    const targetPath = join(userCharactersDir(config.dataRoot, handle), filename);
+    const status = cardCopyStatus(targetPath, newHash, known);
+
+    if (status === 'missing') return { skipped: 'no copy to update' };
+    if (status === 'current') return { skipped: 'already up to date' };
+    if (status === 'modified' && !force) {
+      const version = readCardMetadata(targetPath)?.characterVersion;
+      return { skipped: `local modifications${version ? ` (has version ${version})` : ''}` };
+    }
+
+    if (config.dryRun) {
+      const how = status === 'modified' ? 'force-update locally modified' : 'update';
+      info(`[DRY RUN] Would ${how} ${targetPath}${newVersion ? ` to version ${newVersion}` : ''}`);
+      return 'success';
+    }
+
+    const relativePath = `characters/${filename}`;
+    tx.modified(relativePath, backupUserFile(config.dataRoot, handle, relativePath));
+    detachHardlink(targetPath);
+    copyFileSync(sourcePath, targetPath);
+    return 'success';
+  }, 'Update Character Card', journalOptions(config, { sourcePath, force }));
+
+  if (!config.dryRun && results.success.length > 0) recordCardRelease(config.backupRoot, filename, sourcePath);
+  return results;
+}
+
+/**
+ * Copy a card into the scaffold or content directory and register it in that index.json.
+ * @param {object} config
+ * @param {string} sourcePath - Path to the card PNG
+ * @param {'scaffold'|'content'} target - Which index to add to
+ */
+export function addCardToIndex(config, sourcePath, target) {
+  const filename = basename(sourcePath);
+  const targetDir = target === 'scaffold' ? config.scaffoldDir : config.contentDir;
+  const indexPath = join(targetDir, 'index.json');
+
+  if (config.dryRun) {
+    info(`[DRY RUN] Would copy ${sourcePath} -> ${join(targetDir, filename)}`);
+    info(`[DRY RUN] Would add entry to ${indexPath}`);
+    return;
+  }
+
+  mkdirSync(targetDir, { recursive: true });
+  copyFileSync(sourcePath, join(targetDir, filename));
+  recordCardRelease(config.backupRoot, filename, sourcePath);
+
+  const index = readIndex(indexPath);
+  const newEntry = { filename, type: 'character' };
+  const updated = addEntry(index, newEntry);
+  writeIndex(indexPath, updated);
+  log.success(`Added "${filename}" to ${indexPath}`);
+}
+
+/** Where an extracted lorebook goes: each user's worlds/, or scaffold worlds/ for symlinking. */
+const BOOK_DESTINATIONS = ['users', 'scaffold'];
+
+/** How an extracted lorebook is attached to the character. */
+const BOOK_WIRING = ['none', 'world', 'charlore'];
+
+/**
+ * A card's embedded lorebook, converted to a world, and what to do with it.
+ * @typedef {Object} BookExtraction
+ * @property {'users'|'scaffold'} destination
+ * @property {'none'|'world'|'charlore'} wire - "world" sets the card's
+ *   extensions.world (its primary lorebook); "charlore" adds the book to
+ *   each user's charLore entry for the character
+ * @property {string} worldName
+ * @property {object} world - SillyTavern world JSON
+ */
+
+/**
+ * Build the extraction for a card's embedded lorebook.
+ * @param {string} sourcePath
+ * @param {'users'|'scaffold'} destination
+ * @param {'none'|'world'|'charlore'} wire
+ * @returns {BookExtraction|null} null when the card has no embedded lorebook
+ */
+function bookExtraction(sourcePath, destination, wire) {
+  const meta = readCardMetadata(sourcePath);
+  if (!meta?.characterBook) return null;
+  return {
+    destination,
+    wire,
+    worldName: worldNameForBook(meta.characterBook, meta.name || basename(sourcePath, '.png')),
+    world: characterBookToWorld(meta.characterBook),
+  };
+}
+
+/**
+ * Run `fn` with the card to distribute: the source itself, or, when the
+ * extracted book is wired as the card's primary lorebook, a temporary copy
+ * with extensions.world set.
+ * @template T
+ * @param {string} sourcePath
+ * @param {BookExtraction|null} extraction
+ * @param {(cardPath: string) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withDistributedCard(sourcePath, extraction, fn) {
+  if (extraction?.wire !== 'world') return fn(sourcePath);
+
+  const dir = mkdtempSync(join(tmpdir(), 'timeless-card-'));
+  try {
+    const cardPath = join(dir, basename(sourcePath));
+    writeFileSync(cardPath, setCardWorld(readFileSync(sourcePath), extraction.worldName));
+    return await fn(cardPath);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Write an extracted world into each user's worlds/. A symlinked world of
+ * the same name is shared content and is left alone.
+ * @param {object} config
+ * @param {string[]} users
+ * @param {BookExtraction} extraction
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+async function writeWorldForUsers(config, users, { worldName, world }) {
+  const filename = `${worldName}.json`;
+  const content = JSON.stringify(world, null, 4);
+
+  return batchOperation(users, async (handle, tx) => {
+    const targetPath = join(userWorldsDir(config.dataRoot, handle), filename);
+    const relativePath = `worlds/${filename}`;
+    const stat = lstatSync(targetPath, { throwIfNoEntry: false });
+
+    if (stat?.isSymbolicLink()) return { skipped: `${relativePath} is a symlink to a shared lorebook` };
+    if (stat && readFileSync(targetPath, 'utf-8') === content) return { skipped: 'lorebook already extracted' };
+
+    if (config.dryRun) {
+      info(`[DRY RUN] Would write ${targetPath}`);
+      return 'success';
+    }
+
+    if (stat) {
+      tx.modified(relativePath, backupUserFile(config.dataRoot, handle, relativePath));
+      detachHardlink(targetPath);
+    } else {
+      tx.created(relativePath);
+    }
+    mkdirSync(userWorldsDir(config.dataRoot, handle), { recursive: true });
+    writeFileSync(targetPath, content);
+    return 'success';
+  }, `Extract Lorebook ${worldName}`, journalOptions(config, { world: filename }));
+}
+
+/**
+ * Write an extracted world into scaffold/worlds/, backing up any previous
+ * version, and approve it for lorebook-guard.
+ * @param {object} config
+ * @param {BookExtraction} extraction
+ * @returns {string} Absolute path of the scaffold world
+ */
+function writeScaffoldWorld(config, { worldName, world }) {
+  const worldsDir = join(config.scaffoldDir, 'worlds');
+  const targetPath = join(worldsDir, `${worldName}.json`);
+
+  if (config.dryRun) {
+    info(`[DRY RUN] Would write ${targetPath}`);
+    return targetPath;
+  }
+
+  if (existsSync(targetPath)) backupToAdmin(config.backupRoot, targetPath, 'scaffold-worlds');
+  mkdirSync(worldsDir, { recursive: true });
+  writeFileSync(targetPath, JSON.stringify(world, null, 4));
+  log.success(`Lorebook written to ${targetPath}`);
+
+  // This write is the admin's own, so it is the version lorebook-guard checks against
+  const { version, recorded } = approveLorebook(config.backupRoot, targetPath);
+  if (recorded) info(`Guarding ${basename(targetPath)}: recorded as approved v${version.version}`);
+  return targetPath;
+}
+
+/**
+ * Put a card's extracted lorebook in place and wire it up: into each user's
+ * worlds/, or into scaffold/worlds/ and symlinked to each user; then, for
+ * "charlore" wiring, add it to the character's charLore entry.
+ * @param {object} config
+ * @param {string} sourcePath - The card
+ * @param {string[]} users - Users who got the card (may be empty)
+ * @param {BookExtraction} extraction
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function extractCharacterBook(config, sourcePath, users, extraction) {
+  const results = [];
+  if (extraction.destination === 'scaffold') {
+    const absolutePath = writeScaffoldWorld(config, extraction);
+    if (users.length > 0) {
+      results.push(await symlinkSharedFileForUsers(config, { filename: basename(absolutePath), absolutePath }, users, 'skip'));
+    }
+  } else if (users.length > 0) {
+    results.push(await writeWorldForUsers(config, users, extraction));
+  }
+
+  if (extraction.wire === 'charlore' && users.length > 0) {
+    results.push(await addCharLoreBooksForUsers(config, users, basename(sourcePath, '.png'), [extraction.worldName]));
+  }
+  return results;
+}
+
+/**
+ * Interactive: offer to extract a card's embedded lorebook.
+ * @param {string} sourcePath
+ * @returns {Promise<BookExtraction|null|symbol>} null when the card has none or it's declined
+ */
+async function promptBookExtraction(sourcePath) {
+  const meta = readCardMetadata(sourcePath);
+  if (!meta?.characterBook) return null;
+
+  const preview = bookExtraction(sourcePath, 'users', 'none');
+  const destination = await select({
+    message: `The card embeds a lorebook (${characterBookEntryCount(meta.characterBook)} entries). Extract it as "${preview.worldName}"?`,
+    options: [
+      { value: 'no',       label: 'No',                          hint: 'users import it in SillyTavern themselves' },
+      { value: 'users',    label: 'Into each user\'s worlds/',   hint: 'a private copy per user' },
+      { value: 'scaffold', label: 'Into scaffold worlds/',        hint: 'one shared copy, symlinked to users' },
+    ],
+  });
+  if (typeof destination === 'symbol') return destination;
+  if (destination === 'no') return null;
+
+  const wire = await select({
+    message: 'Wire the lorebook to the character?',
+    options: [
+      { value: 'world',    label: 'As the card\'s primary lorebook', hint: 'sets extensions.world in the pushed card' },
+      { value: 'charlore', label: 'As an extra charLore book',      hint: 'adds it to each user\'s charLore entry' },
+      { value: 'none',     label: 'No' },
+    ],
+  });
+  if (typeof wire === 'symbol') return wire;
+
+  return bookExtraction(sourcePath, destination, wire);
+}
+
+/**
+ * Interactive: lint a card and show its problems.
+ * @param {object} config
+ * @param {string} sourcePath
+ * @returns {Promise<boolean>} Whether to go ahead with the card
+ */
+async function reviewCardLint(config, sourcePath) {
+  const { errors, warnings } = lintCard(sourcePath, { maxBytes: config.cardMaxBytes });
+  if (errors.length === 0 && warnings.length === 0) return true;
+
+  errors.forEach(e => log.error(e));
+  warnings.forEach(w => log.warn(w));
+
+  const proceed = await confirm({
+    message: errors.length > 0
+      ? `The card has ${errors.length} error(s); SillyTavern may fail to load it. Continue anyway?`
+      : `The card has ${warnings.length} warning(s). Continue?`,
+    initialValue: errors.length === 0,
+  });
+  return typeof proceed !== 'symbol' && proceed;
+}
+
+/**
+ * CLI: lint a card, printing warnings. Errors abort unless ignored.
+ * @param {object} config
+ * @param {string} sourcePath
+ * @param {boolean} ignoreErrors
+ * @throws {Error} When the card has errors and they aren't ignored
+ */
+function checkCardLint(config, sourcePath, ignoreErrors) {
+  const { errors, warnings } = lintCard(sourcePath, { maxBytes: config.cardMaxBytes });
+  warnings.forEach(warn);
+  if (errors.length === 0) return;
+  if (!ignoreErrors) {
+    throw new Error(`${basename(sourcePath)} failed validation:\n  ${errors.join('\n  ')}\n  Pass --ignore-lint to push it anyway`);
+  }
+  errors.forEach(warn);
+}
 
 /**
  * Immediate push: copy a character card PNG to selected users.
@@ -14,39 +437,27 @@ import { info } from '../ui.js';
 async function immediatePush(config) {
   const sourcePath = await text({
     message: 'Path to the character card PNG:',
-    validate: (v) => {
-      if (!v.trim()) return 'Path is required';
-      if (!existsSync(v.trim())) return 'File not found';
-      if (!v.trim().endsWith('.png')) return 'File must be a .png';
-      return undefined;
-    },
+    validate: validateCardPath,
   });
   if (typeof sourcePath === 'symbol') return;
 
-  const filename = basename(sourcePath);
-  log.info(`Character card: ${filename}`);
+  const card = describeCard(sourcePath);
+  log.info(`Character card: ${card.label}${card.details ? `\n${card.details}` : ''}`);
+  if (!(await reviewCardLint(config, sourcePath))) return;
+
+  const extraction = await promptBookExtraction(sourcePath);
+  if (typeof extraction === 'symbol') return;
 
   const users = await selectUsers(config);
   if (users.length === 0) return;
 
   const proceed = await confirm({
-    message: `Push "${filename}" to ${users.length} user(s)?`,
+    message: `Push ${card.label} to ${users.length} user(s)?`,
   });
   if (typeof proceed === 'symbol' || !proceed) return;
 
-  await batchOperation(users, async (handle) => {
-    const targetDir = userCharactersDir(config.dataRoot, handle);
-    const targetPath = join(targetDir, filename);
-
-    if (config.dryRun) {
-      info(`[DRY RUN] Would copy ${sourcePath} -> ${targetPath}`);
-      return 'success';
-    }
-
-    mkdirSync(targetDir, { recursive: true });
-    copyFileSync(sourcePath, targetPath);
-    return 'success';
-  }, 'Push Character Card');
+  await withDistributedCard(sourcePath, extraction, cardPath => pushCardToUsers(config, cardPath, users, undefined, sourcePath));
+  if (extraction) await extractCharacterBook(config, sourcePath, users, extraction);
 }
 
 /**
@@ -56,16 +467,10 @@ async function immediatePush(config) {
 async function scaffoldPush(config) {
   const sourcePath = await text({
     message: 'Path to the character card PNG:',
-    validate: (v) => {
-      if (!v.trim()) return 'Path is required';
-      if (!existsSync(v.trim())) return 'File not found';
-      if (!v.trim().endsWith('.png')) return 'File must be a .png';
-      return undefined;
-    },
+    validate: validateCardPath,
   });
   if (typeof sourcePath === 'symbol') return;
-
-  const filename = basename(sourcePath);
+  if (!(await reviewCardLint(config, sourcePath))) return;
 
   const target = await select({
     message: 'Add to which index?',
@@ -76,51 +481,75 @@ async function scaffoldPush(config) {
   });
   if (typeof target === 'symbol') return;
 
-  const targetDir = target === 'scaffold' ? config.scaffoldDir : config.contentDir;
-  const indexPath = join(targetDir, 'index.json');
-
-  // Copy the PNG into the target directory
-  if (config.dryRun) {
-    info(`[DRY RUN] Would copy ${sourcePath} -> ${join(targetDir, filename)}`);
-    info(`[DRY RUN] Would add entry to ${indexPath}`);
-  } else {
-    mkdirSync(targetDir, { recursive: true });
-    copyFileSync(sourcePath, join(targetDir, filename));
-
-    // Add entry to index.json
-    const index = readIndex(indexPath);
-    const newEntry = { filename, type: 'character' };
-    const updated = addEntry(index, newEntry);
-    writeIndex(indexPath, updated);
-    log.success(`Added "${filename}" to ${indexPath}`);
-  }
+  const extraction = await promptBookExtraction(sourcePath);
+  if (typeof extraction === 'symbol') return;
 
   // Optionally push to existing users now
   const pushNow = await confirm({
     message: 'Also push to existing users right now?',
   });
+  if (typeof pushNow === 'symbol') return;
 
-  if (typeof pushNow === 'symbol' || !pushNow) {
-    log.info('Done. The card will be seeded to new users on next ST restart.');
-    return;
+  const users = pushNow ? await selectUsers(config) : [];
+  if (pushNow && users.length === 0) return;
+
+  await withDistributedCard(sourcePath, extraction, async (cardPath) => {
+    addCardToIndex(config, cardPath, target);
+    if (users.length > 0) await pushCardToUsers(config, cardPath, users, 'Push Character Card to Existing Users', sourcePath);
+  });
+  if (extraction) await extractCharacterBook(config, sourcePath, users, extraction);
+
+  if (users.length === 0) log.info('Done. The card will be seeded to new users on next ST restart.');
+}
+
+/**
+ * Update push: replace untouched earlier releases of a card with a new revision.
+ * @param {object} config
+ */
+async function updatePush(config) {
+  const input = await text({
+    message: 'Path to the new revision of the character card PNG:',
+    validate: validateCardPath,
+  });
+  if (typeof input === 'symbol') return;
+  const sourcePath = input.trim();
+
+  const card = describeCard(sourcePath);
+  log.info(`Character card: ${card.label}${card.details ? `\n${card.details}` : ''}`);
+  if (!(await reviewCardLint(config, sourcePath))) return;
+
+  // Without a recorded release there is nothing to recognise untouched copies by
+  let previousPath;
+  if (!readCardReleases(config.backupRoot)[basename(sourcePath)]) {
+    const previous = await text({
+      message: 'No earlier push of this card is recorded. Path to the previously pushed revision (optional):',
+      validate: (v) => (!v.trim() ? undefined : validateCardPath(v)),
+    });
+    if (typeof previous === 'symbol') return;
+    previousPath = previous.trim() || undefined;
   }
 
   const users = await selectUsers(config);
   if (users.length === 0) return;
 
-  await batchOperation(users, async (handle) => {
-    const userCharsDir = userCharactersDir(config.dataRoot, handle);
-    const targetPath = join(userCharsDir, filename);
+  const plan = planCardUpdate(config, sourcePath, users, previousPath);
+  printUpdatePlan(plan, false);
 
-    if (config.dryRun) {
-      info(`[DRY RUN] Would copy ${sourcePath} -> ${targetPath}`);
-      return 'success';
-    }
+  let force = false;
+  if ([...plan.values()].includes('modified')) {
+    force = await confirm({
+      message: 'Overwrite locally modified copies too? (each is backed up first)',
+      initialValue: false,
+    });
+    if (typeof force === 'symbol') return;
+  }
 
-    mkdirSync(userCharsDir, { recursive: true });
-    copyFileSync(sourcePath, targetPath);
-    return 'success';
-  }, 'Push Character Card to Existing Users');
+  const proceed = await confirm({
+    message: `Update ${card.label} for ${users.length} user(s)?`,
+  });
+  if (typeof proceed === 'symbol' || !proceed) return;
+
+  await updateCardForUsers(config, sourcePath, users, { force, previousPath });
 }
 
 /**
@@ -133,6 +562,7 @@ export async function run(config) {
     options: [
       { value: 'immediate', label: 'Immediate push',    hint: 'copy directly to user directories' },
       { value: 'scaffold',  label: 'Scaffold-based',    hint: 'add to index + optionally push now' },
+      { value: 'update',    label: 'Update',            hint: 'new revision, keep users\' edits' },
     ],
   });
 
@@ -140,7 +570,124 @@ export async function run(config) {
 
   if (mode === 'immediate') {
     await immediatePush(config);
+  } else if (mode === 'update') {
+    await updatePush(config);
   } else {
     await scaffoldPush(config);
   }
 }
+
+export const CLI_USAGE = `push-chars --file <card.png> [--users <all|a,b>] [--index scaffold|content]
+
+  Copy a character card to users' characters/ directories. With --index the
+  card is also added to the scaffold or content index for seeding. At least
+  one of --users or --index is required.
+
+  --update                Only replace copies that are an untouched earlier push
+                          of this card; users without it and users who edited
+                          theirs are skipped
+  --force                 (update) Also overwrite edited copies, backing them up
+  --previous <card.png>   (update) An earlier revision to treat as untouched, for
+                          cards pushed before pushes were recorded
+  --ignore-lint           Push even if the card fails validation (PNG structure,
+                          card JSON, required fields, embedded lorebook, size
+                          limit from config.cardMaxBytes, filename)
+  --extract-book users|scaffold
+                          Extract the card's embedded lorebook into each user's
+                          worlds/, or into scaffold worlds/ symlinked to --users
+  --wire world|charlore   (extract-book) Make it the card's primary lorebook
+                          (extensions.world), or add it to each user's charLore`;
+
+export const CLI_OPTIONS = {
+  file:     { type: 'string' },
+  index:    { type: 'string' },
+  update:   { type: 'boolean', default: false },
+  force:    { type: 'boolean', default: false },
+  previous: { type: 'string' },
+  'ignore-lint': { type: 'boolean', default: false },
+  'extract-book': { type: 'string' },
+  wire:     { type: 'string', default: 'none' },
+};
+
+/**
+ * Build the lorebook extraction requested on the command line.
+ * @param {string} sourcePath
+ * @param {object} values - Parsed options
+ * @returns {BookExtraction|null}
+ */
+function cliBookExtraction(sourcePath, values) {
+  if (!values['extract-book']) {
+    if (values.wire !== 'none') throw new Error('--wire needs --extract-book');
+    return null;
+  }
+  if (!BOOK_DESTINATIONS.includes(values['extract-book'])) {
+    throw new Error(`--extract-book must be one of: ${BOOK_DESTINATIONS.join(', ')}`);
+  }
+  if (!BOOK_WIRING.includes(values.wire)) {
+    throw new Error(`--wire must be one of: ${BOOK_WIRING.join(', ')}`);
+  }
+
+  const extraction = bookExtraction(sourcePath, values['extract-book'], values.wire);
+  if (!extraction) throw new Error(`${basename(sourcePath)} has no embedded lorebook to extract`);
+  info(`Embedded lorebook will be extracted as "${extraction.worldName}"`);
+  return extraction;
+}
+
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { values, confirm: confirmRun }) {
+  const sourcePath = values.file || '';
+  const pathError = validateCardPath(sourcePath);
+  if (pathError) throw new Error(`--file: ${pathError}`);
+  checkCardLint(config, sourcePath, values['ignore-lint']);
+
+  if (values.update) {
+    if (values.index) throw new Error('--update cannot be combined with --index');
+    if (values['extract-book']) throw new Error('--update cannot be combined with --extract-book');
+    if (!values.users) throw new Error('--update needs --users');
+    if (values.previous) {
+      const previousError = validateCardPath(values.previous);
+      if (previousError) throw new Error(`--previous: ${previousError}`);
+    }
+
+    const users = resolveUsers(config, values.users);
+    const card = describeCard(sourcePath);
+    if (card.details) info(card.details);
+    printUpdatePlan(planCardUpdate(config, sourcePath, users, values.previous), values.force);
+    await confirmRun(`Update ${card.label} for ${users.length} user(s)?`);
+    return [await updateCardForUsers(config, sourcePath, users, { force: values.force, previousPath: values.previous })];
+  }
+
+  if (values.force) throw new Error('--force needs --update');
+  if (values.previous) throw new Error('--previous needs --update');
+  if (values.index && !['scaffold', 'content'].includes(values.index)) {
+    throw new Error('--index must be "scaffold" or "content"');
+  }
+  if (!values.index && !values.users) {
+    throw new Error('Nothing to do: pass --users and/or --index');
+  }
+
+  const extraction = cliBookExtraction(sourcePath, values);
+  if (extraction?.destination === 'users' && !values.users) {
+    throw new Error('--extract-book users needs --users');
+  }
+
+  const users = values.users ? resolveUsers(config, values.users) : [];
+  if (users.length > 0) {
+    const card = describeCard(sourcePath);
+    if (card.details) info(card.details);
+    await confirmRun(`Push ${card.label} to ${users.length} user(s)?`);
+  }
+
+  const results = [];
+  await withDistributedCard(sourcePath, extraction, async (cardPath) => {
+    if (values.index) addCardToIndex(config, cardPath, values.index);
+    if (users.length > 0) results.push(await pushCardToUsers(config, cardPath, users, undefined, sourcePath));
+  });
+  if (extraction) results.push(...await extractCharacterBook(config, sourcePath, users, extraction));
+  return results;
+}
@@ -0,0 +1,236 @@
+import { select, text, confirm, log } from '@clack/prompts';
+import { existsSync, copyFileSync, mkdirSync, lstatSync, readlinkSync, unlinkSync, readFileSync } from 'node:fs';
+import { join, basename, dirname } from 'node:path';
+import chalk from 'chalk';
+import { selectUsers, resolveUsers } from '../users.js';
+import { batchOperation } from '../batch.js';
+import { backupUserFile } from '../backup.js';
+import { journalOptions } from '../lib/journal.js';
+import { userDir } from '../lib/st-paths.js';
+import { contentType, pushableTypes, detectContentType, expandSources } from '../lib/content-types.js';
+import { recordCardRelease } from '../lib/card-releases.js';
+import { detachHardlink } from '../lib/hardlinks.js';
+import { printHeader, info } from '../ui.js';
+
+/**
+ * A file to push and where it goes in each user directory.
+ * @typedef {Object} ContentFile
+ * @property {string} source
+ * @property {string} type - Content type name
+ * @property {string} path - Destination relative to the user directory
+ */
+
+/**
+ * Route files to user subdirectories by type.
+ * @param {string[]} files
+ * @param {string} [type] - Use this type for every file instead of detecting
+ * @returns {{routed: ContentFile[], unresolved: string[]}}
+ *   `unresolved` are files whose type couldn't be detected
+ */
+export function routeContent(files, type) {
+  const routed = [];
+  const unresolved = [];
+  for (const source of files) {
+    const resolved = type || detectContentType(source);
+    if (!resolved) {
+      unresolved.push(source);
+      continue;
+    }
+    routed.push({ source, type: resolved, path: `${contentType(resolved).dir}/${basename(source)}` });
+  }
+  return { routed, unresolved };
+}
+
+/**
+ * Refuse two files that would land on the same destination.
+ * @param {ContentFile[]} routed
+ * @throws {Error}
+ */
+function checkCollisions(routed) {
+  const seen = new Map();
+  for (const { source, path } of routed) {
+    if (seen.has(path)) throw new Error(`${seen.get(path)} and ${source} would both be pushed to ${path}`);
+    seen.set(path, source);
+  }
+}
+
+/**
+ * Print where each file goes.
+ * @param {ContentFile[]} routed
+ */
+function printRouting(routed) {
+  printHeader(`Content to push (${routed.length} files)`);
+  for (const type of pushableTypes()) {
+    const mine = routed.filter(f => f.type === type.value);
+    if (mine.length === 0) continue;
+    console.log(`  ${chalk.bold(type.label)} ${chalk.dim(`→ ${type.dir}/`)}`);
+    for (const { source } of mine) {
+      console.log(chalk.dim(`    - ${source}`));
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Copy files into each user's directory. Existing files are backed up first,
+ * identical ones are left alone, and a symlink at the destination is
+ * replaced rather than written through.
+ * @param {object} config
+ * @param {ContentFile[]} files
+ * @param {string[]} users
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function pushContentToUsers(config, files, users) {
+  const results = await batchOperation(users, async (handle, tx) => {
+    let pushed = 0;
+    for (const { source, path } of files) {
+      const targetPath = join(userDir(config.dataRoot, handle), path);
+      const exists = existsSync(targetPath);
+      const isLink = lstatSync(targetPath, { throwIfNoEntry: false })?.isSymbolicLink() ?? false;
+      if (exists && !isLink && readFileSync(targetPath).equals(readFileSync(source))) continue;
+
+      pushed++;
+      if (config.dryRun) {
+        info(`[DRY RUN] Would copy ${source} -> ${targetPath}`);
+        continue;
+      }
+
+      if (isLink) {
+        // Don't write through a symlink into shared content; replace the link
+        tx.symlinkReplaced(path, { target: readlinkSync(targetPath) });
+        unlinkSync(targetPath);
+      } else if (exists) {
+        tx.modified(path, backupUserFile(config.dataRoot, handle, path));
+        detachHardlink(targetPath);
+      } else {
+        tx.created(path);
+      }
+      mkdirSync(dirname(targetPath), { recursive: true });
+      copyFileSync(source, targetPath);
+    }
+    return pushed > 0 ? 'success' : { skipped: 'all files already up to date' };
+  }, 'Push Content', journalOptions(config, { files: files.map(({ source, path }) => ({ source, path })) }));
+
+  // Cards pushed this way count as releases for later update pushes
+  if (!config.dryRun) {
+    files.filter(f => f.type === 'character').forEach(f => recordCardRelease(config.backupRoot, basename(f.path), f.source));
+  }
+  return results;
+}
+
+/**
+ * Interactive: ask for a type for each file that couldn't be detected.
+ * @param {string[]} unresolved
+ * @returns {Promise<ContentFile[]|symbol>} Routed files (skipped ones left out)
+ */
+async function resolveManually(unresolved) {
+  const routed = [];
+  for (const source of unresolved) {
+    const type = await select({
+      message: `What kind of content is ${source}?`,
+      options: [
+        ...pushableTypes().map(t => ({ value: t.value, label: t.label, hint: `${t.dir}/` })),
+        { value: 'skip', label: 'Skip this file' },
+      ],
+    });
+    if (typeof type === 'symbol') return type;
+    if (type !== 'skip') routed.push(...routeContent([source], type).routed);
+  }
+  return routed;
+}
+
+/**
+ * Main entry point.
+ * @param {object} config
+ */
+export async function run(config) {
+  const sources = [];
+  while (true) {
+    const source = await text({
+      message: sources.length === 0
+        ? 'File, directory or glob to push:'
+        : 'Another file, directory or glob (or leave empty to continue):',
+      placeholder: 'e.g. /srv/starter-pack or /srv/cards/*.png',
+      validate: (v) => (sources.length === 0 && !v.trim() ? 'At least one source is required' : undefined),
+    });
+    if (typeof source === 'symbol') return;
+    if (!source.trim()) break;
+    sources.push(source.trim());
+  }
+
+  let files;
+  try {
+    files = expandSources(sources);
+  } catch (err) {
+    log.error(err.message);
+    return;
+  }
+
+  const { routed, unresolved } = routeContent(files);
+  if (unresolved.length > 0) {
+    log.warn(`Couldn't tell the type of ${unresolved.length} file(s).`);
+    const manual = await resolveManually(unresolved);
+    if (typeof manual === 'symbol') return;
+    routed.push(...manual);
+  }
+  if (routed.length === 0) {
+    log.warn('Nothing to push.');
+    return;
+  }
+
+  try {
+    checkCollisions(routed);
+  } catch (err) {
+    log.error(err.message);
+    return;
+  }
+  printRouting(routed);
+
+  const users = await selectUsers(config);
+  if (users.length === 0) return;
+
+  const proceed = await confirm({
+    message: `Push ${routed.length} file(s) to ${users.length} user(s)?`,
+  });
+  if (typeof proceed === 'symbol' || !proceed) return;
+
+  await pushContentToUsers(config, routed, users);
+}
+
+export const CLI_USAGE = `push-content <file|dir|glob>... --users <all|a,b> [--type <type>]
+
+  Copy files into users' directories, routing each to the subdirectory for
+  its type (${pushableTypes().map(t => t.value).join(', ')}).
+  Directories are pushed recursively. Types are detected from the parent
+  directory name (e.g. "worlds", "OpenAI Settings", "User Avatars"), card
+  metadata, image extensions (backgrounds) or JSON keys; --type overrides
+  detection for every file. Existing files are backed up before being
+  replaced. Quote globs so the shell doesn't expand them.`;
+
+export const CLI_OPTIONS = {
+  type: { type: 'string' },
+};
+
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { positionals, values, confirm: confirmRun }) {
+  if (positionals.length === 0) throw new Error('push-content needs at least one file, directory or glob');
+  if (values.type && !contentType(values.type)?.dir) {
+    throw new Error(`--type must be one of: ${pushableTypes().map(t => t.value).join(', ')}`);
+  }
+
+  const { routed, unresolved } = routeContent(expandSources(positionals), values.type);
+  if (unresolved.length > 0) {
+    throw new Error(`Can't tell the type of: ${unresolved.join(', ')}. Put them in a directory named after their type or pass --type`);
+  }
+  checkCollisions(routed);
+
+  const users = resolveUsers(config, values.users);
+  printRouting(routed);
+  await confirmRun(`Push ${routed.length} file(s) to ${users.length} user(s)?`);
+  return [await pushContentToUsers(config, routed, users)];
+}
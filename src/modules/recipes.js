@@ -0,0 +1,255 @@
+import { text, confirm, log } from '@clack/prompts';
+import { readFileSync, existsSync } from 'node:fs';
+import chalk from 'chalk';
+import { selectUsers } from '../users.js';
+import { loadCommand, valuesFromObject } from '../cli.js';
+import { printHeader, info } from '../ui.js';
+
+/** What to do when a step errors or any of its users fail. */
+const FAILURE_POLICIES = ['stop', 'continue'];
+
+/**
+ * @typedef {Object} RecipeStep
+ * @property {string} command - A CLI command name, e.g. "push-chars"
+ * @property {string[]} [args] - Positional arguments, e.g. ["charlore"]
+ * @property {object} [options] - Command options, keyed like the CLI flags
+ * @property {string|string[]} [users] - Overrides the recipe's user selection for this step
+ * @property {'stop'|'continue'} [onFailure='stop']
+ * @property {string} [label]
+ */
+
+/**
+ * @typedef {Object} StepReport
+ * @property {string} label
+ * @property {'ok'|'failed'|'error'|'not run'} status
+ * @property {number} success
+ * @property {number} skipped
+ * @property {number} failed
+ * @property {string} [error]
+ */
+
+/**
+ * Human-readable label for a step.
+ * @param {RecipeStep} step
+ * @returns {string}
+ */
+function stepLabel(step) {
+  return step.label || [step.command, ...(step.args || [])].join(' ');
+}
+
+/**
+ * Normalize a user selection (string or array of handles) to a CLI spec.
+ * @param {string|string[]|undefined} users
+ * @returns {string|undefined}
+ */
+function usersSpec(users) {
+  return Array.isArray(users) ? users.join(',') : users;
+}
+
+/**
+ * Read a recipe file and check every step before anything runs.
+ * @param {string} recipePath
+ * @returns {Promise<{ name: string, users?: string|string[], steps: RecipeStep[] }>}
+ */
+export async function loadRecipe(recipePath) {
+  let recipe;
+  try {
+    recipe = JSON.parse(readFileSync(recipePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to read recipe: ${err.message}`);
+  }
+
+  if (!Array.isArray(recipe.steps) || recipe.steps.length === 0) {
+    throw new Error('Recipe has no "steps" array.');
+  }
+
+  for (const [i, step] of recipe.steps.entries()) {
+    const where = `Step ${i + 1} (${step.command ?? 'no command'})`;
+    if (step.command === 'recipe') throw new Error(`${where}: recipes cannot run other recipes`);
+    if (step.onFailure && !FAILURE_POLICIES.includes(step.onFailure)) {
+      throw new Error(`${where}: onFailure must be "stop" or "continue"`);
+    }
+    try {
+      const { mod } = await loadCommand(step.command);
+      valuesFromObject(mod, step.options || {});
+    } catch (err) {
+      throw new Error(`${where}: ${err.message}`);
+    }
+  }
+
+  return { name: recipe.name || recipePath, users: recipe.users, steps: recipe.steps };
+}
+
+/**
+ * Print the steps of a recipe.
+ * @param {{ name: string, steps: RecipeStep[] }} recipe
+ */
+function printPlan(recipe) {
+  printHeader(`Recipe: ${recipe.name}`);
+  recipe.steps.forEach((step, i) => {
+    const opts = Object.entries(step.options || {})
+      .map(([k, v]) => `--${k} ${Array.isArray(v) ? v.join(',') : v}`)
+      .join(' ');
+    const policy = step.onFailure === 'continue' ? chalk.dim(' (continue on failure)') : '';
+    console.log(`  ${String(i + 1).padStart(2)}. ${chalk.bold(stepLabel(step))} ${chalk.dim(opts)}${policy}`);
+  });
+  console.log('');
+}
+
+/**
+ * Print the combined report for a recipe run.
+ * @param {string} name
+ * @param {StepReport[]} reports
+ */
+function printRecipeReport(name, reports) {
+  const colors = { ok: chalk.green, failed: chalk.red, error: chalk.red, 'not run': chalk.dim };
+
+  printHeader(`Recipe: ${name} — Results`);
+  for (const r of reports) {
+    const ran = r.success + r.skipped + r.failed > 0;
+    const counts = ran ? chalk.dim(` ${r.success} ok, ${r.skipped} skipped, ${r.failed} failed`) : '';
+    console.log(`  ${colors[r.status](`[${r.status.toUpperCase()}]`.padEnd(10))} ${r.label}${counts}`);
+    if (r.error) console.log(chalk.red(`             ${r.error}`));
+  }
+  console.log('');
+}
+
+/**
+ * Execute a recipe's steps in order.
+ * @param {object} config
+ * @param {{ name: string, users?: string|string[], steps: RecipeStep[] }} recipe
+ * @param {string} [users] - User spec overriding the recipe's own selection
+ * @returns {Promise<{ results: import('../batch.js').BatchResults[], reports: StepReport[] }>}
+ */
+export async function executeRecipe(config, recipe, users) {
+  const results = [];
+  const reports = [];
+  let stopped = false;
+
+  for (const step of recipe.steps) {
+    const report = { label: stepLabel(step), status: 'not run', success: 0, skipped: 0, failed: 0 };
+    reports.push(report);
+    if (stopped) continue;
+
+    printHeader(`Step ${reports.length}/${recipe.steps.length}: ${report.label}`);
+
+    try {
+      const { mod } = await loadCommand(step.command);
+      const stepUsers = usersSpec(step.users) ?? users ?? usersSpec(recipe.users);
+      const values = valuesFromObject(mod, {
+        ...(stepUsers != null && { users: stepUsers }),
+        ...step.options,
+      });
+      const stepResults = await mod.runCli(config, {
+        positionals: step.args || [],
+        values,
+        confirm: async () => {},
+      });
+
+      results.push(...stepResults);
+      for (const r of stepResults) {
+        report.success += r.success.length;
+        report.skipped += r.skipped.length;
+        report.failed += r.failed.length;
+      }
+      report.status = report.failed > 0 ? 'failed' : 'ok';
+    } catch (err) {
+      report.status = 'error';
+      report.error = err.message;
+    }
+
+    if (report.status !== 'ok' && step.onFailure !== 'continue') {
+      stopped = true;
+    }
+  }
+
+  printRecipeReport(recipe.name, reports);
+  return { results, reports };
+}
+
+/**
+ * Main entry point.
+ * @param {object} config
+ */
+export async function run(config) {
+  const recipePath = await text({
+    message: 'Path to the recipe JSON file:',
+    validate: (v) => {
+      if (!v.trim()) return 'Path is required';
+      if (!existsSync(v.trim())) return 'File not found';
+      return undefined;
+    },
+  });
+  if (typeof recipePath === 'symbol') return;
+
+  let recipe;
+  try {
+    recipe = await loadRecipe(recipePath.trim());
+  } catch (err) {
+    log.error(err.message);
+    return;
+  }
+
+  printPlan(recipe);
+
+  let users;
+  if (recipe.users) {
+    info(`Users: ${usersSpec(recipe.users)}`);
+  } else {
+    const selected = await selectUsers(config);
+    if (selected.length === 0) return;
+    users = selected.join(',');
+  }
+
+  const proceed = await confirm({
+    message: `Run ${recipe.steps.length} step(s) from "${recipe.name}"?`,
+  });
+  if (typeof proceed === 'symbol' || !proceed) return;
+
+  await executeRecipe(config, recipe, users);
+}
+
+export const CLI_USAGE = `recipe <file.json> [--users <all|a,b>]
+
+  Run the steps of a recipe file in order. Each step is a command with the
+  same options as on the command line:
+
+    {
+      "name": "Aria rollout",
+      "users": "all",
+      "steps": [
+        { "command": "push-chars", "options": { "file": "/srv/cards/Aria.png" } },
+        { "command": "bulk-settings", "args": ["charlore"],
+          "options": { "character": "Aria", "books": ["Aria-lore"] }, "onFailure": "continue" },
+        { "command": "reset-content-log", "args": ["reset"] },
+        { "command": "fresh-login", "options": { "restart-only": true } }
+      ]
+    }
+
+  A step stops the recipe when it errors or any user fails, unless its
+  "onFailure" is "continue". --users overrides the recipe's "users".`;
+
+export const CLI_OPTIONS = {};
+
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { positionals, values, confirm: confirmRun }) {
+  const [recipePath] = positionals;
+  if (!recipePath) throw new Error('recipe needs a recipe file');
+
+  const recipe = await loadRecipe(recipePath);
+  printPlan(recipe);
+
+  await confirmRun(`Run ${recipe.steps.length} step(s) from "${recipe.name}"?`);
+  const { results, reports } = await executeRecipe(config, recipe, values.users);
+
+  const errored = reports.filter(r => r.status === 'error');
+  if (errored.length > 0) {
+    throw new Error(`${errored.length} step(s) did not complete.`);
+  }
+  return results;
+}
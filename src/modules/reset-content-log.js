@@ -1,25 +1,20 @@
 import { select, confirm, log } from '@clack/prompts';
 import { existsSync, unlinkSync, readFileSync, writeFileSync } from 'node:fs';
-import { selectUsers } from '../users.js';
+import { selectUsers, resolveUsers } from '../users.js';
 import { batchOperation } from '../batch.js';
 import { backupUserFile } from '../backup.js';
+import { journalOptions } from '../lib/journal.js';
 import { userContentLogPath } from '../lib/st-paths.js';
 import { info } from '../ui.js';
 
 /**
- * Delete content.log entirely for selected users (full re-seed on next restart).
+ * Delete content.log for each user, backing it up first.
  * @param {object} config
+ * @param {string[]} users
+ * @returns {Promise<import('../batch.js').BatchResults>}
  */
-async function fullReset(config) {
-  const users = await selectUsers(config);
-  if (users.length === 0) return;
-
-  const proceed = await confirm({
-    message: `Delete content.log for ${users.length} user(s)?\nThis will cause ALL scaffold content to be re-seeded on next ST restart.`,
-  });
-  if (typeof proceed === 'symbol' || !proceed) return;
-
-  await batchOperation(users, async (handle) => {
+export async function resetContentLogForUsers(config, users) {
+  return batchOperation(users, async (handle, tx) => {
     const logPath = userContentLogPath(config.dataRoot, handle);
 
     if (!existsSync(logPath)) {
@@ -31,10 +26,26 @@ async function fullReset(config) {
       return 'success';
     }
 
-    backupUserFile(config.dataRoot, handle, 'content.log');
+    tx.deleted('content.log', backupUserFile(config.dataRoot, handle, 'content.log'));
     unlinkSync(logPath);
     return 'success';
-  }, 'Reset Content Log');
+  }, 'Reset Content Log', journalOptions(config));
+}
+
+/**
+ * Delete content.log entirely for selected users (full re-seed on next restart).
+ * @param {object} config
+ */
+async function fullReset(config) {
+  const users = await selectUsers(config);
+  if (users.length === 0) return;
+
+  const proceed = await confirm({
+    message: `Delete content.log for ${users.length} user(s)?\nThis will cause ALL scaffold content to be re-seeded on next ST restart.`,
+  });
+  if (typeof proceed === 'symbol' || !proceed) return;
+
+  await resetContentLogForUsers(config, users);
 
   log.info('Restart SillyTavern (menu item 5) to trigger re-seeding.');
 }
@@ -47,6 +58,15 @@ async function viewContentLog(config) {
   const users = await selectUsers(config);
   if (users.length === 0) return;
 
+  printContentLogs(config, users);
+}
+
+/**
+ * Print each user's content.log entries.
+ * @param {object} config
+ * @param {string[]} users
+ */
+function printContentLogs(config, users) {
   for (const handle of users) {
     const logPath = userContentLogPath(config.dataRoot, handle);
 
@@ -82,3 +102,32 @@ export async function run(config) {
   if (action === 'reset') await fullReset(config);
   else if (action === 'view') await viewContentLog(config);
 }
+
+export const CLI_USAGE = `reset-content-log <reset|view> --users <all|a,b>
+
+    reset    Delete content.log (backed up first) to re-seed scaffold content
+    view     Print content.log entries`;
+
+export const CLI_OPTIONS = {};
+
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { positionals, values, confirm: confirmRun }) {
+  const [action] = positionals;
+  const users = resolveUsers(config, values.users);
+
+  if (action === 'view') {
+    printContentLogs(config, users);
+    return [];
+  }
+  if (action === 'reset') {
+    await confirmRun(`Delete content.log for ${users.length} user(s)?`);
+    return [await resetContentLogForUsers(config, users)];
+  }
+
+  throw new Error(`Unknown reset-content-log action "${action ?? ''}" (expected reset or view)`);
+}
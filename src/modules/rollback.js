@@ -0,0 +1,295 @@
+import { select, confirm, log } from '@clack/prompts';
+import {
+  existsSync, lstatSync, symlinkSync,
+  unlinkSync, copyFileSync, mkdirSync
+} from 'node:fs';
+import { join, dirname, basename } from 'node:path';
+import chalk from 'chalk';
+import { batchOperation } from '../batch.js';
+import { backupUserFile } from '../backup.js';
+import { listJournals, markRolledBack, changeCount, laterJournalsTouching } from '../lib/journal.js';
+import { userDir } from '../lib/st-paths.js';
+import { makeIndependent, detachHardlink } from '../lib/hardlinks.js';
+import { printHeader, info, warn } from '../ui.js';
+
+/**
+ * lstat a path, returning null if nothing (not even a broken symlink) is there.
+ * @param {string} path
+ * @returns {import('node:fs').Stats|null}
+ */
+function lstatOrNull(path) {
+  try {
+    return lstatSync(path);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Undo a single journaled change for one user.
+ * Anything that is about to be overwritten or removed is backed up first.
+ * @param {object} config
+ * @param {string} handle
+ * @param {import('../lib/journal.js').JournalChange} change
+ */
+function undoChange(config, handle, change) {
+  const target = join(userDir(config.dataRoot, handle), change.path);
+  const current = lstatOrNull(target);
+
+  const requireBackup = () => {
+    if (!change.backup || !existsSync(change.backup)) {
+      throw new Error(`${change.path}: no backup to restore from`);
+    }
+  };
+
+  // Move whatever is there now out of the way (regular files are backed up)
+  const clearTarget = () => {
+    if (!current) return;
+    if (!current.isSymbolicLink()) {
+      backupUserFile(config.dataRoot, handle, change.path);
+    }
+    unlinkSync(target);
+  };
+
+  if (config.dryRun) {
+    info(`[DRY RUN] Would undo "${change.action}" of ${target}`);
+    return;
+  }
+
+  switch (change.action) {
+    case 'modified':
+      requireBackup();
+      if (current && !current.isSymbolicLink()) {
+        backupUserFile(config.dataRoot, handle, change.path);
+        detachHardlink(target);
+      }
+      mkdirSync(dirname(target), { recursive: true });
+      copyFileSync(change.backup, target);
+      break;
+
+    case 'created':
+      clearTarget();
+      break;
+
+    case 'deleted':
+      requireBackup();
+      clearTarget();
+      mkdirSync(dirname(target), { recursive: true });
+      copyFileSync(change.backup, target);
+      break;
+
+    case 'symlink-replaced':
+      if (!change.previousTarget) requireBackup();
+      clearTarget();
+      mkdirSync(dirname(target), { recursive: true });
+      if (change.previousTarget) {
+        symlinkSync(change.previousTarget, target);
+      } else {
+        copyFileSync(change.backup, target);
+      }
+      break;
+
+    case 'hardlinked':
+      // Same contents either way; just give the file its own inode back
+      if (current?.isFile()) makeIndependent(target);
+      break;
+
+    default:
+      throw new Error(`${change.path}: unknown journal action "${change.action}"`);
+  }
+}
+
+/**
+ * Restore the state recorded in a journal, newest change first.
+ * @param {object} config
+ * @param {{ path: string, journal: import('../lib/journal.js').Journal }} entry
+ * @returns {Promise<import('../batch.js').BatchResults>}
+ */
+export async function rollbackJournal(config, { path, journal }) {
+  const users = Object.keys(journal.users);
+
+  const results = await batchOperation(users, async (handle) => {
+    const errors = [];
+    for (const change of [...journal.users[handle]].reverse()) {
+      try {
+        undoChange(config, handle, change);
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    return 'success';
+  }, `Rollback: ${journal.label}`);
+
+  if (!config.dryRun && results.failed.length === 0) {
+    markRolledBack(path, journal);
+  }
+  return results;
+}
+
+/**
+ * Print a summary of what a journal recorded.
+ * @param {import('../lib/journal.js').Journal} journal
+ */
+function printJournalSummary(journal) {
+  printHeader(`Operation: ${journal.label}`);
+  console.log(`  ${chalk.bold('Started:')}  ${journal.startedAt}`);
+  console.log(`  ${chalk.bold('Users:')}    ${Object.keys(journal.users).length}`);
+  if (Object.keys(journal.params || {}).length > 0) {
+    console.log(`  ${chalk.bold('Params:')}   ${chalk.dim(JSON.stringify(journal.params))}`);
+  }
+  if (journal.rolledBackAt) {
+    console.log(chalk.yellow(`  Already rolled back at ${journal.rolledBackAt}`));
+  }
+
+  const counts = {};
+  for (const changes of Object.values(journal.users)) {
+    for (const { action } of changes) counts[action] = (counts[action] || 0) + 1;
+  }
+  for (const [action, n] of Object.entries(counts)) {
+    console.log(chalk.dim(`    - ${action}: ${n}`));
+  }
+  console.log('');
+}
+
+/**
+ * Warn about later operations that changed the same files.
+ * @param {Array<{ path: string, journal: import('../lib/journal.js').Journal, files: string[] }>} later
+ */
+function printLaterJournals(later) {
+  warn('Later operations that have not been rolled back changed the same files:');
+  for (const { path, journal, files } of later) {
+    console.log(`    ${basename(path, '.json')} ${chalk.dim(`(${journal.label})`)}`);
+    console.log(chalk.dim(`      ${files.join(', ')}`));
+  }
+  console.log(chalk.dim('  Rolling back now restores older backups over their changes. Roll those back first to keep them consistent.'));
+  console.log('');
+}
+
+/**
+ * List journaled operations.
+ * @param {Array<{ path: string, journal: import('../lib/journal.js').Journal }>} journals
+ */
+function printJournalList(journals) {
+  printHeader('Journaled Operations');
+  if (journals.length === 0) {
+    console.log('  No journaled operations found.\n');
+    return;
+  }
+  for (const { path, journal } of journals) {
+    const status = journal.rolledBackAt ? chalk.yellow(' [rolled back]') : '';
+    console.log(
+      `  ${basename(path, '.json').padEnd(50)} ` +
+      chalk.dim(`${Object.keys(journal.users).length} users, ${changeCount(journal)} changes`) +
+      status
+    );
+  }
+  console.log('');
+}
+
+/**
+ * Main entry point.
+ * @param {object} config
+ */
+export async function run(config) {
+  const journals = listJournals(config.backupRoot);
+  if (journals.length === 0) {
+    log.info('No journaled operations found.');
+    return;
+  }
+
+  const mode = await select({
+    message: 'Rollback:',
+    options: [
+      { value: 'last', label: 'Rollback last operation' },
+      { value: 'pick', label: 'Pick an operation' },
+    ],
+  });
+  if (typeof mode === 'symbol') return;
+
+  let entry;
+  if (mode === 'last') {
+    entry = journals.find(j => !j.journal.rolledBackAt);
+    if (!entry) {
+      log.info('Every journaled operation has already been rolled back.');
+      return;
+    }
+  } else {
+    const picked = await select({
+      message: 'Select an operation:',
+      options: journals.map((j, i) => ({
+        value: i,
+        label: j.journal.label,
+        hint: `${j.journal.startedAt} · ${Object.keys(j.journal.users).length} users` +
+          (j.journal.rolledBackAt ? ' · rolled back' : ''),
+      })),
+    });
+    if (typeof picked === 'symbol') return;
+    entry = journals[picked];
+  }
+
+  printJournalSummary(entry.journal);
+
+  const later = laterJournalsTouching(journals, entry.journal);
+  if (later.length > 0) {
+    printLaterJournals(later);
+    const overwrite = await confirm({
+      message: `Discard the changes those ${later.length} later operation(s) made to these files?`,
+      initialValue: false,
+    });
+    if (typeof overwrite === 'symbol' || !overwrite) return;
+  }
+
+  const proceed = await confirm({
+    message: `Restore ${Object.keys(entry.journal.users).length} user(s) to their state before "${entry.journal.label}"?`,
+  });
+  if (typeof proceed === 'symbol' || !proceed) return;
+
+  await rollbackJournal(config, entry);
+}
+
+export const CLI_USAGE = `rollback <list|last|journal-id> [--force]
+
+    list           List journaled operations
+    last           Roll back the newest operation that hasn't been rolled back
+    <journal-id>   Roll back a specific operation (as shown by "list")
+
+  An operation is not rolled back while a later one that hasn't been rolled
+  back changed the same files (roll that one back first); --force rolls it
+  back anyway, discarding those later changes.`;
+
+export const CLI_OPTIONS = {
+  force: { type: 'boolean', default: false },
+};
+
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { positionals, values, confirm: confirmRun }) {
+  const [target] = positionals;
+  const journals = listJournals(config.backupRoot);
+
+  if (!target || target === 'list') {
+    printJournalList(journals);
+    return [];
+  }
+
+  const entry = target === 'last'
+    ? journals.find(j => !j.journal.rolledBackAt)
+    : journals.find(j => basename(j.path, '.json') === target);
+  if (!entry) throw new Error(`No journal found for "${target}"`);
+
+  printJournalSummary(entry.journal);
+  const later = laterJournalsTouching(journals, entry.journal);
+  if (later.length > 0) {
+    printLaterJournals(later);
+    if (!values.force) {
+      throw new Error(`Roll back ${later.map(j => basename(j.path, '.json')).join(', ')} first, or pass --force`);
+    }
+  }
+  await confirmRun(`Restore ${Object.keys(entry.journal.users).length} user(s) to their state before "${entry.journal.label}"?`);
+  return [await rollbackJournal(config, entry)];
+}
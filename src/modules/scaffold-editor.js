@@ -1,25 +1,32 @@
 import { select, text, multiselect, confirm, log } from '@clack/prompts';
 import { readdirSync } from 'node:fs';
+import { join } from 'node:path';
 import chalk from 'chalk';
 import { readIndex, writeIndex, addEntry, removeEntries, updateEntry } from '../lib/content-index.js';
 import { scaffoldIndexPath } from '../lib/st-paths.js';
+import { readCardMetadata, formatCardLabel } from '../lib/card-metadata.js';
+import { CONTENT_TYPES } from '../lib/content-types.js';
 import { backupToAdmin } from '../backup.js';
 import { printHeader, info } from '../ui.js';
 
-/** Known SillyTavern content types. */
-const CONTENT_TYPES = [
-  { value: 'character', label: 'Character' },
-  { value: 'world',     label: 'World (Lorebook)' },
-  { value: 'theme',     label: 'Theme' },
-  { value: 'preset',    label: 'Preset' },
-  { value: 'template',  label: 'Template' },
-];
+/**
+ * The card name/version/creator for a scaffold file, if it is a card.
+ * @param {string} scaffoldDir
+ * @param {string} filename
+ * @returns {string|undefined} undefined for non-cards and cards without a name
+ */
+function cardLabel(scaffoldDir, filename) {
+  if (!filename?.endsWith('.png')) return undefined;
+  const meta = readCardMetadata(join(scaffoldDir, filename));
+  return meta?.name ? formatCardLabel(meta, filename) : undefined;
+}
 
 /**
  * Display the current index entries as a table.
  * @param {Array<object>} index
+ * @param {string} scaffoldDir - Where the indexed files live
  */
-function displayIndex(index) {
+function displayIndex(index, scaffoldDir) {
   if (index.length === 0) {
     console.log(chalk.dim('  (no entries)'));
     return;
@@ -28,15 +35,18 @@ function displayIndex(index) {
   console.log(
     chalk.bold('  #  ') +
     chalk.bold('Filename'.padEnd(40)) +
-    chalk.bold('Type')
+    chalk.bold('Type'.padEnd(11)) +
+    chalk.bold('Card')
   );
-  console.log(chalk.dim('  ' + '─'.repeat(55)));
+  console.log(chalk.dim('  ' + '─'.repeat(75)));
 
   index.forEach((entry, i) => {
+    const card = entry.type === 'character' ? cardLabel(scaffoldDir, entry.filename) : undefined;
     console.log(
       `  ${String(i + 1).padStart(2)}  ` +
       (entry.filename || 'unnamed').padEnd(40) +
-      (entry.type || 'unknown')
+      (entry.type || 'unknown').padEnd(11) +
+      (card ?? '')
     );
   });
   console.log('');
@@ -62,7 +72,7 @@ async function addNewEntry(config, indexPath, index) {
     const choice = await select({
       message: 'Select a file or enter a custom filename:',
       options: [
-        ...scaffoldFiles.map(f => ({ value: f, label: f })),
+        ...scaffoldFiles.map(f => ({ value: f, label: f, hint: cardLabel(config.scaffoldDir, f) })),
         { value: '__custom__', label: 'Enter custom filename...' },
       ],
     });
@@ -87,7 +97,7 @@ async function addNewEntry(config, indexPath, index) {
 
   const type = await select({
     message: 'Content type:',
-    options: CONTENT_TYPES,
+    options: CONTENT_TYPES.map(({ value, label }) => ({ value, label })),
   });
   if (typeof type === 'symbol') return index;
 
@@ -122,6 +132,7 @@ async function removeExistingEntries(config, indexPath, index) {
     options: index.map(e => ({
       value: e.filename,
       label: `${e.filename} (${e.type})`,
+      hint: cardLabel(config.scaffoldDir, e.filename),
     })),
     required: true,
   });
@@ -162,6 +173,7 @@ async function editExistingEntry(config, indexPath, index) {
     options: index.map(e => ({
       value: e.filename,
       label: `${e.filename} (${e.type})`,
+      hint: cardLabel(config.scaffoldDir, e.filename),
     })),
   });
   if (typeof targetFilename === 'symbol') return index;
@@ -177,7 +189,8 @@ async function editExistingEntry(config, indexPath, index) {
   const newType = await select({
     message: 'New type:',
     options: CONTENT_TYPES.map(ct => ({
-      ...ct,
+      value: ct.value,
+      label: ct.label,
       hint: ct.value === entry.type ? '(current)' : undefined,
     })),
   });
@@ -214,7 +227,7 @@ export async function run(config) {
 
   while (true) {
     printHeader('Scaffold index.json');
-    displayIndex(index);
+    displayIndex(index, config.scaffoldDir);
 
     const action = await select({
       message: 'What would you like to do?',
@@ -238,3 +251,59 @@ export async function run(config) {
     else if (action === 'edit') index = await editExistingEntry(config, indexPath, index);
   }
 }
+
+export const CLI_USAGE = `scaffold-editor <list|add|remove> [options]
+
+    list                                  Print the scaffold index
+    add --file <name> --type <type>       Add an entry (type: ${CONTENT_TYPES.map(t => t.value).join(', ')})
+    remove --file <name>[,...]            Remove entries by filename`;
+
+export const CLI_OPTIONS = {
+  file: { type: 'string' },
+  type: { type: 'string' },
+};
+
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { positionals, values, confirm: confirmRun }) {
+  const [action] = positionals;
+  const indexPath = scaffoldIndexPath(config.scaffoldDir);
+  const index = readIndex(indexPath);
+
+  if (action === 'list') {
+    printHeader('Scaffold index.json');
+    displayIndex(index, config.scaffoldDir);
+    return [];
+  }
+
+  const filenames = (values.file || '').split(',').map(f => f.trim()).filter(Boolean);
+  if (filenames.length === 0) throw new Error(`${action ?? 'scaffold-editor'} needs --file`);
+
+  let updated;
+  if (action === 'add') {
+    if (!CONTENT_TYPES.some(t => t.value === values.type)) {
+      throw new Error(`--type must be one of: ${CONTENT_TYPES.map(t => t.value).join(', ')}`);
+    }
+    updated = filenames.reduce((acc, filename) => addEntry(acc, { filename, type: values.type }), index);
+  } else if (action === 'remove') {
+    const missing = filenames.filter(f => !index.some(e => e.filename === f));
+    if (missing.length > 0) throw new Error(`Not in scaffold index: ${missing.join(', ')}`);
+    await confirmRun(`Remove ${filenames.length} entry/entries from the scaffold index?`);
+    updated = removeEntries(index, filenames);
+  } else {
+    throw new Error(`Unknown scaffold-editor action "${action ?? ''}" (expected list, add or remove)`);
+  }
+
+  if (config.dryRun) {
+    info(`[DRY RUN] Would write ${updated.length} entries to ${indexPath}`);
+  } else {
+    backupToAdmin(config.backupRoot, indexPath, 'scaffold-index');
+    writeIndex(indexPath, updated);
+    log.success(`Scaffold index updated (${updated.length} entries).`);
+  }
+  return [];
+}
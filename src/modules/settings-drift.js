@@ -0,0 +1,270 @@
+import { select, text, log } from '@clack/prompts';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import chalk from 'chalk';
+import { selectUsers, resolveUsers } from '../users.js';
+import { timestamp } from '../backup.js';
+import { userSettingsPath } from '../lib/st-paths.js';
+import { computeDrift, summarizeSections, driftToCsv } from '../lib/settings-drift.js';
+import { scaffoldDefaultSettingsPath } from '../lib/settings-schema.js';
+import { printHeader, info, warn } from '../ui.js';
+
+/** Export formats for the drift report. */
+const FORMATS = ['json', 'csv'];
+
+/** Longest value shown in the terminal report before truncating. */
+const MAX_VALUE_WIDTH = 60;
+
+/**
+ * Read and parse a template settings file.
+ * @param {string} path
+ * @returns {object}
+ */
+function readTemplate(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to read template ${path}: ${err.message}`);
+  }
+}
+
+/**
+ * Load each user's settings.json. Users without one, or with unparseable
+ * JSON, are left out and reported in `problems`.
+ * @param {object} config
+ * @param {string[]} users
+ * @returns {{settingsByUser: Map<string, object>, problems: string[]}}
+ */
+function loadUserSettings(config, users) {
+  const settingsByUser = new Map();
+  const problems = [];
+  for (const handle of users) {
+    const path = userSettingsPath(config.dataRoot, handle);
+    if (!existsSync(path)) {
+      problems.push(`${handle}: no settings.json`);
+      continue;
+    }
+    try {
+      settingsByUser.set(handle, JSON.parse(readFileSync(path, 'utf-8')));
+    } catch (err) {
+      problems.push(`${handle}: settings.json is not valid JSON (${err.message})`);
+    }
+  }
+  return { settingsByUser, problems };
+}
+
+/**
+ * Format a value for the terminal report.
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === undefined) return chalk.dim('(missing)');
+  const json = JSON.stringify(value);
+  return json.length > MAX_VALUE_WIDTH ? `${json.slice(0, MAX_VALUE_WIDTH - 3)}...` : json;
+}
+
+/**
+ * Print the drift report: a per-section summary, then each differing path
+ * with its values and the users holding them.
+ * @param {import('../lib/settings-drift.js').DriftEntry[]} entries
+ * @param {number} userCount - Users compared
+ * @param {string} templatePath
+ */
+function printDriftReport(entries, userCount, templatePath) {
+  printHeader(`Settings Drift (${userCount} users vs ${templatePath})`);
+
+  if (entries.length === 0) {
+    log.success('Every user matches the template.');
+    return;
+  }
+
+  console.log(chalk.bold('  Section'.padEnd(42) + 'Paths'.padStart(7) + 'Users'.padStart(8)));
+  console.log(chalk.dim('  ' + '─'.repeat(55)));
+  for (const { section, paths, users } of summarizeSections(entries)) {
+    const share = chalk.dim(`  ${Math.round(users / userCount * 100)}%`);
+    console.log(`  ${section.padEnd(40)}${String(paths).padStart(7)}${String(users).padStart(8)}${share}`);
+  }
+  console.log('');
+
+  for (const entry of entries) {
+    const inTemplate = entry.template === undefined ? chalk.yellow('not in template') : `template: ${formatValue(entry.template)}`;
+    console.log(`  ${chalk.cyan(`${entry.count} user(s)`.padEnd(11))} ${chalk.bold(entry.path)}  ${chalk.dim(inTemplate)}`);
+    for (const { value, users } of entry.values) {
+      const who = users.length > 5 ? `${users.slice(0, 5).join(', ')} +${users.length - 5} more` : users.join(', ');
+      console.log(`      ${formatValue(value)} ${chalk.dim('←')} ${who}`);
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Render the report in an export format.
+ * @param {import('../lib/settings-drift.js').DriftEntry[]} entries
+ * @param {'json'|'csv'} format
+ * @param {{template: string, users: string[], ignore: string[]}} meta
+ * @returns {string}
+ */
+function renderExport(entries, format, meta) {
+  if (format === 'csv') return driftToCsv(entries);
+  // Values for paths a user doesn't have are omitted ("value" is absent)
+  return JSON.stringify({ generatedAt: new Date().toISOString(), ...meta, entries }, null, 2) + '\n';
+}
+
+/**
+ * Compute drift for the given users against a template file.
+ * @param {object} config
+ * @param {string} templatePath
+ * @param {string[]} users
+ * @param {string[]} ignore
+ * @returns {{entries: import('../lib/settings-drift.js').DriftEntry[], compared: string[], problems: string[]}}
+ *   `problems` lists users left out of the comparison and why
+ */
+export function settingsDrift(config, templatePath, users, ignore) {
+  const template = readTemplate(templatePath);
+  const { settingsByUser, problems } = loadUserSettings(config, users);
+  return {
+    entries: computeDrift(template, settingsByUser, ignore),
+    compared: [...settingsByUser.keys()],
+    problems,
+  };
+}
+
+/**
+ * Split a comma-separated list into trimmed, non-empty items.
+ * @param {string|undefined} value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Interactive: offer to export the report to a file.
+ * @param {import('../lib/settings-drift.js').DriftEntry[]} entries
+ * @param {{template: string, users: string[], ignore: string[]}} meta
+ */
+async function offerExport(entries, meta) {
+  const format = await select({
+    message: 'Export the report?',
+    options: [
+      { value: 'none', label: 'No' },
+      { value: 'json', label: 'JSON' },
+      { value: 'csv',  label: 'CSV', hint: 'one row per user and path' },
+    ],
+  });
+  if (typeof format === 'symbol' || format === 'none') return;
+
+  const output = await text({
+    message: 'Write the report to:',
+    initialValue: `settings-drift-${timestamp()}.${format}`,
+    validate: (v) => v.trim() ? undefined : 'Path is required',
+  });
+  if (typeof output === 'symbol') return;
+
+  writeFileSync(output.trim(), renderExport(entries, format, meta));
+  log.success(`Report written to ${output.trim()}`);
+}
+
+/**
+ * Main entry point.
+ * @param {object} config
+ */
+export async function run(config) {
+  const scaffoldDefault = scaffoldDefaultSettingsPath(config);
+
+  const source = await select({
+    message: 'Compare users against:',
+    options: [
+      ...(scaffoldDefault ? [{ value: 'default', label: 'Scaffold default settings', hint: scaffoldDefault }] : []),
+      { value: 'file', label: 'A golden template file' },
+    ],
+  });
+  if (typeof source === 'symbol') return;
+
+  let templatePath = scaffoldDefault;
+  if (source === 'file') {
+    templatePath = await text({
+      message: 'Path to the golden template settings.json:',
+      validate: (v) => {
+        if (!v.trim()) return 'Path is required';
+        if (!existsSync(v.trim())) return 'File not found';
+        return undefined;
+      },
+    });
+    if (typeof templatePath === 'symbol') return;
+    templatePath = templatePath.trim();
+  }
+
+  const ignoreInput = await text({
+    message: 'Dot-paths to ignore (comma-separated, optional):',
+    placeholder: 'e.g. main_api, power_user.font_scale',
+  });
+  if (typeof ignoreInput === 'symbol') return;
+  const ignore = splitList(ignoreInput);
+
+  const users = await selectUsers(config);
+  if (users.length === 0) return;
+
+  const { entries, compared, problems } = settingsDrift(config, templatePath, users, ignore);
+  problems.forEach(warn);
+  printDriftReport(entries, compared.length, templatePath);
+  if (entries.length > 0) {
+    await offerExport(entries, { template: templatePath, users: compared, ignore });
+  }
+}
+
+export const CLI_USAGE = `settings-drift [--template <file>] [--ignore a,b] [--format json|csv] [--output <file>]
+
+  Read-only report of where users' settings.json differ from a golden
+  template, per dot-path. Without --template, compares against
+  scaffold/settings.json (or content/settings.json). --users defaults to all.
+  --ignore leaves out paths and everything below them. With --format the
+  report is written to --output, or printed to stdout without the summary.`;
+
+export const CLI_OPTIONS = {
+  template: { type: 'string' },
+  ignore:   { type: 'string' },
+  format:   { type: 'string' },
+  output:   { type: 'string' },
+};
+
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { values }) {
+  const templatePath = values.template || scaffoldDefaultSettingsPath(config);
+  if (!templatePath) {
+    throw new Error('No scaffold or content settings.json found; pass --template');
+  }
+  if (values.format && !FORMATS.includes(values.format)) {
+    throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (values.output && !values.format) {
+    throw new Error('--output needs --format');
+  }
+
+  const ignore = splitList(values.ignore);
+  const users = resolveUsers(config, values.users || 'all');
+  const { entries, compared, problems } = settingsDrift(config, templatePath, users, ignore);
+  const meta = { template: templatePath, users: compared, ignore };
+
+  if (!values.format || values.output) {
+    problems.forEach(warn);
+  } else {
+    // Keep stdout clean for the exported report
+    problems.forEach(p => console.error(`[WARN] ${p}`));
+  }
+
+  if (!values.format) {
+    printDriftReport(entries, compared.length, templatePath);
+  } else if (values.output) {
+    writeFileSync(values.output, renderExport(entries, values.format, meta));
+    info(`Report written to ${values.output}`);
+  } else {
+    process.stdout.write(renderExport(entries, values.format, meta));
+  }
+  return [];
+}
@@ -1,9 +1,11 @@
 import { select, log } from '@clack/prompts';
 import chalk from 'chalk';
 import { discoverUsers, getUserStats } from '../users.js';
-import { printHeader, formatBytes } from '../ui.js';
+import { printHeader } from '../ui.js';
+import { formatBytes } from '../lib/format.js';
 import { userDir } from '../lib/st-paths.js';
-import { readdirSync, statSync, lstatSync } from 'node:fs';
+import { readCardMetadata, formatCardLabel, formatCardDetails } from '../lib/card-metadata.js';
+import { readdirSync, statSync, lstatSync, existsSync } from 'node:fs';
 import { join } from 'node:path';
 import { execSync } from 'node:child_process';
 
@@ -87,7 +89,13 @@ function viewUserDetails(config, handle) {
     if (chars.length > 0) {
       console.log(`\n  ${chalk.bold('Characters:')}`);
       for (const c of chars.slice(0, 20)) {
-        console.log(chalk.dim(`    - ${c}`));
+        const meta = readCardMetadata(join(charsDir, c));
+        if (meta?.name) {
+          console.log(`    - ${formatCardLabel(meta, c)}  ${chalk.dim(c)}`);
+          console.log(chalk.dim(`      ${formatCardDetails(meta)}`));
+        } else {
+          console.log(chalk.dim(`    - ${c}`));
+        }
       }
       if (chars.length > 20) {
         console.log(chalk.dim(`    ... and ${chars.length - 20} more`));
@@ -104,7 +112,10 @@ function viewUserDetails(config, handle) {
       for (const w of worlds) {
         const wPath = join(worldsDir, w);
         const lstat = lstatSync(wPath);
-        const symTag = lstat.isSymbolicLink() ? chalk.cyan(' [symlink]') : '';
+        let symTag = '';
+        if (lstat.isSymbolicLink()) {
+          symTag = existsSync(wPath) ? chalk.cyan(' [symlink]') : chalk.red(' [dangling symlink]');
+        }
         console.log(chalk.dim(`    - ${w}`) + symTag);
       }
     }
@@ -144,3 +155,33 @@ export async function run(config) {
 
   viewUserDetails(config, handle);
 }
+
+export const CLI_USAGE = `user-info <list|show> [handle]
+
+    list             Print all users with stats
+    show <handle>    Print details for one user`;
+
+export const CLI_OPTIONS = {};
+
+/**
+ * Non-interactive entry point.
+ * @param {object} config
+ * @param {import('../cli.js').CliArgs} args
+ * @returns {Promise<import('../batch.js').BatchResults[]>}
+ */
+export async function runCli(config, { positionals }) {
+  const [action, handle] = positionals;
+
+  if (action === 'list') {
+    listAllUsers(config);
+  } else if (action === 'show') {
+    if (!handle) throw new Error('show needs a user handle');
+    if (!discoverUsers(config.dataRoot, config.excludeDirs).includes(handle)) {
+      throw new Error(`Unknown user: ${handle}`);
+    }
+    viewUserDetails(config, handle);
+  } else {
+    throw new Error(`Unknown user-info action "${action ?? ''}" (expected list or show)`);
+  }
+  return [];
+}
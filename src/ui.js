@@ -1,6 +1,7 @@
 import chalk from 'chalk';
+import { diffHunks } from './lib/text-diff.js';
 
-const VERSION = '1.0.0';
+export const VERSION = '1.0.0';
 
 /**
  * Print the application banner.
@@ -81,13 +82,17 @@ export function printBatchReport(results, label) {
 }
 
 /**
- * Format a file size in bytes to a human-readable string.
- * @param {number} bytes
- * @returns {string}
+ * Print a line diff as coloured unified-diff hunks.
+ * @param {import('./lib/text-diff.js').DiffLine[]} ops
+ * @param {number} [context] - Unchanged lines to show around each change
  */
-export function formatBytes(bytes) {
-  if (bytes === 0) return '0 B';
-  const units = ['B', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(1024));
-  return `${(bytes / Math.pow(1024, i)).toFixed(1)} ${units[i]}`;
+export function printDiff(ops, context = 3) {
+  for (const hunk of diffHunks(ops, context)) {
+    console.log(chalk.cyan(`  @@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`));
+    for (const { type, line } of hunk.lines) {
+      if (type === '+') console.log(chalk.green(`  +${line}`));
+      else if (type === '-') console.log(chalk.red(`  -${line}`));
+      else console.log(chalk.dim(`   ${line}`));
+    }
+  }
 }
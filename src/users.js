@@ -100,3 +100,27 @@ export function getUserStats(dataRoot, handle) {
 
   return stats;
 }
+
+/**
+ * Non-interactive counterpart to selectUsers(). Resolves a user spec such as
+ * "all" or "alice,bob" against the discovered users.
+ * @param {object} config - The app config
+ * @param {string} spec - "all" or a comma-separated list of handles
+ * @returns {string[]} Selected user handles
+ */
+export function resolveUsers(config, spec) {
+  const allUsers = discoverUsers(config.dataRoot, config.excludeDirs);
+
+  if (!spec || !spec.trim()) {
+    throw new Error('No users given. Use --users all or --users alice,bob');
+  }
+  if (spec.trim() === 'all') return allUsers;
+
+  const requested = spec.split(',').map(h => h.trim()).filter(Boolean);
+  const unknown = requested.filter(h => !allUsers.includes(h));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown user(s): ${unknown.join(', ')}`);
+  }
+
+  return [...new Set(requested)];
+}